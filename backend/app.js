@@ -0,0 +1,37 @@
+'use strict';
+
+// Express application: middleware, resource routers and error handling.
+// Kept separate from index.js so it can be mounted without starting a server.
+const express = require('express');
+const cors = require('cors');
+const fs = require('fs');
+const { AVATAR_DIR } = require('./config');
+
+const app = express();
+
+// Core middleware
+app.use(cors({ exposedHeaders: ['Retry-After', 'Idempotent-Replayed'] }));
+app.use(express.json());
+
+fs.mkdirSync(AVATAR_DIR, { recursive: true });
+app.use('/uploads/avatars', express.static(AVATAR_DIR));
+
+// Resource routers
+app.use('/auth', require('./routes/auth'));
+app.use('/users', require('./routes/users'));
+app.use('/promotions', require('./routes/promotions'));
+app.use('/rewards', require('./routes/rewards'));
+app.use('/events', require('./routes/events'));
+app.use('/transactions', require('./routes/transactions'));
+app.use('/audit', require('./routes/audit'));
+app.use('/ledger', require('./routes/ledger'));
+app.use('/program', require('./routes/program'));
+
+app.use((req, res) => res.status(405).json({ error: 'Method Not Allowed' }));
+app.use((err, req, res, next) => {
+  if (err.name === 'UnauthorizedError') return res.status(401).json({ error: 'Unauthorized' });
+  console.error(err);
+  res.status(500).json({ error: 'Internal Server Error' });
+});
+
+module.exports = app;
@@ -0,0 +1,42 @@
+'use strict';
+
+// Settings read from the environment, shared by the app and its services
+require('dotenv').config();
+const path = require('path');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+
+// MM-DD days, e.g. "04-30,08-31,12-31"; malformed entries are ignored
+const parseResetDates = (value = '') => value.split(',')
+  .map((s) => s.trim().match(/^(\d{2})-(\d{2})$/))
+  .filter(Boolean)
+  .map(([, m, d]) => [Number(m), Number(d)])
+  .filter(([m, d]) => m >= 1 && m <= 12 && d >= 1 && d <= 31)
+  .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+module.exports = {
+  JWT_SECRET,
+  // Only in development do responses echo reset/activation tokens; otherwise they go out by email
+  DEV_MODE: process.env.NODE_ENV === 'development',
+  APP_URL: process.env.APP_URL || 'http://localhost:5173',
+  AVATAR_DIR: path.join(process.cwd(), 'uploads', 'avatars'),
+  QR_SECRET: process.env.QR_SECRET || `${JWT_SECRET}:qr`,
+  QR_TOKEN_TTL: Number(process.env.QR_TOKEN_TTL_SECONDS) || 300,
+  ACCESS_TOKEN_TTL: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 3600,
+  REFRESH_TOKEN_TTL: Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 3600,
+  // Points expiry policy: 'none', 'rolling' (points expire `months` after they are earned) or
+  // 'reset' (the whole balance expires at the end of each of `resetDates`)
+  POINTS_EXPIRY: {
+    policy: process.env.POINTS_EXPIRY_POLICY || 'none',
+    months: Number(process.env.POINTS_EXPIRY_MONTHS) || 12,
+    resetDates: parseResetDates(process.env.POINTS_EXPIRY_RESET_DATES),
+    checkInterval: (Number(process.env.POINTS_EXPIRY_CHECK_MINUTES) || 60) * 60e3
+  },
+  // How long a stored Idempotency-Key response is replayed to retries
+  IDEMPOTENCY_KEY_TTL: (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3600e3,
+  // Pending redemption requests older than `days` expire; 0 leaves them pending until handled
+  REDEMPTION_EXPIRY: {
+    days: Number(process.env.REDEMPTION_EXPIRY_DAYS ?? 14) || 0,
+    checkInterval: (Number(process.env.REDEMPTION_EXPIRY_CHECK_MINUTES) || 60) * 60e3
+  }
+};
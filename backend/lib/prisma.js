@@ -0,0 +1,9 @@
+'use strict';
+
+// Single Prisma client shared by every router and service.
+// DATABASE_URL, when set, replaces the schema's dev.db (the test suite points it at a throwaway file).
+const { PrismaClient } = require('@prisma/client');
+
+module.exports = new PrismaClient(
+  process.env.DATABASE_URL ? { datasourceUrl: process.env.DATABASE_URL } : undefined
+);
@@ -0,0 +1,32 @@
+'use strict';
+
+// Shared input checks and query/body parsing helpers
+
+const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[^A-Za-z0-9]).{8,20}$/;
+const utoridRegex = /^[a-z0-9]{7,8}$/i;
+
+const uoftEmail = (s) => {
+  if (typeof s !== 'string') return false;
+  const email = s.trim().toLowerCase();
+  return email.endsWith('@mail.utoronto.ca');
+};
+
+const now = () => new Date();
+
+// Loose boolean parsing for query strings; null when absent or unrecognised
+const parseBool = (v) => {
+  if (typeof v === 'boolean') return v;
+  if (v == null) return null;
+  const s = String(v).trim().toLowerCase();
+  if (['true', '1', 't', 'yes', 'y'].includes(s)) return true;
+  if (['false', '0', 'f', 'no', 'n'].includes(s)) return false;
+  return null;
+};
+
+module.exports = {
+  passwordRegex,
+  utoridRegex,
+  uoftEmail,
+  now,
+  parseBool
+};
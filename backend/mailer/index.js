@@ -0,0 +1,72 @@
+'use strict';
+
+// Mailer: renders HTML templates and hands them to the configured transport.
+//   MAIL_TRANSPORT=smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=file     writes each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+//   MAIL_TRANSPORT=console  logs each message (default)
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const MAIL_FROM = process.env.MAIL_FROM || 'CSSU Rewards <no-reply@cssu-rewards.local>';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Templates start with a "<!-- subject: ... -->" line; {{name}} placeholders are HTML-escaped
+const render = (name, vars) => {
+  const source = fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8');
+  const fill = (text, escape) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escape(vars[key]));
+  const match = source.match(/^<!--\s*subject:\s*(.*?)\s*-->\r?\n/);
+  return {
+    subject: fill(match ? match[1] : name, String),
+    html: fill(match ? source.slice(match[0].length) : source, escapeHtml)
+  };
+};
+
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return (message) => transporter.sendMail(message);
+};
+
+const fileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+  fs.mkdirSync(dir, { recursive: true });
+  return async (message) => {
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+  };
+};
+
+const consoleTransport = () => async (message) => {
+  console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.html}`);
+};
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+const createMailer = (kind = process.env.MAIL_TRANSPORT || 'console') => {
+  const make = TRANSPORTS[kind];
+  if (!make) throw new Error(`unknown MAIL_TRANSPORT: ${kind}`);
+  const send = make();
+
+  return {
+    // Renders template `name` with `vars` and sends it to `to`
+    async sendTemplate(to, name, vars) {
+      const { subject, html } = render(name, vars);
+      await send({ from: MAIL_FROM, to, subject, html });
+    }
+  };
+};
+
+module.exports = { createMailer, render };
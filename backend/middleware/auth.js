@@ -0,0 +1,30 @@
+'use strict';
+
+// Authentication (JWT) and role checks
+const { expressjwt: jwtMiddleware } = require('express-jwt');
+const prisma = require('../lib/prisma');
+const { JWT_SECRET } = require('../config');
+
+const ROLES = ['regular', 'cashier', 'manager', 'superuser'];
+const ORDER = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
+
+// Access tokens carry their session id (sid); a revoked session invalidates them before expiry
+const isSessionRevoked = async (req, token) => {
+  const sid = token?.payload?.sid;
+  if (!sid) return false;
+  const session = await prisma.session.findUnique({ where: { id: sid }, select: { revokedAt: true } });
+  return !session || !!session.revokedAt;
+};
+const jwtOptions = { secret: JWT_SECRET, algorithms: ['HS256'], requestProperty: 'auth', isRevoked: isSessionRevoked };
+const auth = jwtMiddleware(jwtOptions);
+const optionalAuth = jwtMiddleware({ ...jwtOptions, credentialsRequired: false });
+
+const roleOrder = (r) => ORDER[String(r || '').toLowerCase()] ?? -1;
+const needRole = (min) => (req, res, next) => {
+  if (!req.auth) return res.status(401).json({ error: 'Unauthorized' });
+  if (roleOrder(req.auth.role) < roleOrder(min)) return res.status(403).json({ error: 'Forbidden' });
+  next();
+};
+const isManagerOrHigher = (r) => roleOrder(r) >= roleOrder('manager');
+
+module.exports = { ROLES, ORDER, auth, optionalAuth, roleOrder, needRole, isManagerOrHigher };
@@ -0,0 +1,95 @@
+'use strict';
+
+// Idempotency keys for requests that move points. A client may send `Idempotency-Key: <unique value>`;
+// the first request with a key runs as usual and a successful response is stored, and a retry with the
+// same key and the same request gets that response back (marked `Idempotent-Replayed: true`) instead of
+// running again. Keys belong to the signed-in user and are forgotten after IDEMPOTENCY_KEY_TTL.
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { IDEMPOTENCY_KEY_TTL } = require('../config');
+const { badRequest } = require('./validate');
+
+const MAX_KEY_LENGTH = 255;
+// How long an unanswered claim holds its key, in case the process died before answering
+const CLAIM_LEASE = 60 * 1000;
+
+// Object keys sorted at every level, so a body fingerprints the same however its client ordered it
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+  }
+  return value;
+};
+
+const fingerprintOf = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(canonical(req.body ?? {}))}`)
+  .digest('hex');
+
+// Claims `key` for a new request and returns null, or returns the row already holding it.
+// A claim older than the TTL, or still unanswered after CLAIM_LEASE, is dropped first.
+const claimKey = async (userId, key, fingerprint) => {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_KEY_TTL);
+  const leaseCutoff = new Date(Date.now() - CLAIM_LEASE);
+  await prisma.idempotencyKey.deleteMany({
+    where: { userId, key, OR: [{ createdAt: { lt: cutoff } }, { status: null, createdAt: { lt: leaseCutoff } }] }
+  });
+  try {
+    await prisma.idempotencyKey.create({ data: { userId, key, fingerprint } });
+    return null;
+  } catch (e) {
+    if (e?.code !== 'P2002') throw e;
+    // Found nothing: the holder let the key go a moment ago, so try to claim it again
+    return (await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } }))
+      ?? claimKey(userId, key, fingerprint);
+  }
+};
+
+// Mount after auth and validation, so the fingerprint covers the parsed body.
+// Requests without the header are not deduplicated.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return badRequest(res, [{ field: 'Idempotency-Key', message: `Must be 1-${MAX_KEY_LENGTH} characters` }]);
+  }
+
+  const userId = req.auth.id;
+  const fingerprint = fingerprintOf(req);
+  try {
+    const held = await claimKey(userId, key, fingerprint);
+    if (held) {
+      // The same key with a different request is a client bug, not a retry
+      if (held.fingerprint !== fingerprint) return res.status(422).json({ error: 'Unprocessable Entity' });
+      if (held.status == null) return res.status(409).json({ error: 'Conflict' });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(held.status).json(JSON.parse(held.response));
+    }
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  // Store a success before sending it, so a retry can never find the key still in progress once the
+  // client has an answer. Anything else releases the key, so a corrected retry runs the request again.
+  const where = { userId_key: { userId, key } };
+  const release = () => prisma.idempotencyKey.delete({ where }).catch(() => {});
+  let answered = false;
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    answered = true;
+    const ok = res.statusCode >= 200 && res.statusCode < 300;
+    const stored = ok
+      ? prisma.idempotencyKey.update({ where, data: { status: res.statusCode, response: JSON.stringify(body) } })
+        .catch((e) => console.error('Idempotency-Key not stored:', e))
+      : release();
+    stored.finally(() => send(body));
+    return res;
+  };
+  // A handler that answered some other way, or never answered, must not leave the key held
+  res.on('close', () => {
+    if (!answered) release();
+  });
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,60 @@
+'use strict';
+
+// Rate limiting: in-memory fixed-window counters keyed by "<scope>:ip:<ip>" or "<scope>:utorid:<utorid>"
+const RATE_WINDOW_MS = (Number(process.env.AUTH_RATE_WINDOW_SECONDS) || 15 * 60) * 1000;
+const RATE_MAX_PER_IP = Number(process.env.AUTH_RATE_MAX_PER_IP) || 30;
+const RATE_MAX_PER_UTORID = Number(process.env.AUTH_RATE_MAX_PER_UTORID) || 10;
+const RESET_INTERVAL_MS = (Number(process.env.RESET_INTERVAL_SECONDS) || 60) * 1000;
+const rateBuckets = new Map();
+const lastResetByIp = new Map();
+
+const pruneExpired = (map, isExpired) => {
+  if (map.size < 10000) return;
+  for (const [key, value] of map) if (isExpired(value)) map.delete(key);
+};
+
+// Counts a hit against `key`; returns the seconds to wait once over `max`, else 0
+const hitRateLimit = (key, max) => {
+  const t = Date.now();
+  pruneExpired(rateBuckets, (b) => b.resetAt <= t);
+  let bucket = rateBuckets.get(key);
+  if (!bucket || bucket.resetAt <= t) {
+    bucket = { count: 0, resetAt: t + RATE_WINDOW_MS };
+    rateBuckets.set(key, bucket);
+  }
+  bucket.count += 1;
+  return bucket.count > max ? Math.ceil((bucket.resetAt - t) / 1000) : 0;
+};
+
+const tooManyRequests = (res, retryAfter) => {
+  res.set('Retry-After', String(Math.max(1, retryAfter)));
+  return res.status(429).json({ error: 'Too Many Requests' });
+};
+
+// Limits `scope` per client IP and, when the body names a utorid, per account
+const rateLimit = (scope) => (req, res, next) => {
+  const utorid = typeof req.body?.utorid === 'string' ? req.body.utorid.toLowerCase() : null;
+  const retryAfter = Math.max(
+    hitRateLimit(`${scope}:ip:${req.ip}`, RATE_MAX_PER_IP),
+    utorid ? hitRateLimit(`${scope}:utorid:${utorid}`, RATE_MAX_PER_UTORID) : 0
+  );
+  if (retryAfter > 0) return tooManyRequests(res, retryAfter);
+  next();
+};
+
+const clearRateLimits = (utorid) => {
+  const suffix = `:utorid:${String(utorid).toLowerCase()}`;
+  for (const key of rateBuckets.keys()) if (key.endsWith(suffix)) rateBuckets.delete(key);
+};
+
+// At most one password-reset request per IP per RESET_INTERVAL_MS; returns the seconds to wait, else 0
+const resetRequestWait = (ip) => {
+  const t = Date.now();
+  pruneExpired(lastResetByIp, (at) => t - at >= RESET_INTERVAL_MS);
+  const last = lastResetByIp.get(ip);
+  if (last && t - last < RESET_INTERVAL_MS) return Math.ceil((last + RESET_INTERVAL_MS - t) / 1000);
+  lastResetByIp.set(ip, t);
+  return 0;
+};
+
+module.exports = { rateLimit, tooManyRequests, clearRateLimits, resetRequestWait };
@@ -0,0 +1,42 @@
+'use strict';
+
+// Request validation: zod schemas for body/query; failures answer 400 with the offending fields.
+// Every 400 uses the same envelope: { error: 'Bad Request', issues: [{ field, message }] }
+
+const badRequest = (res, issues = []) => res.status(400).json({ error: 'Bad Request', issues });
+
+const toIssues = (zodError) => zodError.issues.map((i) => ({ field: i.path.join('.'), message: i.message }));
+
+// Parses `data` with `schema`; returns the parsed value, or null after answering 400
+const parseOrReject = (schema, data, res) => {
+  const result = schema.safeParse(data ?? {});
+  if (result.success) return result.data;
+  badRequest(res, toIssues(result.error));
+  return null;
+};
+
+// Middleware form: validate({ body, query }) replaces req.body / req.query with the parsed values
+const validate = (schemas) => (req, res, next) => {
+  const issues = [];
+  for (const part of ['query', 'body']) {
+    if (!schemas[part]) continue;
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) req[part] = result.data;
+    else issues.push(...toIssues(result.error));
+  }
+  if (issues.length > 0) return badRequest(res, issues);
+  next();
+};
+
+// Middleware form for a body whose `type` picks its schema: `kind` checks the type, then the body is
+// parsed with bodies[type] and replaces req.body
+const validateByType = (kind, bodies) => (req, res, next) => {
+  const k = parseOrReject(kind, req.body, res);
+  if (!k) return;
+  const body = parseOrReject(bodies[k.type], req.body, res);
+  if (!body) return;
+  req.body = body;
+  next();
+};
+
+module.exports = { validate, validateByType, parseOrReject, badRequest };
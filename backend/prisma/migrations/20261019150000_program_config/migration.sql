@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "ProgramConfig" (
+    "id" INTEGER NOT NULL PRIMARY KEY DEFAULT 1,
+    "earnRate" REAL NOT NULL DEFAULT 4,
+    "rounding" TEXT NOT NULL DEFAULT 'round',
+    "maxPointsPerPurchase" INTEGER,
+    "minSpend" REAL NOT NULL DEFAULT 0,
+    "updatedAt" DATETIME NOT NULL
+);
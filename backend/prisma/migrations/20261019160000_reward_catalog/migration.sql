@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "Reward" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "cost" INTEGER NOT NULL,
+    "stock" INTEGER,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "imageUrl" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Transaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL DEFAULT 0,
+    "spent" REAL,
+    "remark" TEXT DEFAULT '',
+    "suspicious" BOOLEAN,
+    "relatedId" INTEGER,
+    "createdById" INTEGER NOT NULL,
+    "processedById" INTEGER,
+    "rewardId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Transaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_rewardId_fkey" FOREIGN KEY ("rewardId") REFERENCES "Reward" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transaction" ("amount", "createdAt", "createdById", "id", "processedById", "relatedId", "remark", "spent", "suspicious", "type", "userId") SELECT "amount", "createdAt", "createdById", "id", "processedById", "relatedId", "remark", "spent", "suspicious", "type", "userId" FROM "Transaction";
+DROP TABLE "Transaction";
+ALTER TABLE "new_Transaction" RENAME TO "Transaction";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "status" TEXT;
+ALTER TABLE "Transaction" ADD COLUMN "statusReason" TEXT;
+ALTER TABLE "Transaction" ADD COLUMN "closedAt" DATETIME;
+
+-- Existing redemptions are pending until a cashier processes them
+UPDATE "Transaction" SET "status" = CASE WHEN "processedById" IS NULL THEN 'pending' ELSE 'processed' END
+WHERE "type" = 'redemption';
+UPDATE "Transaction" SET "closedAt" = "createdAt" WHERE "status" = 'processed';
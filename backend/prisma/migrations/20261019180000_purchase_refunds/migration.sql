@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "refunded" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "Transaction" ADD COLUMN "voidedAt" DATETIME;
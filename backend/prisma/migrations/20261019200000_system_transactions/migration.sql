@@ -0,0 +1,35 @@
+-- RedefineTables
+-- createdById becomes optional: transactions the system writes on its own (point expiry) have no creator
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Transaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL DEFAULT 0,
+    "spent" REAL,
+    "remark" TEXT DEFAULT '',
+    "suspicious" BOOLEAN,
+    "relatedId" INTEGER,
+    "createdById" INTEGER,
+    "processedById" INTEGER,
+    "rewardId" INTEGER,
+    "status" TEXT,
+    "statusReason" TEXT,
+    "closedAt" DATETIME,
+    "refunded" REAL NOT NULL DEFAULT 0,
+    "voidedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Transaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Transaction_rewardId_fkey" FOREIGN KEY ("rewardId") REFERENCES "Reward" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Transaction" ("amount", "closedAt", "createdAt", "createdById", "id", "processedById", "refunded", "relatedId", "remark", "rewardId", "spent", "status", "statusReason", "suspicious", "type", "userId", "voidedAt") SELECT "amount", "closedAt", "createdAt", "createdById", "id", "processedById", "refunded", "relatedId", "remark", "rewardId", "spent", "status", "statusReason", "suspicious", "type", "userId", "voidedAt" FROM "Transaction";
+DROP TABLE "Transaction";
+ALTER TABLE "new_Transaction" RENAME TO "Transaction";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Expiry rows written before this were attributed to the member whose points expired
+UPDATE "Transaction" SET "createdById" = NULL WHERE "type" = 'expiry';
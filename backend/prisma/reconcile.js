@@ -0,0 +1,45 @@
+/*
+ * Checks every user's points balance against their transaction history.
+ * Exits with status 2 if any balance disagrees, so it can run from cron or CI.
+ * With --fix, writes a correcting adjustment per discrepancy on behalf of the given superuser.
+ * Usage example:
+ *   node prisma/reconcile.js
+ *   node prisma/reconcile.js --fix clive123
+ */
+'use strict';
+
+const prisma = require('../lib/prisma');
+const { findDiscrepancies, reconcileBalances } = require('../services/ledger');
+
+(async () => {
+  try {
+    const args = process.argv.slice(2);
+    if (!(args.length === 0 || (args.length === 2 && args[0] === '--fix'))) {
+      console.error('usage: node prisma/reconcile.js [--fix <superuser utorid>]');
+      process.exit(1);
+    }
+
+    let actor = null;
+    if (args.length === 2) {
+      actor = await prisma.user.findUnique({ where: { utorid: args[1] } });
+      if (!actor || actor.role !== 'superuser') {
+        console.error('error: --fix needs the utorid of a superuser.');
+        process.exit(1);
+      }
+    }
+
+    const report = actor ? await reconcileBalances({ auth: { id: actor.id } }) : await findDiscrepancies();
+    for (const d of report.discrepancies) {
+      const sign = d.difference > 0 ? '+' : '';
+      const fixed = d.transactionId ? `  -> adjustment #${d.transactionId}` : '';
+      console.log(`${d.utorid}: balance ${d.points}, history ${d.expected} (${sign}${d.difference})${fixed}`);
+    }
+    console.log(`Checked ${report.checked} users, ${report.discrepancies.length} discrepancies${actor ? ' reconciled' : ''}.`);
+
+    await prisma.$disconnect();
+    if (report.discrepancies.length > 0 && !actor) process.exit(2);
+  } catch (err) {
+    console.error('cannot check balances:', err.message);
+    process.exit(1);
+  }
+})();
@@ -1,5 +1,455 @@
 /*
- * If you need to initialize your database with some data, you may write a script
- * to do so here.
+ * Fills the database with a realistic, reproducible dataset for development and demos.
+ * Existing data is wiped first. The same seed always yields the same accounts, amounts and
+ * ids; timestamps are laid out relative to the time of the run.
+ *
+ * Usage:
+ *   node prisma/seed.js [--seed=demo] [--members=30] [--transactions=300] [--promotions=6] [--events=8]
+ * Each option may also come from the environment: SEED_VALUE, SEED_MEMBERS, SEED_TRANSACTIONS,
+ * SEED_PROMOTIONS, SEED_EVENTS. Every account's password is SEED_PASSWORD (default Password123!).
  */
 'use strict';
+
+const bcrypt = require('bcrypt');
+const { calculateEarnings, getProgramConfig } = require('../services/points');
+const { tierForSpend } = require('../services/tiers');
+const { REDEMPTION_EXPIRY } = require('../config');
+
+const DAY = 24 * 3600e3;
+const HISTORY_DAYS = 180;
+
+const DEFAULTS = { seed: 'demo', members: 30, transactions: 300, promotions: 6, events: 8 };
+const PASSWORD = process.env.SEED_PASSWORD || 'Password123!';
+
+// Staff accounts are fixed so that demo logins are predictable
+const STAFF = [
+  { utorid: 'super001', name: 'Sam Superuser', role: 'superuser' },
+  { utorid: 'manag001', name: 'Morgan Manager', role: 'manager' },
+  { utorid: 'manag002', name: 'Mia Manager', role: 'manager' },
+  { utorid: 'cashi001', name: 'Casey Cashier', role: 'cashier' },
+  { utorid: 'cashi002', name: 'Chris Cashier', role: 'cashier' },
+  { utorid: 'cashi003', name: 'Cam Cashier', role: 'cashier' }
+];
+
+const FIRST_NAMES = ['Alex', 'Jordan', 'Taylor', 'Riley', 'Avery', 'Quinn', 'Rowan', 'Sasha', 'Noor', 'Wei',
+  'Priya', 'Mateo', 'Amara', 'Kenji', 'Leila', 'Omar', 'Ines', 'Tariq', 'Yuki', 'Zara'];
+const LAST_NAMES = ['Chen', 'Singh', 'Garcia', 'Nguyen', 'Okafor', 'Smith', 'Kim', 'Haddad', 'Rossi', 'Patel',
+  'Ivanova', 'Mensah', 'Tanaka', 'Silva', 'Cohen'];
+const PROMOTION_NAMES = ['Welcome Week', 'Exam Fuel', 'Reading Break', 'Coffee Club', 'Frosh Special',
+  'Study Snacks', 'Winter Warmup', 'Spring Fling', 'Hackathon Boost', 'Summer Sprint'];
+const EVENT_NAMES = ['Board Game Night', 'Resume Workshop', 'Hack Night', 'Alumni Panel', 'Pizza Social',
+  'Interview Prep', 'Movie Night', 'Trivia Night', 'Open Source Sprint', 'Career Fair Mixer'];
+const LOCATIONS = ['BA 3200', 'BA 1160', 'SS 2102', 'MP 203', 'Myhal 150', 'Hart House Great Hall'];
+// The reward catalog is fixed; stock null means unlimited
+const REWARDS = [
+  { name: 'Drip Coffee', description: 'Any size, from the front counter', cost: 50, stock: null },
+  { name: 'Muffin', description: 'Blueberry or chocolate chip', cost: 80, stock: null },
+  { name: 'Sticker Pack', description: 'Five laptop stickers', cost: 100, stock: 200 },
+  { name: 'Water Bottle', description: 'Insulated, 750 ml', cost: 400, stock: 40 },
+  { name: 'Hoodie', description: 'Grey, embroidered logo', cost: 1200, stock: 10 },
+  { name: 'Holiday Mug', description: 'Limited run, available from next month', cost: 300, stock: 25, upcoming: true }
+];
+const REJECT_REASONS = ['Out of stock at this location', 'Member was not present', 'Requested by mistake'];
+const REMARKS = ['', '', '', 'thanks!', 'lunch', 'coffee run', 'split the pizza', 'birthday gift'];
+
+// mulberry32: small, fast and good enough to make the dataset reproducible
+const createRng = (seedValue) => {
+  let h = 1779033703 ^ String(seedValue).length;
+  for (const ch of String(seedValue)) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const chance = (p) => next() < p;
+  const sample = (list, n) => {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, n);
+  };
+  return { next, int, pick, chance, sample };
+};
+
+const pad = (n) => String(n).padStart(3, '0');
+
+// --key=value / --key value, falling back to SEED_<KEY> and then the defaults
+const parseOptions = (argv = process.argv.slice(2), env = process.env) => {
+  const options = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    const fromEnv = env[key === 'seed' ? 'SEED_VALUE' : `SEED_${key.toUpperCase()}`];
+    if (fromEnv) options[key] = fromEnv;
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (!match || !(match[1] in DEFAULTS)) throw new Error(`unknown option: ${argv[i]}`);
+    options[match[1]] = match[2] ?? argv[++i];
+  }
+  for (const key of Object.keys(DEFAULTS)) {
+    if (key === 'seed') continue;
+    const n = Number(options[key]);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`--${key} must be a whole number`);
+    options[key] = n;
+  }
+  options.seed = String(options.seed);
+  return options;
+};
+
+const wipe = async (prisma) => {
+  await prisma.transactionPromotion.deleteMany();
+  await prisma.userPromotionUsage.deleteMany();
+  await prisma.eventGuest.deleteMany();
+  await prisma.eventOrganizer.deleteMany();
+  await prisma.transaction.deleteMany();
+  await prisma.event.deleteMany();
+  await prisma.promotion.deleteMany();
+  await prisma.reward.deleteMany();
+  await prisma.refreshToken.deleteMany();
+  await prisma.session.deleteMany();
+  await prisma.resetToken.deleteMany();
+  await prisma.auditLog.deleteMany();
+  await prisma.idempotencyKey.deleteMany();
+  await prisma.user.deleteMany();
+  // Restart ids at 1 so the same seed reproduces the same ids
+  await prisma.$executeRawUnsafe('DELETE FROM sqlite_sequence');
+};
+
+const seedUsers = async (prisma, rng, options, now) => {
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+  const people = [...STAFF];
+  for (let i = 1; i <= options.members; i++) {
+    people.push({
+      utorid: `membr${pad(i)}`,
+      name: `${rng.pick(FIRST_NAMES)} ${rng.pick(LAST_NAMES)}`,
+      role: 'regular',
+      // A few members have not been verified or flagged, so those screens have something to show
+      verified: !rng.chance(0.1),
+      suspicious: rng.chance(0.05)
+    });
+  }
+
+  const users = [];
+  for (const p of people) {
+    const createdAt = new Date(now - (HISTORY_DAYS + rng.int(1, 60)) * DAY);
+    const neverLoggedIn = p.role === 'regular' && rng.chance(0.15);
+    users.push(await prisma.user.create({
+      data: {
+        utorid: p.utorid,
+        name: p.name,
+        email: `${p.utorid}@mail.utoronto.ca`,
+        passwordHash,
+        role: p.role,
+        verified: p.verified ?? true,
+        suspicious: p.suspicious ?? false,
+        birthday: rng.chance(0.6) ? `${rng.int(1995, 2006)}-${String(rng.int(1, 12)).padStart(2, '0')}-${String(rng.int(1, 28)).padStart(2, '0')}` : null,
+        createdAt,
+        lastLogin: neverLoggedIn ? null : new Date(now - rng.int(0, 30) * DAY - rng.int(0, 86399) * 1000)
+      }
+    }));
+  }
+  return users;
+};
+
+// Expired, active and upcoming promotions, alternating between automatic and one-time
+const seedPromotions = async (prisma, rng, options, now) => {
+  const promotions = [];
+  for (let i = 0; i < options.promotions; i++) {
+    const phase = ['expired', 'active', 'upcoming'][Math.floor(i / 2) % 3];
+    const type = i % 2 === 0 ? 'automatic' : 'onetime';
+    const startTime = phase === 'expired' ? new Date(now - rng.int(60, HISTORY_DAYS - 30) * DAY)
+      : phase === 'active' ? new Date(now - rng.int(14, 90) * DAY)
+        : new Date(now + rng.int(3, 30) * DAY);
+    const endTime = phase === 'expired' ? new Date(startTime.getTime() + rng.int(14, 30) * DAY)
+      : new Date(Math.max(now, startTime.getTime()) + rng.int(14, 60) * DAY);
+    const data = {
+      name: `${PROMOTION_NAMES[i % PROMOTION_NAMES.length]}${i >= PROMOTION_NAMES.length ? ` ${Math.floor(i / PROMOTION_NAMES.length) + 1}` : ''}`,
+      description: type === 'automatic' ? 'Extra points on every qualifying purchase' : 'A one-time bonus, applied by a cashier',
+      type,
+      startTime,
+      endTime,
+      minSpending: rng.chance(0.5) ? rng.pick([5, 10, 20]) : null,
+      rate: type === 'automatic' ? rng.pick([0.01, 0.02, 0.05]) : null,
+      points: type === 'onetime' ? rng.pick([25, 50, 100]) : null
+    };
+    promotions.push(await prisma.promotion.create({ data }));
+  }
+  return promotions;
+};
+
+const seedRewards = async (prisma, now) => {
+  const rewards = [];
+  for (const { upcoming, ...data } of REWARDS) {
+    const startTime = upcoming ? new Date(now + 30 * DAY) : null;
+    rewards.push(await prisma.reward.create({ data: { ...data, startTime } }));
+  }
+  return rewards;
+};
+
+// Ended events (published, with guests who were awarded points), one running now, and upcoming ones
+const seedEvents = async (prisma, rng, options, now, members, staff) => {
+  const events = [];
+  const verified = members.filter((u) => u.verified);
+  for (let i = 0; i < options.events; i++) {
+    const phase = ['ended', 'ended', 'ongoing', 'upcoming', 'upcoming-draft'][i % 5];
+    const startTime = phase === 'ended' ? new Date(now - rng.int(7, HISTORY_DAYS - 7) * DAY)
+      : phase === 'ongoing' ? new Date(now - rng.int(1, 3) * 3600e3)
+        : new Date(now + rng.int(3, 45) * DAY);
+    const endTime = new Date(startTime.getTime() + rng.int(2, 5) * 3600e3 + (phase === 'ongoing' ? 6 * 3600e3 : 0));
+    const capacity = rng.chance(0.3) ? null : rng.int(8, 40);
+    const pointsTotal = rng.pick([200, 300, 500, 1000]);
+
+    const event = await prisma.event.create({
+      data: {
+        name: EVENT_NAMES[i % EVENT_NAMES.length],
+        description: 'Hosted by the CSSU. Everyone welcome!',
+        location: rng.pick(LOCATIONS),
+        startTime,
+        endTime,
+        capacity,
+        published: phase !== 'upcoming-draft',
+        pointsTotal,
+        pointsRemain: pointsTotal,
+        pointsAwarded: 0
+      }
+    });
+
+    const organizers = [rng.pick(staff), ...rng.sample(verified, rng.int(0, 1))];
+    const candidates = verified.filter((u) => !organizers.includes(u));
+    const guests = phase === 'upcoming-draft' ? [] : rng.sample(candidates, Math.min(capacity ?? 25, rng.int(3, 25)));
+    for (const o of organizers) await prisma.eventOrganizer.create({ data: { eventId: event.id, userId: o.id } });
+    for (const g of guests) await prisma.eventGuest.create({ data: { eventId: event.id, userId: g.id } });
+
+    events.push({ ...event, phase, organizers, guests });
+  }
+  return events;
+};
+
+// Replays a history of activity in time order, keeping an in-memory ledger so that every
+// redemption and transfer is affordable and the final balances match the transactions.
+// Purchases earn under the saved program rules, which the seed leaves in place.
+const seedHistory = async (prisma, rng, options, now, {
+  members, cashiers, managers, promotions, events, rewards, program
+}) => {
+  const balance = new Map(members.map((u) => [u.id, 0]));
+  const usedOneTime = new Set();
+  const purchasesOf = new Map();
+  const stockOf = new Map(rewards.map((r) => [r.id, r.stock]));
+  // The whole history fits in the tier window, so every credited purchase counts toward a tier
+  const spendOf = new Map();
+  const verified = members.filter((u) => u.verified);
+  const counts = { purchase: 0, adjustment: 0, transfer: 0, redemption: 0, event: 0 };
+
+  const timeline = [];
+  for (let i = 0; i < options.transactions; i++) {
+    timeline.push({ at: now - rng.next() * HISTORY_DAYS * DAY, kind: 'activity' });
+  }
+  for (const e of events) {
+    if (e.phase === 'ended' && e.guests.length > 0) timeline.push({ at: e.endTime.getTime() - 600e3, kind: 'award', event: e });
+  }
+  timeline.sort((a, b) => a.at - b.at);
+
+  const record = async (data, at) => prisma.transaction.create({ data: { ...data, createdAt: new Date(at) } });
+
+  const purchase = async (at) => {
+    const member = rng.pick(members);
+    const cashier = rng.pick(cashiers);
+    const spent = rng.int(150, 15000) / 100;
+    const active = promotions.filter((p) => p.startTime.getTime() <= at && p.endTime.getTime() >= at);
+    const applied = active.filter((p) => p.type === 'automatic');
+    for (const p of active.filter((p) => p.type === 'onetime')) {
+      const key = `${member.id}:${p.id}`;
+      if (!usedOneTime.has(key) && rng.chance(0.5)) {
+        usedOneTime.add(key);
+        applied.push(p);
+        await prisma.userPromotionUsage.create({ data: { userId: member.id, promotionId: p.id, usedAt: new Date(at) } });
+      }
+    }
+    const multiplier = tierForSpend(spendOf.get(member.id) ?? 0).multiplier;
+    const { earned } = calculateEarnings({ spent, promotions: applied, multiplier, program });
+    const suspicious = member.suspicious && rng.chance(0.5);
+    const tx = await record({
+      userId: member.id, type: 'purchase', amount: earned, spent, remark: '', suspicious,
+      createdById: cashier.id, processedById: cashier.id,
+      promotions: { create: applied.map((p) => ({ promotionId: p.id })) }
+    }, at);
+    if (!suspicious) {
+      balance.set(member.id, balance.get(member.id) + earned);
+      spendOf.set(member.id, (spendOf.get(member.id) ?? 0) + spent);
+    }
+    purchasesOf.set(member.id, [...(purchasesOf.get(member.id) || []), tx]);
+    counts.purchase++;
+  };
+
+  const adjustment = async (at) => {
+    const withPurchases = members.filter((u) => purchasesOf.has(u.id));
+    if (withPurchases.length === 0) return purchase(at);
+    const member = rng.pick(withPurchases);
+    const related = rng.pick(purchasesOf.get(member.id));
+    const amount = rng.chance(0.5) ? rng.int(5, 50) : -Math.min(balance.get(member.id), rng.int(5, 50));
+    if (amount === 0) return purchase(at);
+    const manager = rng.pick(managers);
+    await record({
+      userId: member.id, type: 'adjustment', amount, relatedId: related.id, suspicious: false,
+      remark: amount > 0 ? 'missed promotion' : 'price correction',
+      createdById: manager.id, processedById: manager.id
+    }, at);
+    balance.set(member.id, balance.get(member.id) + amount);
+    counts.adjustment++;
+  };
+
+  const transfer = async (at) => {
+    const senders = verified.filter((u) => balance.get(u.id) >= 10);
+    if (senders.length === 0 || verified.length < 2) return purchase(at);
+    const sender = rng.pick(senders);
+    const recipient = rng.pick(members.filter((u) => u.id !== sender.id));
+    const amount = rng.int(1, Math.min(balance.get(sender.id), 200));
+    const remark = rng.pick(REMARKS);
+    const common = { type: 'transfer', remark, createdById: sender.id, processedById: sender.id };
+    await record({ ...common, userId: sender.id, amount: -amount, relatedId: recipient.id }, at);
+    await record({ ...common, userId: recipient.id, amount, relatedId: sender.id }, at);
+    balance.set(sender.id, balance.get(sender.id) - amount);
+    balance.set(recipient.id, balance.get(recipient.id) + amount);
+    counts.transfer++;
+  };
+
+  // Most requests were processed within two days; a few were cancelled or rejected, some recent ones
+  // are still waiting for a cashier and, if expiry is on, some older ones went stale and expired
+  const redemption = async (at) => {
+    const offered = rewards.filter((r) => r.startTime == null && stockOf.get(r.id) !== 0);
+    const cheapest = Math.min(...offered.map((r) => r.cost));
+    const redeemers = verified.filter((u) => balance.get(u.id) >= cheapest);
+    if (redeemers.length === 0) return purchase(at);
+    const member = rng.pick(redeemers);
+    const reward = rng.pick(offered.filter((r) => r.cost <= balance.get(member.id)));
+    const cashier = rng.pick(cashiers);
+    const roll = rng.next();
+    const stale = REDEMPTION_EXPIRY.days > 0 && now - at > REDEMPTION_EXPIRY.days * DAY;
+    let outcome = { status: 'processed', processedById: cashier.id };
+    if (!stale && now - at < 14 * DAY && roll < 0.5) {
+      outcome = { status: 'pending' };
+    } else if (roll < 0.06) {
+      outcome = { status: 'cancelled', statusReason: 'Cancelled by the member' };
+    } else if (roll < 0.1) {
+      outcome = { status: 'rejected', statusReason: rng.pick(REJECT_REASONS) };
+    } else if (stale && roll < 0.15) {
+      outcome = {
+        status: 'expired',
+        statusReason: `Not redeemed within ${REDEMPTION_EXPIRY.days} days`,
+        closedAt: new Date(at + REDEMPTION_EXPIRY.days * DAY)
+      };
+    }
+    if (outcome.status !== 'pending' && !outcome.closedAt) {
+      outcome.closedAt = new Date(Math.min(now, at + rng.int(1, 48) * 3600e3));
+    }
+    await record({
+      userId: member.id, type: 'redemption', amount: reward.cost, rewardId: reward.id, remark: '',
+      createdById: member.id, ...outcome
+    }, at);
+    if (outcome.status === 'processed') {
+      balance.set(member.id, balance.get(member.id) - reward.cost);
+      if (reward.stock != null) stockOf.set(reward.id, stockOf.get(reward.id) - 1);
+    }
+    counts.redemption++;
+  };
+
+  const award = async (at, event) => {
+    const each = Math.min(50, Math.floor(event.pointsTotal / event.guests.length));
+    if (each <= 0) return;
+    const organizer = event.organizers[0];
+    for (const g of event.guests) {
+      await record({
+        userId: g.id, type: 'event', amount: each, relatedId: event.id, remark: '',
+        createdById: organizer.id, processedById: organizer.id
+      }, at);
+      if (balance.has(g.id)) balance.set(g.id, balance.get(g.id) + each);
+      counts.event++;
+    }
+    const awarded = each * event.guests.length;
+    await prisma.event.update({
+      where: { id: event.id },
+      data: { pointsRemain: event.pointsTotal - awarded, pointsAwarded: awarded }
+    });
+  };
+
+  const activities = [
+    [0.55, purchase],
+    [0.15, redemption],
+    [0.2, transfer],
+    [0.1, adjustment]
+  ];
+  for (const item of timeline) {
+    if (item.kind === 'award') {
+      await award(item.at, item.event);
+      continue;
+    }
+    let roll = rng.next();
+    const [, run] = activities.find(([weight]) => (roll -= weight) < 0) || activities[0];
+    await run(item.at);
+  }
+
+  for (const [userId, points] of balance) {
+    await prisma.user.update({ where: { id: userId }, data: { points } });
+  }
+  for (const r of rewards) {
+    if (r.stock != null) await prisma.reward.update({ where: { id: r.id }, data: { stock: stockOf.get(r.id) } });
+  }
+  return counts;
+};
+
+// Seeds `prisma` according to `options` (see parseOptions); returns a summary of what was created
+const seed = async (prisma, options = DEFAULTS) => {
+  const rng = createRng(options.seed);
+  // Whole hours keep the generated times readable
+  const now = Math.floor(Date.now() / 3600e3) * 3600e3;
+
+  await wipe(prisma);
+  const users = await seedUsers(prisma, rng, options, now);
+  const members = users.filter((u) => u.role === 'regular');
+  const cashiers = users.filter((u) => u.role === 'cashier');
+  const managers = users.filter((u) => u.role === 'manager');
+  const promotions = await seedPromotions(prisma, rng, options, now);
+  const events = await seedEvents(prisma, rng, options, now, members, [...cashiers, ...managers]);
+  const rewards = await seedRewards(prisma, now);
+  const transactions = members.length > 0 && cashiers.length > 0
+    ? await seedHistory(prisma, rng, options, now, {
+      members, cashiers, managers, promotions, events, rewards, program: await getProgramConfig(prisma)
+    })
+    : {};
+
+  return {
+    users: users.length, promotions: promotions.length, events: events.length, rewards: rewards.length, transactions
+  };
+};
+
+module.exports = { seed, parseOptions, createRng, PASSWORD };
+
+if (require.main === module) {
+  (async () => {
+    const prisma = require('../lib/prisma');
+    try {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('error: refusing to wipe and seed a production database.');
+        process.exit(1);
+      }
+      const options = parseOptions();
+      const summary = await seed(prisma, options);
+      console.log(`Seeded with "${options.seed}":`, summary);
+      console.log(`Accounts: ${STAFF.map((s) => `${s.utorid} (${s.role})`).join(', ')}, membr001-membr${pad(options.members)}`);
+      console.log(`Password for every account: ${PASSWORD}`);
+    } catch (err) {
+      console.error('cannot seed database:', err.message);
+      process.exitCode = 1;
+    } finally {
+      await prisma.$disconnect();
+    }
+  })();
+}
@@ -0,0 +1,54 @@
+'use strict';
+
+// Routes under /audit
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { auth, needRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+
+const router = express.Router();
+
+// Audit: list privileged changes, newest first (superuser)
+router.get('/', auth, needRole('superuser'), validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, page: pg, limit: lim } = req.query;
+
+    const where = {};
+    if (actor) {
+      // Accepts either a user id or a UTORid
+      where.actor = /^\d+$/.test(actor) ? { id: Number(actor) } : { utorid: actor };
+    }
+    if (action) where.action = action;
+    if (targetType) where.targetType = targetType;
+    if (targetId !== undefined) where.targetId = targetId;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+
+    const [count, rows] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where, skip: (pg - 1) * lim, take: lim, orderBy: { id: 'desc' },
+        include: { actor: { select: { id: true, utorid: true, name: true } } }
+      })
+    ]);
+
+    const results = rows.map(r => ({
+      id: r.id,
+      actor: r.actor,
+      action: r.action,
+      targetType: r.targetType,
+      targetId: r.targetId,
+      before: r.before == null ? null : JSON.parse(r.before),
+      after: r.after == null ? null : JSON.parse(r.after),
+      ip: r.ip,
+      createdAt: r.createdAt
+    }));
+    res.json({ count, results });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+module.exports = router;
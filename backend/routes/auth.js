@@ -0,0 +1,160 @@
+'use strict';
+
+// Routes under /auth: login, session refresh/logout and password resets
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../lib/prisma');
+const { DEV_MODE } = require('../config');
+const { optionalAuth } = require('../middleware/auth');
+const { rateLimit, tooManyRequests, resetRequestWait } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { now } = require('../lib/validation');
+const schemas = require('../schemas/auth');
+const { hashToken, issueSessionTokens } = require('../services/tokens');
+const { mailResetLink } = require('../services/mail');
+
+const router = express.Router();
+
+// Lockout: after LOCKOUT_THRESHOLD consecutive bad passwords, each further failure doubles the lock
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_SECONDS = Number(process.env.LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = 24 * 3600;
+const lockoutSeconds = (failures) => (failures < LOCKOUT_THRESHOLD
+  ? 0
+  : Math.min(LOCKOUT_MAX_SECONDS, LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD)));
+
+// A spent refresh token presented again within this window is a benign race, not a leak
+const REFRESH_REUSE_GRACE_MS = 10e3;
+
+// Auth: login returns JWT
+router.post('/tokens', rateLimit('login'), validate({ body: schemas.login }), async (req, res) => {
+  try {
+    const { utorid, password } = req.body;
+    const user = await prisma.user.findUnique({ where: { utorid } });
+    if (!user || !user.passwordHash) return res.status(401).json({ error: 'Unauthorized' });
+    if (user.lockedUntil && user.lockedUntil > now()) {
+      return tooManyRequests(res, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+    }
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) {
+      const failed = await prisma.user.update({ where: { id: user.id }, data: { failedLogins: { increment: 1 } } });
+      const lockFor = lockoutSeconds(failed.failedLogins);
+      if (lockFor > 0) {
+        await prisma.user.update({ where: { id: user.id }, data: { lockedUntil: new Date(Date.now() + lockFor * 1000) } });
+      }
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const tokens = await prisma.$transaction(async (px) => {
+      await px.user.update({ where: { id: user.id }, data: { lastLogin: now(), failedLogins: 0, lockedUntil: null } });
+      const session = await px.session.create({ data: { id: uuidv4(), userId: user.id } });
+      return issueSessionTokens(px, user, session.id);
+    });
+    res.json(tokens);
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Auth: exchange a refresh token for a new access/refresh pair (the old refresh token is spent)
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rt = await prisma.refreshToken.findUnique({
+      where: { id: hashToken(refreshToken) },
+      include: { session: { include: { user: true } } }
+    });
+    if (!rt || rt.session.revokedAt || rt.expiresAt <= now()) return res.status(401).json({ error: 'Unauthorized' });
+    if (rt.usedAt) {
+      // A spent token coming back outside the grace window means it leaked: end the whole session
+      if (Date.now() - rt.usedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+        await prisma.session.update({ where: { id: rt.sessionId }, data: { revokedAt: now() } });
+      }
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const tokens = await prisma.$transaction(async (px) => {
+      const claimed = await px.refreshToken.updateMany({ where: { id: rt.id, usedAt: null }, data: { usedAt: now() } });
+      if (claimed.count === 0) return null;
+      await px.session.update({ where: { id: rt.sessionId }, data: { lastUsedAt: now() } });
+      return issueSessionTokens(px, rt.session.user, rt.sessionId);
+    });
+    if (!tokens) return res.status(401).json({ error: 'Unauthorized' });
+    res.json(tokens);
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Auth: log out; revokes the session of the given refresh token, or every session of the caller
+router.delete('/sessions', optionalAuth, validate({ body: schemas.logout }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken !== undefined) {
+      const rt = await prisma.refreshToken.findUnique({ where: { id: hashToken(refreshToken) } });
+      if (rt) {
+        await prisma.session.updateMany({ where: { id: rt.sessionId, revokedAt: null }, data: { revokedAt: now() } });
+      }
+      return res.status(204).end();
+    }
+
+    if (!req.auth) return res.status(401).json({ error: 'Unauthorized' });
+    await prisma.session.updateMany({ where: { userId: req.auth.id, revokedAt: null }, data: { revokedAt: now() } });
+    return res.status(204).end();
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Auth: request a password reset token
+router.post('/resets', rateLimit('reset'), validate({ body: schemas.resetRequest }), async (req, res) => {
+  try {
+    const { utorid } = req.body;
+
+    const wait = resetRequestWait(req.ip);
+    if (wait > 0) return tooManyRequests(res, wait);
+
+    const u = await prisma.user.findUnique({ where: { utorid } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+    await prisma.resetToken.deleteMany({ where: { userId: u.id } });
+
+    const resetToken = uuidv4();
+    const expiresAt = new Date(Date.now() + 3600e3);
+
+    await prisma.resetToken.create({ data: { id: resetToken, userId: u.id, expiresAt, consumed: false } });
+    await mailResetLink(u, 'reset', resetToken, expiresAt);
+
+    return res.status(202).json({
+      expiresAt: expiresAt.toISOString(),
+      ...(DEV_MODE && { resetToken })
+    });
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Auth: complete password reset
+router.post('/resets/:resetToken', rateLimit('reset-complete'), validate({ body: schemas.resetComplete }), async (req, res) => {
+  try {
+    const t = await prisma.resetToken.findUnique({ where: { id: req.params.resetToken } });
+    if (!t) return res.status(404).json({ error: 'Not Found' });
+    if (t.consumed) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    const expMs = new Date(t.expiresAt).getTime();
+    if (!Number.isFinite(expMs) || expMs <= Date.now()) {
+      return res.status(410).json({ error: 'Gone' });
+    }
+
+    const u = await prisma.user.findUnique({ where: { id: t.userId } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+    const { utorid, password } = req.body;
+    if (u.utorid !== utorid) return res.status(401).json({ error: 'Unauthorized' });
+    const passwordHash = await bcrypt.hash(password, 10);
+    await prisma.$transaction([
+      prisma.user.update({ where: { id: u.id }, data: { passwordHash, failedLogins: 0, lockedUntil: null } }),
+      prisma.resetToken.delete({ where: { id: t.id } }),
+      prisma.session.updateMany({ where: { userId: u.id, revokedAt: null }, data: { revokedAt: now() } })
+    ]);
+    res.json({ ok: true });
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
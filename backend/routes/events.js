@@ -0,0 +1,720 @@
+'use strict';
+
+// Routes under /events: events, organizers, guests and point awards
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { ORDER, auth, needRole } = require('../middleware/auth');
+const { now } = require('../lib/validation');
+const { validate, parseOrReject, badRequest } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const schemas = require('../schemas/events');
+const { pickFields, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Events: create
+router.post('/', auth, needRole('manager'), validate({ body: schemas.create }), async (req, res) => {
+  try {
+    const { name, description, location, startTime, endTime, capacity, points } = req.body;
+
+    const e = await prisma.event.create({
+      data: {
+        name,
+        description,
+        location,
+        startTime,
+        endTime,
+        capacity: capacity ?? null,
+        published: false,
+        pointsTotal: points,
+        pointsRemain: points,
+        pointsAwarded: 0
+      }
+    });
+
+    return res.status(201).json({
+      id: e.id,
+      name: e.name,
+      description: e.description,
+      location: e.location,
+      startTime: e.startTime,
+      endTime: e.endTime,
+      capacity: e.capacity,
+      pointsRemain: e.pointsRemain,
+      pointsAwarded: e.pointsAwarded,
+      published: e.published,
+      organizers: [],
+      guests: []
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Events: list (role-aware, capacity filter)
+router.get('/', auth, validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const { name, location, started, ended, showFull, published, page, limit } = req.query;
+
+    const isManager = (ORDER[req.auth.role] >= ORDER['manager']);
+    const n = now();
+    const where = {};
+    if (name)     where.name     = { contains: name,     mode: 'insensitive' };
+    if (location) where.location = { contains: location, mode: 'insensitive' };
+    if (started === true) where.startTime = { lte: n };
+    if (ended   === true) where.endTime   = { lt:  n };
+
+    if (isManager) {
+      if (published !== undefined) where.published = published;
+    } else {
+      where.published = true;
+    }
+
+    const skip  = (page - 1) * limit;
+    const take  = limit;
+
+    const [ids] = await Promise.all([
+      prisma.event.findMany({ where, orderBy: { id: 'asc' }, select: { id: true } })
+    ]);
+
+    const visibleIds = [];
+    for (const row of ids) {
+      const e = await prisma.event.findUnique({ where: { id: row.id }, select: { capacity: true } });
+      let numGuests = 0;
+      if (e) numGuests = await prisma.eventGuest.count({ where: { eventId: row.id } });
+      const isFull = (e && e.capacity != null && numGuests >= e.capacity);
+      if (!isFull || showFull === true) visibleIds.push(row.id);
+    }
+
+    const count = visibleIds.length;
+    const pageIds = visibleIds.slice(skip, skip + take);
+
+    const rows = await prisma.event.findMany({
+      where: { id: { in: pageIds } },
+      orderBy: { id: 'asc' }
+    });
+
+    const results = [];
+    for (const e of rows) {
+      const numGuests = await prisma.eventGuest.count({ where: { eventId: e.id } });
+      if (isManager) {
+
+        results.push({
+          id: e.id, name: e.name, location: e.location,
+          startTime: e.startTime, endTime: e.endTime, capacity: e.capacity,
+          pointsRemain: e.pointsRemain, pointsAwarded: e.pointsAwarded, published: e.published,
+          numGuests
+        });
+      } else {
+
+        results.push({
+          id: e.id, name: e.name, location: e.location,
+          startTime: e.startTime, endTime: e.endTime, capacity: e.capacity,
+          numGuests
+        });
+      }
+    }
+
+    return res.json({ count, results });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Events: get details (role-aware)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const e = await prisma.event.findUnique({ where: { id } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    const isManager   = ORDER[req.auth.role] >= ORDER['manager'];
+    const isOrganizer = !!(await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId: id, userId: req.auth.id } }
+    }).catch(() => null));
+
+    if (!e.published && !(isManager || isOrganizer)) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const organizerRows = await prisma.eventOrganizer.findMany({
+      where: { eventId: id },
+      include: { user: { select: { id: true, utorid: true, name: true } } }
+    });
+    const organizers = organizerRows.map(o => ({
+      id: o.user.id,
+      utorid: o.user.utorid,
+      name: o.user.name
+    }));
+
+    const guestRows = await prisma.eventGuest.findMany({
+      where: { eventId: id },
+      include: { user: { select: { id: true, utorid: true, name: true } } }
+    });
+    const numGuests = guestRows.length;
+
+    if (isManager || isOrganizer) {
+      const guests = guestRows.map(g => ({
+        id: g.user.id,
+        utorid: g.user.utorid,
+        name: g.user.name
+
+      }));
+
+      return res.json({
+        id: e.id,
+        name: e.name,
+        description: e.description,
+        location: e.location,
+        startTime: e.startTime,
+        endTime: e.endTime,
+        capacity: e.capacity,
+        pointsTotal: e.pointsTotal,
+        pointsRemain: e.pointsRemain,
+        pointsAwarded: e.pointsAwarded,
+        published: e.published,
+        organizers,
+        guests
+      });
+    }
+
+    return res.json({
+      id: e.id,
+      name: e.name,
+      description: e.description,
+      location: e.location,
+      startTime: e.startTime,
+      endTime: e.endTime,
+      capacity: e.capacity,
+      organizers,
+      numGuests
+    });
+
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Events: update (manager or organizer)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const e = await prisma.event.findUnique({ where: { id } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    const isManager   = ORDER[req.auth.role] >= ORDER['manager'];
+    const isOrganizer = !!(await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId: id, userId: req.auth.id } }
+    }).catch(() => null));
+
+    if (!isManager && !isOrganizer) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const body = parseOrReject(schemas.update, req.body, res);
+    if (!body) return;
+
+    const afterStart = e.startTime <= now();
+    const afterEnd   = e.endTime   <  now();
+    const data = {};
+    const startedIssue = (field) => badRequest(res, [{ field, message: 'Cannot change after the event has started' }]);
+
+    if (body.published != null) {
+      if (!isManager) return res.status(403).json({ error: 'Forbidden' });
+      data.published = true;
+    }
+
+    for (const key of ['name', 'description', 'location']) {
+      if (body[key] != null) {
+        if (afterStart) return startedIssue(key);
+        data[key] = body[key];
+      }
+    }
+
+    if (body.startTime != null) {
+      if (afterStart) return startedIssue('startTime');
+      if (!(body.startTime > now())) {
+        return badRequest(res, [{ field: 'startTime', message: 'Must be in the future' }]);
+      }
+      data.startTime = body.startTime;
+    }
+
+    if (body.endTime != null) {
+      if (afterEnd) return badRequest(res, [{ field: 'endTime', message: 'Cannot change after the event has ended' }]);
+      const stBase = data.startTime || e.startTime;
+      if (!(body.endTime > stBase)) {
+        return badRequest(res, [{ field: 'endTime', message: 'Must be after the start time' }]);
+      }
+      data.endTime = body.endTime;
+    }
+
+    if (body.capacity != null) {
+      if (afterStart) return startedIssue('capacity');
+      const numGuests = await prisma.eventGuest.count({ where: { eventId: id } });
+      if (body.capacity < numGuests) {
+        return badRequest(res, [{ field: 'capacity', message: `Must be at least the ${numGuests} confirmed guests` }]);
+      }
+      data.capacity = body.capacity;
+    }
+
+    if (body.points != null) {
+      if (!isManager) return res.status(403).json({ error: 'Forbidden' });
+      const delta = body.points - e.pointsTotal;
+      if (e.pointsRemain + delta < 0) {
+        return badRequest(res, [{ field: 'points', message: `Must be at least the ${e.pointsAwarded} points already awarded` }]);
+      }
+      data.pointsTotal  = body.points;
+      data.pointsRemain = e.pointsRemain + delta;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return badRequest(res, [{ field: '', message: 'No changes to apply' }]);
+    }
+
+    const updated = await prisma.$transaction(async (px) => {
+      const ev = await px.event.update({ where: { id }, data });
+      await recordAudit(px, req, {
+        action: 'event.update',
+        targetType: 'event',
+        targetId: id,
+        before: pickFields(e, Object.keys(data)),
+        after: pickFields(ev, Object.keys(data))
+      });
+      return ev;
+    });
+    return res.json(updated);
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Events: delete if unpublished
+router.delete('/:id', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const e = await prisma.event.findUnique({ where: { id } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    if (e.published === true) {
+      return badRequest(res, [{ field: '', message: 'Published events cannot be deleted' }]);
+    }
+
+    await prisma.$transaction(async (px) => {
+      await px.eventGuest.deleteMany({ where: { eventId: id } });
+      await px.eventOrganizer.deleteMany({ where: { eventId: id } });
+      await px.transaction.deleteMany({
+        where: { type: 'event', relatedId: id },
+      });
+      await px.event.delete({ where: { id } });
+      await recordAudit(px, req, { action: 'event.delete', targetType: 'event', targetId: id, before: e });
+    });
+
+    return res.status(204).end();
+  } catch (e) {
+
+    if (e && e.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Event organizers: add (manager)
+router.post('/:id/organizers', auth, needRole('manager'), validate({ body: schemas.organizer }), async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    const { utorid } = req.body;
+
+    const e = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+    if (e.endTime < now()) return res.status(410).json({ error: 'Gone' });
+
+    const u = await prisma.user.findUnique({ where: { utorid } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+
+    const guest = await prisma.eventGuest.findUnique({
+      where: { eventId_userId: { eventId, userId: u.id } }
+    }).catch(() => null);
+    if (guest) return badRequest(res, [{ field: 'utorid', message: 'Is a guest of this event; remove them first' }]);
+
+    await prisma.$transaction([
+      prisma.eventOrganizer.upsert({
+        where: { eventId_userId: { eventId, userId: u.id } },
+        update: {},
+        create: { eventId, userId: u.id }
+      }),
+      recordAudit(prisma, req, { action: 'event.organizer.add', targetType: 'event', targetId: eventId, after: { organizer: u.utorid } })
+    ]);
+
+    const organizers = await prisma.eventOrganizer.findMany({
+      where: { eventId },
+      include: { user: { select: { id: true, utorid: true, name: true } } }
+    });
+
+    return res.status(201).json({
+      id: e.id,
+      name: e.name,
+      location: e.location,
+      organizers: organizers.map(o => ({
+        id: o.user.id, utorid: o.user.utorid, name: o.user.name
+      }))
+    });
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Event organizers: remove (manager)
+router.delete('/:id/organizers/:userId', auth, needRole('manager'), async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    const userId = Number(req.params.userId);
+    const exists = await prisma.eventOrganizer.findUnique({ where: { eventId_userId: { eventId, userId } } }).catch(() => null);
+    if (!exists) return res.status(404).json({ error: 'Not Found' });
+    await prisma.$transaction([
+      prisma.eventOrganizer.delete({ where: { eventId_userId: { eventId, userId } } }),
+      recordAudit(prisma, req, { action: 'event.organizer.remove', targetType: 'event', targetId: eventId, before: { organizerId: userId } })
+    ]);
+    res.status(204).end();
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Event guests: add (manager or organizer)
+router.post('/:id/guests', auth, validate({ body: schemas.guest }), async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    const { utorid } = req.body;
+
+    const e = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    const isManager = ORDER[req.auth.role] >= ORDER['manager'];
+    const isOrganizer = !!(await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    }).catch(() => null));
+    if (!isManager && !isOrganizer) return res.status(403).json({ error: 'Forbidden' });
+    if (isOrganizer && !e.published) return res.status(404).json({ error: 'Not Found' });
+    if (e.endTime < now()) return res.status(410).json({ error: 'Gone' });
+
+    const u = await prisma.user.findUnique({ where: { utorid } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+
+    const org = await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId, userId: u.id } }
+    }).catch(() => null);
+    if (org) return badRequest(res, [{ field: 'utorid', message: 'Is an organizer of this event' }]);
+
+    if (await prisma.eventGuest.findUnique({
+      where: { eventId_userId: { eventId, userId: u.id } }
+    }).catch(() => null)) {
+      return badRequest(res, [{ field: 'utorid', message: 'Is already on the guest list' }]);
+    }
+
+    if (e.capacity != null) {
+      const cnt = await prisma.eventGuest.count({ where: { eventId } });
+      if (cnt >= e.capacity) return res.status(410).json({ error: 'Gone' });
+    }
+
+    await prisma.eventGuest.create({ data: { eventId, userId: u.id } });
+
+    const numGuests = await prisma.eventGuest.count({ where: { eventId } });
+
+    return res.status(201).json({
+      id: e.id,
+      name: e.name,
+      location: e.location,
+      guestAdded: { id: u.id, utorid: u.utorid, name: u.name },
+      numGuests
+    });
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Event guests: self cancel RSVP
+router.delete('/:id/guests/me', auth, async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+
+    const e = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!e) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    if (e.endTime < now()) {
+      return res.status(410).json({ error: 'Gone' });
+    }
+
+    const guest = await prisma.eventGuest.findUnique({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    }).catch(() => null);
+
+    if (!guest) {
+
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    await prisma.eventGuest.delete({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    });
+
+    return res.status(204).end();
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Event guests: remove by manager
+router.delete('/:id/guests/:userId', auth, needRole('manager'), async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    const userId = Number(req.params.userId);
+    const exists = await prisma.eventGuest.findUnique({ where: { eventId_userId: { eventId, userId } } }).catch(() => null);
+    if (!exists) return res.status(404).json({ error: 'Not Found' });
+    await prisma.eventGuest.delete({ where: { eventId_userId: { eventId, userId } } });
+    res.status(204).end();
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Event guests: self RSVP
+router.post('/:id/guests/me', auth, async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    if (!Number.isInteger(eventId) || eventId <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const e = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    if (!e.published) return res.status(404).json({ error: 'Not Found' });
+
+    if (e.endTime < now()) return res.status(410).json({ error: 'Gone' });
+
+    const org = await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    }).catch(() => null);
+    if (org) return badRequest(res, [{ field: '', message: 'Organizers cannot join their own event as guests' }]);
+
+    const existingGuest = await prisma.eventGuest.findUnique({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    }).catch(() => null);
+    if (existingGuest) return badRequest(res, [{ field: '', message: 'You are already on the guest list' }]);
+
+    if (e.capacity != null) {
+      const cnt = await prisma.eventGuest.count({ where: { eventId } });
+      if (cnt >= e.capacity) {
+        return res.status(410).json({ error: 'Gone' });
+      }
+    }
+
+    const me = await prisma.user.findUnique({
+      where: { id: req.auth.id },
+      select: { id: true, utorid: true, name: true }
+    });
+
+    await prisma.eventGuest.create({
+      data: { eventId, userId: req.auth.id }
+    });
+
+    const numGuests = await prisma.eventGuest.count({ where: { eventId } });
+
+    return res.status(201).json({
+      id: e.id,
+      name: e.name,
+      location: e.location,
+      guestAdded: {
+        id: me.id,
+        utorid: me.utorid,
+        name: me.name
+      },
+      numGuests
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Event awards: grant points to one/all guests
+router.post('/:id/transactions', auth, validate({ body: schemas.award }), idempotent, async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+    if (!Number.isInteger(eventId) || eventId <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const { utorid, amount: award, remark } = req.body;
+
+    const e = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!e) return res.status(404).json({ error: 'Not Found' });
+
+    const isManager = ORDER[req.auth.role] >= ORDER['manager'];
+    const isOrganizer = !!(await prisma.eventOrganizer.findUnique({
+      where: { eventId_userId: { eventId, userId: req.auth.id } }
+    }).catch(() => null));
+
+    if (!isManager && !isOrganizer) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const hasUtorid = typeof utorid === 'string' && utorid.length > 0;
+
+    if (!hasUtorid) {
+      const guests = await prisma.eventGuest.findMany({
+        where: { eventId },
+        include: { user: { select: { id: true, utorid: true } } }
+      });
+
+      const needed = award * guests.length;
+
+      if (e.pointsRemain < needed) {
+        return badRequest(res, [{ field: 'amount', message: `Only ${e.pointsRemain} points remain for this event` }]);
+      }
+
+      if (guests.length === 0) {
+
+        return res.status(200).json([]);
+      }
+
+      const results = [];
+      await prisma.$transaction(async (px) => {
+        for (const g of guests) {
+          const tx = await px.transaction.create({
+            data: {
+              userId: g.user.id,
+              type: 'event',
+              amount: award,
+              remark,
+              relatedId: eventId,
+              createdById: req.auth.id,
+              processedById: req.auth.id
+            }
+          });
+
+          results.push({
+            id: tx.id,
+            recipient: g.user.utorid,
+            awarded: award,
+            type: 'event',
+            relatedId: eventId,
+            remark,
+            createdBy: req.auth.utorid
+          });
+
+          await px.user.update({
+            where: { id: g.user.id },
+            data: { points: { increment: award } }
+          });
+        }
+
+        await px.event.update({
+          where: { id: eventId },
+          data: {
+            pointsRemain: { decrement: needed },
+            pointsAwarded: { increment: needed }
+          }
+        });
+
+        await recordAudit(px, req, {
+          action: 'event.award',
+          targetType: 'event',
+          targetId: eventId,
+          before: { pointsRemain: e.pointsRemain, pointsAwarded: e.pointsAwarded },
+          after: {
+            pointsRemain: e.pointsRemain - needed,
+            pointsAwarded: e.pointsAwarded + needed,
+            recipients: guests.map((g) => g.user.utorid),
+            amount: award
+          }
+        });
+      });
+
+      return res.status(200).json(results);
+    }
+
+    const user = await prisma.user.findUnique({ where: { utorid } });
+    if (!user) return res.status(404).json({ error: 'Not Found' });
+
+    const isGuest = await prisma.eventGuest.findUnique({
+      where: { eventId_userId: { eventId, userId: user.id } }
+    }).catch(() => null);
+
+    if (!isGuest) {
+      return badRequest(res, [{ field: 'utorid', message: 'Not a guest of this event' }]);
+    }
+
+    if (e.pointsRemain < award) {
+      return badRequest(res, [{ field: 'amount', message: `Only ${e.pointsRemain} points remain for this event` }]);
+    }
+
+    const tx = await prisma.$transaction(async (px) => {
+      const created = await px.transaction.create({
+        data: {
+          userId: user.id,
+          type: 'event',
+          amount: award,
+          remark,
+          relatedId: eventId,
+          createdById: req.auth.id,
+          processedById: req.auth.id
+        }
+      });
+
+      await px.user.update({
+        where: { id: user.id },
+        data: { points: { increment: award } }
+      });
+
+      await px.event.update({
+        where: { id: eventId },
+        data: {
+          pointsRemain: { decrement: award },
+          pointsAwarded: { increment: award }
+        }
+      });
+
+      await recordAudit(px, req, {
+        action: 'event.award',
+        targetType: 'event',
+        targetId: eventId,
+        before: { pointsRemain: e.pointsRemain, pointsAwarded: e.pointsAwarded },
+        after: {
+          pointsRemain: e.pointsRemain - award,
+          pointsAwarded: e.pointsAwarded + award,
+          recipients: [user.utorid],
+          amount: award
+        }
+      });
+
+      return created;
+    });
+
+    return res.status(201).json({
+      id: tx.id,
+      recipient: utorid,
+      awarded: award,
+      type: 'event',
+      relatedId: eventId,
+      remark,
+      createdBy: req.auth.utorid
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+'use strict';
+
+// Routes under /ledger: balance integrity checks
+const express = require('express');
+const { auth, needRole } = require('../middleware/auth');
+const { findDiscrepancies, reconcileBalances } = require('../services/ledger');
+
+const router = express.Router();
+
+// Ledger: list users whose balance disagrees with their transaction history (superuser)
+router.get('/', auth, needRole('superuser'), async (req, res) => {
+  try {
+    res.json(await findDiscrepancies());
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Ledger: write a correcting adjustment for every discrepancy (superuser)
+router.post('/reconcile', auth, needRole('superuser'), async (req, res) => {
+  try {
+    res.json(await reconcileBalances(req));
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+module.exports = router;
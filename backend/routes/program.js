@@ -0,0 +1,48 @@
+'use strict';
+
+// Routes under /program: earning rules for the whole program
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { auth, needRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getProgramConfig } = require('../services/points');
+const { pickFields, recordAudit } = require('../services/audit');
+const schemas = require('../schemas/program');
+
+const router = express.Router();
+const RULES = ['earnRate', 'rounding', 'maxPointsPerPurchase', 'minSpend'];
+
+// Program: current earning rules
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await getProgramConfig());
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Program: change earning rules; applies to purchases from now on (superuser)
+router.patch('/', auth, needRole('superuser'), validate({ body: schemas.update }), async (req, res) => {
+  try {
+    const updated = await prisma.$transaction(async (px) => {
+      const current = pickFields(await getProgramConfig(px), RULES);
+      await px.programConfig.upsert({
+        where: { id: 1 },
+        update: req.body,
+        create: { ...current, ...req.body, id: 1 }
+      });
+      const after = await getProgramConfig(px);
+      // Setting rules to the values they already have is not a change worth auditing
+      if (RULES.every((k) => after[k] === current[k])) return after;
+      await recordAudit(px, req, {
+        action: 'program.update',
+        targetType: 'program',
+        targetId: 1,
+        before: current,
+        after: pickFields(after, RULES)
+      });
+      return after;
+    });
+    res.json(updated);
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+'use strict';
+
+// Routes under /promotions
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { ORDER, auth, needRole } = require('../middleware/auth');
+const { now } = require('../lib/validation');
+const { validate, parseOrReject, badRequest } = require('../middleware/validate');
+const schemas = require('../schemas/promotions');
+const { isActivePromo } = require('../services/points');
+const { pickFields, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const presentPromo = (p) => ({
+  id: p.id,
+  name: p.name,
+  description: p.description,
+  type: p.type === 'onetime' ? 'one-time' : p.type,
+  startTime: p.startTime,
+  endTime: p.endTime,
+  minSpending: p.minSpending,
+  rate: p.rate,
+  points: p.points,
+});
+
+// Promotions: create
+router.post('/', auth, needRole('manager'), validate({ body: schemas.create }), async (req, res) => {
+  try {
+    const { name, description, type, startTime, endTime, minSpending, rate, points } = req.body;
+    if (!(startTime > now())) {
+      return badRequest(res, [{ field: 'startTime', message: 'Must be in the future' }]);
+    }
+
+    const created = await prisma.$transaction(async (px) => {
+      const promo = await px.promotion.create({
+        data: {
+          name,
+          description,
+          type,
+          startTime,
+          endTime,
+          minSpending: minSpending ?? null,
+          rate: rate ?? null,
+          points: points ?? null
+        }
+      });
+      await recordAudit(px, req, { action: 'promotion.create', targetType: 'promotion', targetId: promo.id, after: promo });
+      return promo;
+    });
+    return res.status(201).json(presentPromo(created));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Promotions: list (role-aware view)
+router.get('/', auth, validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const { page, limit, name: nameQ, type: typeNorm, active, started, ended } = req.query;
+    const skip = (page - 1) * limit;
+    const take = limit;
+    const nowTime = now();
+
+    if (ORDER[req.auth.role] === ORDER['regular'] || ORDER[req.auth.role] === ORDER['cashier']) {
+      const where = {
+        startTime: { lte: nowTime },
+        endTime:   { gt:  nowTime }
+      };
+
+      if (nameQ !== undefined) {
+        where.name = { contains: nameQ, mode: 'insensitive' };
+      }
+
+      if (typeNorm) {
+
+        where.type = typeNorm;
+      }
+
+      const activeRows = await prisma.promotion.findMany({
+        where,
+        orderBy: { id: 'asc' }
+      });
+
+      const used = await prisma.userPromotionUsage.findMany({
+        where: { userId: req.auth.id, usedAt: { not: null } },
+        select: { promotionId: true }
+      });
+      const usedSet = new Set(used.map(x => x.promotionId));
+
+      const usable = activeRows.filter(p => !usedSet.has(p.id));
+
+      const pageRows = usable.slice(skip, skip + take);
+
+      const results = pageRows.map(p => ({
+        id: p.id,
+        name: p.name,
+        type: p.type === 'onetime' ? 'one-time' : p.type,
+        endTime: p.endTime,
+        minSpending: p.minSpending,
+        rate: p.rate,
+        points: p.points
+      }));
+
+      return res.json({ count: usable.length, results });
+    }
+
+    const where = {};
+
+    if (nameQ !== undefined) {
+      where.name = { contains: nameQ, mode: 'insensitive' };
+    }
+    if (typeNorm) {
+      where.type = typeNorm;
+    }
+
+    if (active === true) {
+
+      where.startTime = { lte: nowTime };
+      where.endTime   = { gt:  nowTime };
+    } else if (started === true) {
+
+      where.startTime = { lte: nowTime };
+    } else if (ended === true) {
+
+      where.endTime   = { lt: nowTime };
+    }
+
+    const [count, rows] = await Promise.all([
+      prisma.promotion.count({ where }),
+      prisma.promotion.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { id: 'asc' }
+      })
+    ]);
+
+    const results = rows.map(p => ({
+      id: p.id,
+      name: p.name,
+      type: p.type === 'onetime' ? 'one-time' : p.type,
+      startTime: p.startTime,
+      endTime: p.endTime,
+      minSpending: p.minSpending,
+      rate: p.rate,
+      points: p.points
+    }));
+
+    return res.json({ count, results });
+  } catch (e) {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Promotions: get by id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const p = await prisma.promotion.findUnique({ where: { id } });
+    if (!p) return res.status(404).json({ error: 'Not Found' });
+
+    const isMgr = ORDER[req.auth.role] >= ORDER['manager'];
+    if (!isMgr && !isActivePromo(p)) return res.status(404).json({ error: 'Not Found' });
+
+    return res.json(presentPromo(p));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Promotions: update with time/state rules
+router.patch('/:id', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const p = await prisma.promotion.findUnique({ where: { id } });
+    if (!p) return res.status(404).json({ error: 'Not Found' });
+
+    // Parsed after the lookup so an unknown promotion is a 404 whatever the body holds
+    const body = parseOrReject(schemas.update, req.body, res);
+    if (!body) return;
+
+    const afterStart = p.startTime <= now();
+    const afterEnd   = p.endTime   <  now();
+    const data = {};
+    const given = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+    if (body.name != null) data.name = body.name;
+    if (body.description != null) data.description = body.description;
+
+    // Once started, type and start time are frozen; once ended, only name and description change
+    if (!afterEnd) {
+      if (afterStart && (given('type') || given('startTime'))) {
+        const field = given('type') ? 'type' : 'startTime';
+        return badRequest(res, [{ field, message: 'Cannot change after the promotion has started' }]);
+      }
+
+      if (body.type != null) data.type = body.type;
+
+      if (body.startTime != null) {
+        if (!(body.startTime > now())) {
+          return badRequest(res, [{ field: 'startTime', message: 'Must be in the future' }]);
+        }
+        data.startTime = body.startTime;
+      }
+
+      if (body.endTime != null) {
+        const stBase = data.startTime || p.startTime;
+        if (!(body.endTime > now() && body.endTime > stBase)) {
+          return badRequest(res, [{ field: 'endTime', message: 'Must be in the future and after the start time' }]);
+        }
+        data.endTime = body.endTime;
+      }
+
+      for (const key of ['minSpending', 'rate', 'points']) {
+        if (given(key)) data[key] = body[key] ?? null;
+      }
+    }
+
+    if (Object.keys(data).length === 0) {
+      return badRequest(res, [{ field: '', message: 'No changes that can be applied to this promotion' }]);
+    }
+
+    const updated = await prisma.$transaction(async (px) => {
+      const promo = await px.promotion.update({ where: { id }, data });
+      await recordAudit(px, req, {
+        action: 'promotion.update',
+        targetType: 'promotion',
+        targetId: id,
+        before: pickFields(p, Object.keys(data)),
+        after: pickFields(promo, Object.keys(data))
+      });
+      return promo;
+    });
+    return res.json(presentPromo(updated));
+  } catch (e) {
+    if (e?.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Promotions: delete if not started
+router.delete('/:id', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const p = await prisma.promotion.findUnique({ where: { id } });
+    if (!p) return res.status(404).json({ error: 'Not Found' });
+    if (p.startTime <= now()) return res.status(403).json({ error: 'Forbidden' });
+    await prisma.$transaction([
+      prisma.promotion.delete({ where: { id } }),
+      recordAudit(prisma, req, { action: 'promotion.delete', targetType: 'promotion', targetId: id, before: p })
+    ]);
+    return res.status(204).end();
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
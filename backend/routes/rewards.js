@@ -0,0 +1,158 @@
+'use strict';
+
+// Routes under /rewards: the catalog members redeem points against
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { auth, needRole, isManagerOrHigher } = require('../middleware/auth');
+const { validate, parseOrReject, badRequest } = require('../middleware/validate');
+const schemas = require('../schemas/rewards');
+const { availableWhere, isAvailableReward } = require('../services/rewards');
+const { pickFields, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const presentReward = (r) => ({
+  id: r.id,
+  name: r.name,
+  description: r.description,
+  cost: r.cost,
+  stock: r.stock,
+  startTime: r.startTime,
+  endTime: r.endTime,
+  imageUrl: r.imageUrl,
+  available: isAvailableReward(r)
+});
+
+// Rewards: create (manager)
+router.post('/', auth, needRole('manager'), validate({ body: schemas.create }), async (req, res) => {
+  try {
+    const { name, description, cost, stock, startTime, endTime, imageUrl } = req.body;
+    const created = await prisma.$transaction(async (px) => {
+      const reward = await px.reward.create({
+        data: {
+          name,
+          description,
+          cost,
+          stock: stock ?? null,
+          startTime: startTime ?? null,
+          endTime: endTime ?? null,
+          imageUrl: imageUrl ?? null
+        }
+      });
+      await recordAudit(px, req, { action: 'reward.create', targetType: 'reward', targetId: reward.id, after: reward });
+      return reward;
+    });
+    return res.status(201).json(presentReward(created));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Rewards: list (members see what they can redeem now; managers see everything)
+router.get('/', auth, validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const { page, limit, name, available } = req.query;
+    const isMgr = isManagerOrHigher(req.auth.role);
+
+    const where = {};
+    if (name !== undefined) where.name = { contains: name };
+    if (!isMgr || available === true) {
+      Object.assign(where, availableWhere());
+    } else if (available === false) {
+      where.NOT = availableWhere();
+    }
+
+    const [count, rows] = await Promise.all([
+      prisma.reward.count({ where }),
+      prisma.reward.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: [{ cost: 'asc' }, { id: 'asc' }]
+      })
+    ]);
+    return res.json({ count, results: rows.map(presentReward) });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Rewards: get by id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const r = await prisma.reward.findUnique({ where: { id } });
+    if (!r) return res.status(404).json({ error: 'Not Found' });
+    if (!isManagerOrHigher(req.auth.role) && !isAvailableReward(r)) return res.status(404).json({ error: 'Not Found' });
+    return res.json(presentReward(r));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Rewards: update (manager); pending redemptions keep the cost they were requested at
+router.patch('/:id', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const r = await prisma.reward.findUnique({ where: { id } });
+    if (!r) return res.status(404).json({ error: 'Not Found' });
+
+    const body = parseOrReject(schemas.update, req.body, res);
+    if (!body) return;
+
+    const data = {};
+    for (const key of ['name', 'description', 'cost', 'stock', 'startTime', 'endTime', 'imageUrl']) {
+      if (body[key] !== undefined) data[key] = body[key];
+    }
+    if (Object.keys(data).length === 0) {
+      return badRequest(res, [{ field: '', message: 'No changes to apply' }]);
+    }
+
+    const startTime = data.startTime !== undefined ? data.startTime : r.startTime;
+    const endTime = data.endTime !== undefined ? data.endTime : r.endTime;
+    if (startTime && endTime && !(endTime > startTime)) {
+      return badRequest(res, [{ field: 'endTime', message: 'Must be after the start time' }]);
+    }
+
+    const updated = await prisma.$transaction(async (px) => {
+      const reward = await px.reward.update({ where: { id }, data });
+      await recordAudit(px, req, {
+        action: 'reward.update',
+        targetType: 'reward',
+        targetId: id,
+        before: pickFields(r, Object.keys(data)),
+        after: pickFields(reward, Object.keys(data))
+      });
+      return reward;
+    });
+    return res.json(presentReward(updated));
+  } catch (e) {
+    if (e?.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Rewards: delete if never redeemed; otherwise end its window to retire it
+router.delete('/:id', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const r = await prisma.reward.findUnique({ where: { id } });
+    if (!r) return res.status(404).json({ error: 'Not Found' });
+    const redeemed = await prisma.transaction.count({ where: { rewardId: id } });
+    if (redeemed > 0) return res.status(403).json({ error: 'Forbidden' });
+    await prisma.$transaction([
+      prisma.reward.delete({ where: { id } }),
+      recordAudit(prisma, req, { action: 'reward.delete', targetType: 'reward', targetId: id, before: r })
+    ]);
+    return res.status(204).end();
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,594 @@
+'use strict';
+
+// Routes under /transactions: purchases, adjustments, listing and redemption processing
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { ORDER, auth, needRole, isManagerOrHigher } = require('../middleware/auth');
+const { now } = require('../lib/validation');
+const { pricePurchase } = require('../services/points');
+const { resolveCounterparts } = require('../services/counterparts');
+const { closeRedemption } = require('../services/redemptions');
+const { refundable, refundPurchase } = require('../services/refunds');
+const { takeStock } = require('../services/rewards');
+const { verifyQrToken } = require('../services/tokens');
+const { recordAudit } = require('../services/audit');
+const { validate, validateByType, parseOrReject, badRequest } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const schemas = require('../schemas/transactions');
+
+const router = express.Router();
+
+// Purchases are rung up by cashiers; adjustments need a manager
+const ROLE_FOR_TYPE = { purchase: 'cashier', adjustment: 'manager' };
+const needRoleForType = (req, res, next) => {
+  const kind = parseOrReject(schemas.kind, req.body, res);
+  if (!kind) return;
+  if (ORDER[req.auth.role] < ORDER[ROLE_FOR_TYPE[kind.type]]) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+};
+const validateTransaction = validateByType(schemas.kind, { purchase: schemas.purchase, adjustment: schemas.adjustment });
+
+// Transactions: purchase/adjustment
+router.post('/', auth, needRoleForType, validateTransaction, idempotent, async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (type === 'purchase') {
+      const { spent: spentNum, remark, promotionIds, suspicious, qrToken } = req.body;
+      let { utorid } = req.body;
+
+      if (qrToken != null) {
+        const checked = verifyQrToken(qrToken, 'member');
+        if (checked.error) return res.status(checked.status).json({ error: checked.error });
+        if (utorid && utorid !== checked.payload.utorid) {
+          return badRequest(res, [{ field: 'utorid', message: 'Does not match the scanned member' }]);
+        }
+        utorid = checked.payload.utorid;
+      }
+
+      const user = await prisma.user.findUnique({ where: { utorid } });
+      if (!user) {
+        return res.status(404).json({ error: 'Not Found' });
+      }
+
+      const cashier = await prisma.user.findUnique({ where: { id: req.auth.id } });
+      const cashierSuspicious = cashier?.suspicious === true;
+      const bodySuspicious = suspicious === true;
+      const effectiveSuspicious = cashierSuspicious || bodySuspicious;
+
+      const priced = await pricePurchase(user.id, spentNum, promotionIds);
+      if (!priced) {
+        return badRequest(res, [{ field: 'promotionIds', message: 'Includes a promotion that does not apply to this purchase' }]);
+      }
+      const { earned, promotions: allPromos, oneTime: chosenOneTime } = priced;
+
+      let createdTx;
+      await prisma.$transaction(async (px) => {
+
+        const tx = await px.transaction.create({
+          data: {
+            userId: user.id,
+            type: 'purchase',
+            amount: earned,
+            spent: spentNum,
+            remark,
+            suspicious: effectiveSuspicious,
+            relatedId: null,
+            createdById: req.auth.id,
+            processedById: req.auth.id
+          }
+        });
+
+        for (const p of allPromos) {
+          await px.transactionPromotion.create({
+            data: { transactionId: tx.id, promotionId: p.id }
+          });
+        }
+
+        for (const p of chosenOneTime) {
+          if (p.type === 'onetime') {
+            await px.userPromotionUsage.upsert({
+              where: { userId_promotionId: { userId: user.id, promotionId: p.id } },
+              update: { usedAt: now() },
+              create: { userId: user.id, promotionId: p.id, usedAt: now() }
+            });
+          }
+        }
+
+        if (!effectiveSuspicious && earned !== 0) {
+          await px.user.update({
+            where: { id: user.id },
+            data: { points: { increment: earned } }
+          });
+        }
+
+        createdTx = tx;
+      });
+
+      return res.status(201).json({
+        id: createdTx.id,
+        type: createdTx.type,
+        spent: spentNum,
+        earned: effectiveSuspicious ? 0 : earned,
+        remark,
+        createdAt: createdTx.createdAt,
+        createdBy: req.auth.utorid,
+        utorid,
+        promotionIds: allPromos.map(p => p.id)
+      });
+    }
+
+    if (type === 'adjustment') {
+      const { utorid, amount: intAmount, remark, suspicious } = req.body;
+      const relatedId = req.body.relatedId ?? null;
+
+      const user = await prisma.user.findUnique({ where: { utorid } });
+      if (!user) return res.status(404).json({ error: 'Not Found' });
+
+      const cashier = await prisma.user.findUnique({ where: { id: req.auth.id } });
+      const cashierSuspicious = cashier?.suspicious === true;
+      const bodySuspicious = suspicious === true;
+      const effectiveSuspicious = cashierSuspicious || bodySuspicious;
+
+      const relIdNum = relatedId;
+
+      if (relIdNum != null) {
+        const relTx = await prisma.transaction.findUnique({
+          where: { id: relIdNum }
+        });
+        if (!relTx || relTx.userId !== user.id) {
+
+          return res.status(404).json({ error: 'Not Found' });
+        }
+      }
+
+      const tx = await prisma.$transaction(async (px) => {
+        const created = await px.transaction.create({
+          data: {
+            userId: user.id,
+            type: 'adjustment',
+            amount: intAmount,
+            remark,
+            relatedId: relIdNum,
+            suspicious: effectiveSuspicious,
+            createdById: req.auth.id
+          }
+        });
+
+        await px.transaction.update({
+          where: { id: created.id },
+          data: { processedById: req.auth.id }
+        });
+
+        if (!effectiveSuspicious && intAmount !== 0) {
+          await px.user.update({
+            where: { id: user.id },
+            data: { points: { increment: intAmount } }
+          });
+        }
+
+        await recordAudit(px, req, {
+          action: 'transaction.adjustment',
+          targetType: 'user',
+          targetId: user.id,
+          before: { points: user.points },
+          after: { points: effectiveSuspicious ? user.points : user.points + intAmount, transactionId: created.id }
+        });
+
+        return created;
+      });
+
+      return res.status(201).json({
+        id: tx.id,
+        type: tx.type,
+        amount: tx.amount,
+        spent: null,
+        remark,
+        createdAt: tx.createdAt,
+        createdBy: req.auth.utorid,
+        utorid,
+        relatedId,
+        promotionIds: []
+
+      });
+    }
+  } catch (e) {
+    console.error('POST /transactions error:', e);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Transactions: price a purchase without recording it, with each promotion's contribution (cashier+)
+router.post('/preview', auth, needRole('cashier'), validate({ body: schemas.preview }), async (req, res) => {
+  try {
+    const { utorid, spent, promotionIds } = req.body;
+
+    let user = null;
+    if (utorid) {
+      user = await prisma.user.findUnique({ where: { utorid } });
+      if (!user) return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const priced = await pricePurchase(user?.id ?? null, spent, promotionIds);
+    if (!priced) {
+      return badRequest(res, [{ field: 'promotionIds', message: 'Includes a promotion that does not apply to this purchase' }]);
+    }
+    return res.json({ utorid: user?.utorid ?? null, tier: priced.tier?.name ?? null, ...priced.breakdown });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Transactions: list (manager)
+router.get('/', auth, needRole('manager'), validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const {
+      name, userId, createdBy, suspicious, promotionId, type, relatedId,
+      amountOp, amount, page, limit
+    } = req.query;
+
+    const where = {};
+    if (userId) where.userId = userId;
+    if (type) where.type = type;
+    if (relatedId !== undefined) where.relatedId = relatedId;
+    if (suspicious !== undefined) where.suspicious = suspicious;
+    if (amountOp) where.amount = amountOp === 'eq' ? amount : { [amountOp]: amount };
+    if (name) {
+      where.user = {
+        OR: [
+          { utorid: { contains: name } },
+          { name: { contains: name } }
+        ]
+      };
+    }
+    if (createdBy) where.createdById = createdBy;
+
+    const skip = (page - 1) * limit;
+    const take = limit;
+
+    let txWhere = where;
+    if (promotionId) {
+      txWhere = {
+        ...where,
+        promotions: { some: { promotionId } }
+      };
+    }
+
+    const [count, rows] = await Promise.all([
+      prisma.transaction.count({ where: txWhere }),
+      prisma.transaction.findMany({
+        where: txWhere, skip, take, orderBy: { id: 'desc' },
+        select: {
+          id: true, type: true, amount: true, spent: true, remark: true, suspicious: true, relatedId: true,
+          createdAt: true, createdById: true, processedById: true, userId: true,
+          promotions: { select: { promotionId: true } },
+          reward: { select: { id: true, name: true } },
+          status: true, statusReason: true, closedAt: true, refunded: true, voidedAt: true,
+          user: { select: { utorid: true, name: true } }
+        }
+      })
+    ]);
+
+    const counterparts = await resolveCounterparts(rows);
+    const results = rows.map(r => ({
+      id: r.id,
+      user: { id: r.userId, utorid: r.user.utorid, name: r.user.name },
+      type: r.type, amount: r.amount, spent: r.spent, remark: r.remark, suspicious: r.suspicious,
+      relatedId: r.relatedId, createdAt: r.createdAt, createdBy: r.createdById, processedBy: r.processedById,
+      promotionIds: r.promotions.map(p => p.promotionId), reward: r.reward,
+      status: r.status, statusReason: r.statusReason, closedAt: r.closedAt,
+      refunded: r.refunded, voidedAt: r.voidedAt,
+      ...counterparts.get(r.id)
+    }));
+    res.json({ count, results });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Transactions: get by id (manager; cashiers may load redemptions)
+router.get('/:id', auth, needRole('cashier'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const t = await prisma.transaction.findUnique({
+      where: { id },
+      select: {
+        id: true, userId: true, type: true, amount: true, spent: true, remark: true, suspicious: true, relatedId: true,
+        createdAt: true, createdById: true, processedById: true,
+        promotions: { select: { promotionId: true } },
+        reward: { select: { id: true, name: true, description: true, imageUrl: true } },
+        status: true, statusReason: true, closedAt: true, refunded: true, voidedAt: true,
+        user: { select: { utorid: true, name: true } }
+      }
+    });
+    if (!t) return res.status(404).json({ error: 'Not Found' });
+    if (!isManagerOrHigher(req.auth.role) && t.type !== 'redemption') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    const counterparts = await resolveCounterparts([t]);
+    res.json({
+      id: t.id, user: { id: t.userId, utorid: t.user.utorid, name: t.user.name },
+      type: t.type, amount: t.amount, spent: t.spent, remark: t.remark, suspicious: t.suspicious,
+      relatedId: t.relatedId, createdAt: t.createdAt,
+      createdBy: t.createdById, processedBy: t.processedById,
+      promotionIds: t.promotions.map(p => p.promotionId), reward: t.reward,
+      status: t.status, statusReason: t.statusReason, closedAt: t.closedAt,
+      refunded: t.refunded, voidedAt: t.voidedAt,
+      ...counterparts.get(t.id)
+    });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Transactions: mark/unmark suspicious (manager)
+router.patch('/:id/suspicious', auth, needRole('manager'), validate({ body: schemas.suspicious }), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const { suspicious } = req.body;
+
+    const t = await prisma.transaction.findUnique({ where: { id } });
+    if (!t) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    async function formatTx(tx) {
+      const [user, creator, tPromos] = await Promise.all([
+        prisma.user.findUnique({ where: { id: tx.userId } }),
+        tx.createdById
+          ? prisma.user.findUnique({ where: { id: tx.createdById } })
+          : null,
+        prisma.transactionPromotion.findMany({
+          where: { transactionId: tx.id },
+          select: { promotionId: true }
+        })
+      ]);
+
+      return {
+        id: tx.id,
+        utorid: user?.utorid ?? null,
+        type: tx.type,
+        spent: tx.spent,
+        amount: tx.amount,
+        promotionIds: tPromos.map(p => p.promotionId),
+        suspicious: tx.suspicious,
+        remark: tx.remark,
+        createdBy: creator?.utorid ?? null
+      };
+    }
+
+    // A redemption's points move when it is processed, not through the flag, so it has none to toggle
+    if (t.type === 'redemption') {
+      return badRequest(res, [{ field: 'suspicious', message: 'Redemptions cannot be flagged' }]);
+    }
+
+    // A refund only takes back what its purchase credited, so neither side can change once they are linked
+    if (t.suspicious !== suspicious && (t.type === 'refund' || t.refunded > 0 || t.voidedAt)) {
+      return badRequest(res, [{ field: 'suspicious', message: 'Cannot change the flag on a refunded purchase or its refunds' }]);
+    }
+
+    if (t.suspicious === suspicious) {
+      const body = await formatTx(t);
+      return res.json(body);
+    }
+
+    await prisma.$transaction(async (px) => {
+      await px.transaction.update({ where: { id }, data: { suspicious } });
+      await recordAudit(px, req, {
+        action: 'transaction.suspicious',
+        targetType: 'transaction',
+        targetId: id,
+        before: { suspicious: t.suspicious },
+        after: { suspicious }
+      });
+
+      const delta = suspicious ? -t.amount : t.amount;
+      await px.user.update({
+        where: { id: t.userId },
+        data: { points: { increment: delta } }
+      });
+    });
+
+    const updated = await prisma.transaction.findUnique({ where: { id } });
+    const body = await formatTx(updated);
+    return res.json(body);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Redemptions: mark processed, deducting the points (cashier+)
+router.patch('/:id/processed', auth, needRole('cashier'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const t = await prisma.transaction.findUnique({ where: { id } });
+    if (!t) return res.status(404).json({ error: 'Not Found' });
+    if (t.type !== 'redemption') return badRequest(res, [{ field: '', message: 'Only redemptions can be processed' }]);
+    if (t.status !== 'pending') return badRequest(res, [{ field: '', message: `This redemption was already ${t.status}` }]);
+
+    const body = parseOrReject(schemas.processed, req.body, res);
+    if (!body) return;
+
+    // A scanned redemption QR token must be current and belong to this redemption
+    if (body.qrToken != null) {
+      const checked = verifyQrToken(body.qrToken, 'redemption');
+      if (checked.error) return res.status(checked.status).json({ error: checked.error });
+      if (checked.payload.tid !== t.id || checked.payload.uid !== t.userId) {
+        return badRequest(res, [{ field: 'qrToken', message: 'Belongs to a different redemption' }]);
+      }
+    }
+
+    // Claiming the request first means a concurrent cancel, reject or expiry cannot also close it;
+    // finding the reward out of stock, or the balance short, afterwards rolls the claim back
+    let problem = null;
+    const updated = await prisma.$transaction(async (px) => {
+      if (!(await closeRedemption(px, id, 'processed'))) {
+        problem = 'This redemption is no longer pending';
+        return null;
+      }
+      if (t.rewardId != null && !(await takeStock(px, t.rewardId))) {
+        problem = 'This reward is out of stock';
+        throw new Error(problem);
+      }
+      // Conditional on the balance, so redemptions and transfers at the same moment cannot overdraw it
+      const debited = await px.user.updateMany({
+        where: { id: t.userId, points: { gte: t.amount } },
+        data: { points: { decrement: t.amount } }
+      });
+      if (debited.count === 0) {
+        problem = 'The member no longer has enough points';
+        throw new Error(problem);
+      }
+      const { points } = await px.user.findUnique({ where: { id: t.userId }, select: { points: true } });
+      await recordAudit(px, req, {
+        action: 'transaction.process',
+        targetType: 'transaction',
+        targetId: id,
+        before: { processedBy: null, points: points + t.amount },
+        after: { processedBy: req.auth.utorid, points }
+      });
+      return await px.transaction.update({
+        where: { id },
+        data: { processedById: req.auth.id }
+      });
+    }).catch((err) => {
+      if (problem) return null;
+      throw err;
+    });
+    if (!updated) return badRequest(res, [{ field: '', message: problem }]);
+
+    const [member, creator, cashier, reward] = await Promise.all([
+      prisma.user.findUnique({ where: { id: updated.userId } }),
+      updated.createdById
+        ? prisma.user.findUnique({ where: { id: updated.createdById } })
+        : null,
+      updated.processedById
+        ? prisma.user.findUnique({ where: { id: updated.processedById } })
+        : null,
+      updated.rewardId
+        ? prisma.reward.findUnique({ where: { id: updated.rewardId }, select: { id: true, name: true, stock: true } })
+        : null
+    ]);
+
+    return res.json({
+      id: updated.id,
+      utorid: member?.utorid ?? null,
+      type: updated.type,
+      processedBy: cashier?.utorid ?? null,
+      amount: updated.amount,
+      redeemed: updated.amount,
+      reward,
+      status: updated.status,
+      remark: updated.remark,
+      createdBy: creator?.utorid ?? null
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Redemptions: reject a pending request with a reason for the member; nothing is deducted (cashier+)
+router.patch('/:id/rejected', auth, needRole('cashier'), validate({ body: schemas.rejected }), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const t = await prisma.transaction.findUnique({
+      where: { id },
+      include: { user: { select: { utorid: true } }, reward: { select: { id: true, name: true } } }
+    });
+    if (!t || t.type !== 'redemption') return res.status(404).json({ error: 'Not Found' });
+
+    const { reason } = req.body;
+    const rejected = await prisma.$transaction(async (px) => {
+      if (!(await closeRedemption(px, id, 'rejected', reason))) return false;
+      await recordAudit(px, req, {
+        action: 'transaction.reject',
+        targetType: 'transaction',
+        targetId: id,
+        before: { status: 'pending' },
+        after: { status: 'rejected', statusReason: reason }
+      });
+      return true;
+    });
+    if (!rejected) {
+      const current = await prisma.transaction.findUnique({ where: { id }, select: { status: true } });
+      return badRequest(res, [{ field: '', message: `This redemption was already ${current.status}` }]);
+    }
+
+    return res.json({
+      id: t.id,
+      utorid: t.user.utorid,
+      type: t.type,
+      amount: t.amount,
+      reward: t.reward,
+      status: 'rejected',
+      statusReason: reason,
+      remark: t.remark
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Purchases: the handler behind both refund routes below; a void refunds whatever is left
+const refundHandler = (voiding) => async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+    const t = await prisma.transaction.findUnique({ where: { id }, include: { user: { select: { utorid: true } } } });
+    if (!t) return res.status(404).json({ error: 'Not Found' });
+    if (t.type !== 'purchase') return badRequest(res, [{ field: '', message: 'Only purchases can be refunded' }]);
+    if (t.voidedAt) return badRequest(res, [{ field: '', message: 'This purchase was already voided' }]);
+
+    const spent = voiding ? null : req.body.spent;
+    if (spent != null && spent > refundable(t)) {
+      return badRequest(res, [{ field: 'spent', message: `Exceeds the $${refundable(t).toFixed(2)} left to refund` }]);
+    }
+
+    const result = await prisma.$transaction(async (px) => {
+      const done = await refundPurchase(px, t, { spent, remark: req.body.remark, actorId: req.auth.id });
+      if (!done) return null;
+      await recordAudit(px, req, {
+        action: done.voidedAt ? 'transaction.void' : 'transaction.refund',
+        targetType: 'transaction',
+        targetId: id,
+        before: { refunded: t.refunded, voidedAt: null },
+        after: {
+          refunded: done.refunded, voidedAt: done.voidedAt,
+          refundId: done.refund.id, restoredPromotionIds: done.restoredPromotionIds
+        }
+      });
+      return done;
+    });
+    if (!result) {
+      return badRequest(res, [{ field: '', message: 'This purchase was refunded by someone else meanwhile; reload it and try again' }]);
+    }
+
+    const { refund } = result;
+    return res.status(201).json({
+      id: refund.id,
+      utorid: t.user.utorid,
+      type: refund.type,
+      amount: refund.amount,
+      spent: refund.spent,
+      relatedId: t.id,
+      remark: refund.remark,
+      createdAt: refund.createdAt,
+      createdBy: req.auth.utorid,
+      purchase: { id: t.id, spent: t.spent, refunded: result.refunded, voidedAt: result.voidedAt },
+      restoredPromotionIds: result.restoredPromotionIds
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+// Purchases: void, taking back every point it still holds and its one-time promotions (manager)
+router.post('/:id/void', auth, needRole('manager'), validate({ body: schemas.void }), idempotent, refundHandler(true));
+
+// Purchases: refund part of the amount spent, taking back a matching share of the points (manager)
+router.post('/:id/refunds', auth, needRole('manager'), validate({ body: schemas.refund }), idempotent, refundHandler(false));
+
+module.exports = router;
@@ -0,0 +1,620 @@
+'use strict';
+
+// Routes under /users: accounts, profiles and the current user's own transactions
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../lib/prisma');
+const { DEV_MODE, AVATAR_DIR } = require('../config');
+const { auth, needRole, isManagerOrHigher } = require('../middleware/auth');
+const { clearRateLimits } = require('../middleware/rateLimit');
+const { idempotent } = require('../middleware/idempotency');
+const { utoridRegex } = require('../lib/validation');
+const { validate, validateByType, parseOrReject, badRequest } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const { pickAvailableOneTimePromos } = require('../services/points');
+const { upcomingExpiry } = require('../services/expiry');
+const { resolveCounterparts } = require('../services/counterparts');
+const { closeRedemption, pendingRedemptionTotal } = require('../services/redemptions');
+const { isAvailableReward } = require('../services/rewards');
+const { memberTier } = require('../services/tiers');
+const { signQrToken } = require('../services/tokens');
+const { pickFields, recordAudit } = require('../services/audit');
+const { mailResetLink } = require('../services/mail');
+
+const router = express.Router();
+const upload = multer({ dest: AVATAR_DIR });
+
+// Cashiers see a reduced profile; managers see everything
+const presentUserForStaff = (u, promotions, tier, role) => {
+  if (isManagerOrHigher(role)) {
+    return {
+      id: u.id, utorid: u.utorid, name: u.name, email: u.email, birthday: u.birthday,
+      role: u.role, points: u.points, createdAt: u.createdAt, lastLogin: u.lastLogin,
+      verified: u.verified, suspicious: u.suspicious, avatarUrl: u.avatarUrl, promotions, tier,
+      failedLogins: u.failedLogins, lockedUntil: u.lockedUntil
+    };
+  }
+  // Cashiers see the tier name and multiplier, which they need to preview a purchase, but not the spend
+  return {
+    id: u.id, utorid: u.utorid, name: u.name, points: u.points, verified: u.verified, promotions,
+    tier: { name: tier.name, multiplier: tier.multiplier }
+  };
+};
+
+// Users: create a new user (cashier+)
+router.post('/', auth, needRole('cashier'), validate({ body: schemas.create }), async (req, res) => {
+  try {
+    const { utorid, name, email } = req.body;
+
+    if (await prisma.user.findUnique({ where: { utorid } })) {
+      return res.status(409).json({ error: 'Conflict' });
+    }
+
+    const created = await prisma.user.create({
+      data: { utorid, name, email, verified: false, role: 'regular' }
+    });
+    const resetToken = uuidv4();
+    const expiresAt = new Date(Date.now() + 7 * 24 * 3600e3);
+    await prisma.$transaction([
+      prisma.resetToken.create({ data: { id: resetToken, userId: created.id, expiresAt } }),
+      recordAudit(prisma, req, {
+        action: 'user.create',
+        targetType: 'user',
+        targetId: created.id,
+        after: pickFields(created, ['utorid', 'name', 'email', 'role'])
+      })
+    ]);
+
+    await mailResetLink(created, 'activate', resetToken, expiresAt);
+
+    res.status(201).json({
+      id: created.id,
+      utorid: created.utorid,
+      name: created.name,
+      email: created.email,
+      verified: false,
+      expiresAt: expiresAt.toISOString(),
+      ...(DEV_MODE && { resetToken })
+    });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Users: list users (manager+)
+router.get('/', auth, needRole('manager'), validate({ query: schemas.list }), async (req, res) => {
+  try {
+    const { page: pageNum, limit: limitNum, name, role, verified, activated } = req.query;
+    const where = {};
+
+    if (name) {
+      where.OR = [
+        { utorid: { contains: name } },
+        { name:   { contains: name } }
+      ];
+    }
+    if (role) where.role = role;
+    if (verified !== undefined) where.verified = verified;
+    if (activated !== undefined) {
+      where.lastLogin = activated ? { not: null } : { equals: null };
+    }
+
+    const skip = (pageNum - 1) * limitNum;
+    const take = limitNum;
+    const [count, rows] = await Promise.all([
+      prisma.user.count({ where }),
+      prisma.user.findMany({
+        where, skip, take, orderBy: { id: 'asc' },
+        select: {
+          id: true, utorid: true, name: true, email: true, birthday: true, role: true,
+          points: true, createdAt: true, lastLogin: true, verified: true, suspicious: true, avatarUrl: true
+        }
+      })
+    ]);
+    res.json({ count, results: rows });
+  } catch {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: fetch current user's profile
+router.get('/me', auth, async (req, res) => {
+  try {
+    const me = await prisma.user.findUnique({ where: { id: req.auth.id } });
+    if (!me) return res.status(404).json({ error: 'Not Found' });
+    let promotions = [];
+    try {
+      promotions = await pickAvailableOneTimePromos(me.id);
+    } catch { promotions = []; }
+    const tier = await memberTier(me.id);
+
+    return res.json({
+      id: me.id,
+      utorid: me.utorid,
+      name: me.name,
+      email: me.email,
+      birthday: me.birthday,
+      role: me.role,
+      points: me.points,
+      createdAt: me.createdAt,
+      lastLogin: me.lastLogin,
+      verified: me.verified,
+      avatarUrl: me.avatarUrl,
+      promotions,
+      tier
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: issue a signed member QR token for the current user
+router.get('/me/qr-token', auth, async (req, res) => {
+  try {
+    const me = await prisma.user.findUnique({ where: { id: req.auth.id } });
+    if (!me) return res.status(404).json({ error: 'Not Found' });
+    return res.json(signQrToken({ kind: 'member', uid: me.id, utorid: me.utorid }));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: points on the current user's balance that expire within the next `days`
+router.get('/me/expiring', auth, validate({ query: schemas.expiring }), async (req, res) => {
+  try {
+    return res.json(await upcomingExpiry(req.auth.id, req.query.days));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: issue a signed QR token for one of the current user's pending redemptions
+router.get('/me/transactions/:transactionId/qr-token', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.transactionId);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+
+    const t = await prisma.transaction.findUnique({ where: { id } });
+    if (!t || t.userId !== req.auth.id || t.type !== 'redemption') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    if (t.status !== 'pending') return badRequest(res, [{ field: '', message: `This redemption was already ${t.status}` }]);
+
+    return res.json(signQrToken({ kind: 'redemption', uid: t.userId, tid: t.id }));
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: update current user's profile and avatar
+router.patch('/me', auth, upload.single('avatar'), validate({ body: schemas.updateMe }), async (req, res) => {
+  try {
+    const data = {};
+    for (const key of ['name', 'email', 'birthday']) {
+      if (req.body[key] !== null && req.body[key] !== undefined) data[key] = req.body[key];
+    }
+
+    if (req.file) {
+      try {
+        const ext = (path.extname(req.file.originalname || '') || '.png').toLowerCase();
+        const dest = path.join(AVATAR_DIR, `${req.auth.utorid}${ext}`);
+        fs.renameSync(req.file.path, dest);
+        data.avatarUrl = `/uploads/avatars/${path.basename(dest)}`;
+      } catch {
+        return badRequest(res, [{ field: 'avatar', message: 'Could not store the uploaded image' }]);
+      }
+    }
+
+    if (Object.keys(data).length === 0) {
+      return badRequest(res, [{ field: '', message: 'Provide at least one of name, email, birthday, avatar' }]);
+    }
+
+    const me = await prisma.user.update({
+      where: { id: req.auth.id },
+      data,
+    });
+
+    return res.json({
+      id: me.id,
+      utorid: me.utorid,
+      name: me.name,
+      email: me.email,
+      birthday: me.birthday,
+      role: me.role,
+      points: me.points,
+      createdAt: me.createdAt,
+      lastLogin: me.lastLogin,
+      verified: me.verified,
+      avatarUrl: me.avatarUrl,
+    });
+  } catch (e) {
+    if (e && e.code === 'P2002') {
+      return badRequest(res, [{ field: 'email', message: 'Already in use by another account' }]);
+    }
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: get user by id (cashier+)
+router.get('/:userId', auth, needRole('cashier'), async (req, res) => {
+  try {
+    const id = Number(req.params.userId);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+
+    const u = await prisma.user.findUnique({ where: { id } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+
+    const [promotions, tier] = await Promise.all([pickAvailableOneTimePromos(u.id), memberTier(u.id)]);
+    return res.json(presentUserForStaff(u, promotions, tier, req.auth.role));
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Users: look up a member by utorid (cashier+)
+router.get('/lookup/:utorid', auth, needRole('cashier'), async (req, res) => {
+  try {
+    const utorid = String(req.params.utorid || '').trim();
+    if (!utoridRegex.test(utorid)) return res.status(404).json({ error: 'Not Found' });
+
+    const u = await prisma.user.findUnique({ where: { utorid } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+
+    const [promotions, tier] = await Promise.all([pickAvailableOneTimePromos(u.id), memberTier(u.id)]);
+    return res.json(presentUserForStaff(u, promotions, tier, req.auth.role));
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Users: who a utorid belongs to, for members about to send a transfer; shows only the name and avatar
+router.get('/recipients/:utorid', auth, async (req, res) => {
+  try {
+    const me = await prisma.user.findUnique({ where: { id: req.auth.id }, select: { verified: true } });
+    if (!me?.verified) return res.status(403).json({ error: 'Forbidden' });
+
+    const utorid = String(req.params.utorid || '').trim();
+    if (!utoridRegex.test(utorid)) return res.status(404).json({ error: 'Not Found' });
+
+    const u = await prisma.user.findUnique({ where: { utorid }, select: { utorid: true, name: true, avatarUrl: true } });
+    if (!u) return res.status(404).json({ error: 'Not Found' });
+    return res.json(u);
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Users: manager updates user fields
+router.patch('/:userId', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.userId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const target = await prisma.user.findUnique({ where: { id } });
+    if (!target) {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    // Parsed after the lookup so an unknown user is a 404 whatever the body holds
+    const body = parseOrReject(schemas.update, req.body, res);
+    if (!body) return;
+
+    const data = {};
+    for (const key of ['role', 'email', 'verified', 'suspicious']) {
+      if (body[key] !== null && body[key] !== undefined) data[key] = body[key];
+    }
+    const updatedKeys = Object.keys(data);
+    if (updatedKeys.length === 0) {
+      return badRequest(res, [{ field: '', message: 'Provide at least one of role, email, verified, suspicious' }]);
+    }
+
+    if (data.role) {
+      const amSuperuser = String(req.auth.role || '').toLowerCase() === 'superuser';
+      if (!amSuperuser && !['regular', 'cashier'].includes(data.role)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      if (data.role === 'cashier' && target.suspicious === true) {
+        return badRequest(res, [{ field: 'role', message: 'A suspicious user cannot be made a cashier' }]);
+      }
+    }
+
+    const updated = await prisma.$transaction(async (px) => {
+      const u = await px.user.update({ where: { id }, data });
+      await recordAudit(px, req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: id,
+        before: pickFields(target, updatedKeys),
+        after: pickFields(u, updatedKeys)
+      });
+      return u;
+    });
+    const resp = {
+      id: updated.id,
+      utorid: updated.utorid,
+      name: updated.name,
+    };
+    for (const k of updatedKeys) {
+      resp[k] = updated[k];
+    }
+    return res.json(resp);
+  } catch (e) {
+    if (e && e.code === 'P2002') {
+      return badRequest(res, [{ field: 'email', message: 'Already in use by another account' }]);
+    }
+    if (e && e.code === 'P2025') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: clear a login lockout (manager+)
+router.delete('/:userId/lockout', auth, needRole('manager'), async (req, res) => {
+  try {
+    const id = Number(req.params.userId);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+
+    const target = await prisma.user.findUnique({ where: { id } });
+    if (!target) return res.status(404).json({ error: 'Not Found' });
+
+    const updated = await prisma.$transaction(async (px) => {
+      const u = await px.user.update({ where: { id }, data: { failedLogins: 0, lockedUntil: null } });
+      await recordAudit(px, req, {
+        action: 'user.unlock',
+        targetType: 'user',
+        targetId: id,
+        before: pickFields(target, ['failedLogins', 'lockedUntil']),
+        after: pickFields(u, ['failedLogins', 'lockedUntil'])
+      });
+      return u;
+    });
+    clearRateLimits(updated.utorid);
+
+    return res.json({
+      id: updated.id,
+      utorid: updated.utorid,
+      name: updated.name,
+      failedLogins: updated.failedLogins,
+      lockedUntil: updated.lockedUntil
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Users: change password
+router.patch('/me/password', auth, validate({ body: schemas.changePassword }), async (req, res) => {
+  try {
+    const { old, new: nw } = req.body;
+    const me = await prisma.user.findUnique({ where: { id: req.auth.id } });
+    if (!me.passwordHash) return res.status(403).json({ error: 'Forbidden' });
+    const ok = await bcrypt.compare(old, me.passwordHash);
+    if (!ok) return res.status(403).json({ error: 'Forbidden' });
+    await prisma.user.update({ where: { id: me.id }, data: { passwordHash: await bcrypt.hash(nw, 10) } });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Moves points from the current user to `recipient` (a user row, or null when none matched) and
+// answers the request; `field` names the request field that identified the recipient
+const sendTransfer = async (req, res, recipient, { amount, remark }, field) => {
+  if (!recipient) return res.status(404).json({ error: 'Not Found' });
+  if (recipient.id === req.auth.id) {
+    return badRequest(res, [{ field, message: 'Cannot transfer points to yourself' }]);
+  }
+
+  const sender = await prisma.user.findUnique({ where: { id: req.auth.id } });
+  if (!sender.verified) return res.status(403).json({ error: 'Forbidden' });
+
+  const intAmount = Math.trunc(amount);
+
+  // The debit only applies while the balance covers it, so concurrent transfers cannot overdraw it
+  const senderTx = await prisma.$transaction(async (px) => {
+    const debited = await px.user.updateMany({
+      where: { id: sender.id, points: { gte: intAmount } },
+      data: { points: { decrement: intAmount } }
+    });
+    if (debited.count === 0) return null;
+
+    const sent = await px.transaction.create({
+      data: {
+        userId: sender.id,
+        type: 'transfer',
+        amount: -intAmount,
+        relatedId: recipient.id,
+        remark,
+        createdById: sender.id,
+        processedById: sender.id
+      }
+    });
+
+    await px.transaction.create({
+      data: {
+        userId: recipient.id,
+        type: 'transfer',
+        amount: intAmount,
+        relatedId: sender.id,
+        remark,
+        createdById: sender.id,
+        processedById: sender.id
+      }
+    });
+
+    await px.user.update({
+      where: { id: recipient.id },
+      data: { points: { increment: intAmount } }
+    });
+    return sent;
+  });
+  if (!senderTx) {
+    return badRequest(res, [{ field: 'amount', message: 'Exceeds your points balance' }]);
+  }
+
+  return res.status(201).json({
+    id: senderTx.id,
+    sender: sender.utorid,
+    recipient: recipient.utorid,
+    type: 'transfer',
+    sent: intAmount,
+    remark,
+    createdBy: sender.utorid
+  });
+};
+
+const validateMyTransaction = validateByType(schemas.myTransactionKind, {
+  transfer: schemas.transferTo, redemption: schemas.redemption
+});
+
+// Transactions: members request a redemption, or send a transfer addressed by utorid, from their own account.
+// A redeemed reward's points are deducted when a cashier hands it over.
+router.post('/me/transactions', auth, validateMyTransaction, idempotent, async (req, res) => {
+  try {
+    if (req.body.type === 'transfer') {
+      const recipient = await prisma.user.findUnique({ where: { utorid: req.body.utorid } });
+      return await sendTransfer(req, res, recipient, req.body, 'utorid');
+    }
+
+    const { rewardId, remark } = req.body;
+
+    const me = await prisma.user.findUnique({ where: { id: req.auth.id } });
+    if (!me.verified) return res.status(403).json({ error: 'Forbidden' });
+
+    const reward = await prisma.reward.findUnique({ where: { id: rewardId } });
+    if (!reward || !isAvailableReward(reward)) {
+      return badRequest(res, [{ field: 'rewardId', message: 'Not a reward that can be redeemed right now' }]);
+    }
+    // Pending requests are not deducted yet, but they will be once processed
+    const pending = await pendingRedemptionTotal(me.id);
+    if (me.points - pending < reward.cost) {
+      const message = pending > 0
+        ? `Costs more than the ${Math.max(me.points - pending, 0)} points left after your pending redemptions`
+        : 'Costs more than your points balance';
+      return badRequest(res, [{ field: 'rewardId', message }]);
+    }
+
+    const t = await prisma.transaction.create({
+      data: {
+        userId: me.id,
+        type: 'redemption',
+        amount: reward.cost,
+        rewardId: reward.id,
+        status: 'pending',
+        remark,
+        createdById: me.id,
+        processedById: null
+      }
+    });
+
+    return res.status(201).json({
+      id: t.id,
+      utorid: me.utorid,
+      type: t.type,
+      processedBy: null,
+      amount: t.amount,
+      reward: { id: reward.id, name: reward.name },
+      status: t.status,
+      remark,
+      createdBy: me.utorid
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Redemptions: cancel one of the current user's pending redemption requests
+router.patch('/me/transactions/:transactionId/cancelled', auth, async (req, res) => {
+  try {
+    const id = Number(req.params.transactionId);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'Not Found' });
+
+    const t = await prisma.transaction.findUnique({
+      where: { id },
+      include: { reward: { select: { id: true, name: true } } }
+    });
+    if (!t || t.userId !== req.auth.id || t.type !== 'redemption') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+    if (!(await closeRedemption(prisma, id, 'cancelled', 'Cancelled by the member'))) {
+      const current = await prisma.transaction.findUnique({ where: { id }, select: { status: true } });
+      return badRequest(res, [{ field: '', message: `This redemption was already ${current.status}` }]);
+    }
+
+    const updated = await prisma.transaction.findUnique({ where: { id } });
+    return res.json({
+      id: updated.id,
+      type: updated.type,
+      amount: updated.amount,
+      reward: t.reward,
+      status: updated.status,
+      statusReason: updated.statusReason,
+      closedAt: updated.closedAt,
+      remark: updated.remark
+    });
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Transactions: list the current user's transactions, filtered and sorted (newest first by default)
+router.get('/me/transactions', auth, validate({ query: schemas.myTransactions }), async (req, res) => {
+  try {
+    const { type, minAmount, maxAmount, from, to, promotionId, relatedId, remark, orderBy, page, limit } = req.query;
+
+    const where = { userId: req.auth.id };
+    if (type) where.type = { in: type };
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      where.amount = {};
+      if (minAmount !== undefined) where.amount.gte = minAmount;
+      if (maxAmount !== undefined) where.amount.lte = maxAmount;
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+    if (promotionId !== undefined) where.promotions = { some: { promotionId } };
+    if (relatedId !== undefined) where.relatedId = relatedId;
+    if (remark) where.remark = { contains: remark };
+
+    // Newest first unless asked otherwise; id breaks ties so pages never overlap
+    const order = orderBy?.length ? orderBy : [{ id: 'desc' }];
+    if (!order.some((o) => 'id' in o)) order.push({ id: 'desc' });
+
+    const skip = (page - 1) * limit;
+    const take = limit;
+    const [count, rows] = await Promise.all([
+      prisma.transaction.count({ where }),
+      prisma.transaction.findMany({
+        where,
+        orderBy: order,
+        skip, take,
+        select: {
+          id: true, userId: true, type: true, amount: true, spent: true, remark: true, suspicious: true,
+          relatedId: true, createdAt: true, createdById: true, processedById: true,
+          promotions: { select: { promotionId: true } },
+          reward: { select: { id: true, name: true } },
+          status: true, statusReason: true, closedAt: true, refunded: true, voidedAt: true
+        }
+      })
+    ]);
+    const counterparts = await resolveCounterparts(rows);
+    const results = rows.map(r => ({
+      ...r, promotionIds: r.promotions.map(p => p.promotionId), ...counterparts.get(r.id)
+    }));
+    res.json({ count, results });
+  } catch { res.status(500).json({ error: 'Internal Server Error' }); }
+});
+
+// Transfers: send points from the current user to another user
+router.post('/:userId/transactions', auth, validate({ body: schemas.transfer }), idempotent, async (req, res) => {
+  try {
+    const recipientId = Number(req.params.userId);
+    const recipient = Number.isInteger(recipientId) && recipientId > 0
+      ? await prisma.user.findUnique({ where: { id: recipientId } })
+      : null;
+    return await sendTransfer(req, res, recipient, req.body, 'userId');
+  } catch {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+'use strict';
+
+const { z, queryText, queryInt, queryDate, page, pageNumber } = require('./common');
+
+module.exports = {
+  list: z.object({
+    actor: queryText,
+    action: queryText,
+    targetType: queryText,
+    targetId: queryInt,
+    from: queryDate,
+    to: queryDate,
+    page,
+    limit: pageNumber(20, 100)
+  })
+};
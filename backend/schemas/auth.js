@@ -0,0 +1,13 @@
+'use strict';
+
+const { z, password } = require('./common');
+
+const requiredText = z.string({ required_error: 'Required' }).min(1, 'Required');
+
+module.exports = {
+  login: z.object({ utorid: requiredText, password: requiredText }),
+  refresh: z.object({ refreshToken: requiredText }),
+  logout: z.object({ refreshToken: requiredText.optional() }),
+  resetRequest: z.object({ utorid: requiredText }),
+  resetComplete: z.object({ utorid: requiredText, password })
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+// Building blocks shared by the request schemas
+const { z } = require('zod');
+const { passwordRegex, utoridRegex, uoftEmail, parseBool } = require('../lib/validation');
+
+const utorid = z.string().regex(utoridRegex, 'Must be 7-8 letters or digits');
+const password = z.string().regex(
+  passwordRegex,
+  'Must be 8-20 characters with upper and lower case letters, a number and a symbol'
+);
+const email = z.string().trim().refine(uoftEmail, 'Must be a @mail.utoronto.ca address');
+const nonEmpty = z.string().trim().min(1, 'Must not be empty');
+const remark = z.string().default('');
+const dateTime = z.string()
+  .refine((s) => !Number.isNaN(Date.parse(s)), 'Must be an ISO 8601 date-time')
+  .transform((s) => new Date(s));
+const positiveNumber = z.number().positive('Must be greater than 0');
+const positiveInt = z.number().int('Must be a whole number').positive('Must be greater than 0');
+const nonNegativeInt = z.number().int('Must be a whole number').min(0, 'Must not be negative');
+
+// Query strings: blank values count as absent; numbers and booleans arrive as text
+const blankToUndefined = (v) => (v == null || String(v).trim() === '' ? undefined : v);
+const queryText = z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : String(v).trim()),
+  z.string().optional()
+);
+const queryInt = z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : Number(v)),
+  z.number({ invalid_type_error: 'Must be a number' }).int('Must be a whole number').optional()
+);
+const queryNumber = z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : Number(v)),
+  z.number({ invalid_type_error: 'Must be a number' }).optional()
+);
+const queryBool = z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : (parseBool(v) ?? v)),
+  z.boolean({ invalid_type_error: 'Must be true or false' }).optional()
+);
+const queryDate = z.preprocess(blankToUndefined, dateTime.optional());
+const pageNumber = (fallback, max = Infinity) => z.preprocess(
+  blankToUndefined,
+  z.coerce.number({ invalid_type_error: 'Must be a number' })
+    .int('Must be a whole number')
+    .min(1, 'Must be at least 1')
+    .max(max, `Must be at most ${max}`)
+    .default(fallback)
+);
+// Comma-separated values, e.g. ?type=purchase,transfer; each must be one of `values`
+const queryList = (values) => z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : String(v).split(',').map((s) => s.trim()).filter(Boolean)),
+  z.array(z.enum(values, { errorMap: () => ({ message: `Must be a comma-separated list of ${values.join(', ')}` }) }))
+    .optional()
+);
+// Comma-separated sort keys, each ascending or prefixed with '-' for descending (e.g. "-createdAt,amount"),
+// parsed to a Prisma orderBy list
+const sortBy = (fields) => z.preprocess(
+  (v) => (blankToUndefined(v) === undefined ? undefined : String(v)),
+  z.string().optional().transform((s, ctx) => {
+    if (s === undefined) return undefined;
+    const order = [];
+    for (const key of s.split(',').map((k) => k.trim()).filter(Boolean)) {
+      const field = key.replace(/^-/, '');
+      if (!fields.includes(field)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Must be a comma-separated list of ${fields.join(', ')}, each optionally prefixed with -`
+        });
+        return z.NEVER;
+      }
+      order.push({ [field]: key.startsWith('-') ? 'desc' : 'asc' });
+    }
+    return order;
+  })
+);
+const page = pageNumber(1);
+const limit = pageNumber(10);
+
+// Accepts keys in any letter case (clients send e.g. ?Page=2 or { Role: 'cashier' })
+const caseInsensitive = (schema) => z.preprocess((obj) => {
+  if (!obj || typeof obj !== 'object') return obj;
+  const canonical = new Map(Object.keys(schema.shape).map((k) => [k.toLowerCase(), k]));
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [canonical.get(k.toLowerCase()) ?? k, v]));
+}, schema);
+
+module.exports = {
+  z,
+  utorid,
+  password,
+  email,
+  nonEmpty,
+  remark,
+  dateTime,
+  positiveNumber,
+  positiveInt,
+  nonNegativeInt,
+  queryText,
+  queryInt,
+  queryNumber,
+  queryBool,
+  queryDate,
+  queryList,
+  sortBy,
+  pageNumber,
+  page,
+  limit,
+  caseInsensitive
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const {
+  z, nonEmpty, remark, dateTime, positiveInt, queryText, queryBool, page, limit, caseInsensitive
+} = require('./common');
+
+// Publishing is one-way; form posts may send the flag as text
+const published = z.preprocess(
+  (v) => (typeof v === 'string' ? ({ true: true, false: false })[v.trim().toLowerCase()] ?? v : v),
+  z.boolean({ invalid_type_error: 'Must be true or false' }).refine((v) => v === true, 'Can only be set to true')
+);
+
+const person = z.object({ utorid: z.string({ required_error: 'Required' }).trim().min(1, 'Required') });
+
+module.exports = {
+  create: z.object({
+    name: nonEmpty,
+    description: nonEmpty,
+    location: nonEmpty,
+    startTime: dateTime,
+    endTime: dateTime,
+    capacity: positiveInt.nullish(),
+    points: positiveInt
+  }).refine((b) => b.endTime > b.startTime, { path: ['endTime'], message: 'Must be after the start time' }),
+
+  // null leaves a field unchanged
+  update: z.object({
+    name: nonEmpty.nullish(),
+    description: z.string().nullish(),
+    location: nonEmpty.nullish(),
+    startTime: dateTime.nullish(),
+    endTime: dateTime.nullish(),
+    capacity: positiveInt.nullish(),
+    points: positiveInt.nullish(),
+    published: published.nullish()
+  }),
+
+  list: caseInsensitive(z.object({
+    name: queryText,
+    location: queryText,
+    started: queryBool,
+    ended: queryBool,
+    showFull: queryBool,
+    published: queryBool,
+    page,
+    limit
+  })).superRefine((q, ctx) => {
+    if (q.started && q.ended) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['ended'], message: 'Cannot combine started and ended' });
+    }
+  }),
+
+  organizer: person,
+  guest: person,
+
+  // Without a utorid the amount goes to every guest
+  award: z.object({
+    type: z.literal('event'),
+    utorid: z.string().trim().optional(),
+    amount: positiveInt,
+    remark
+  })
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const { z, positiveNumber, positiveInt } = require('./common');
+
+module.exports = {
+  // Fields left out are unchanged; a null cap removes it. At least one field is needed
+  update: z.object({
+    earnRate: positiveNumber.max(1000, 'Must be at most 1000'),
+    rounding: z.enum(['round', 'floor', 'ceil'], {
+      errorMap: () => ({ message: "Must be 'round', 'floor' or 'ceil'" })
+    }),
+    maxPointsPerPurchase: positiveInt.nullable(),
+    minSpend: z.number({ invalid_type_error: 'Must be a number' }).min(0, 'Must not be negative')
+  }).partial().refine((b) => Object.keys(b).length > 0, { path: [''], message: 'Nothing to change' })
+};
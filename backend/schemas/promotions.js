@@ -0,0 +1,49 @@
+'use strict';
+
+const {
+  z, nonEmpty, dateTime, positiveNumber, positiveInt, queryText, queryBool, page, limit
+} = require('./common');
+
+// The API says 'one-time'; the database stores 'onetime'
+const type = z.enum(['automatic', 'one-time'], {
+  errorMap: () => ({ message: "Must be 'automatic' or 'one-time'" })
+}).transform((t) => (t === 'one-time' ? 'onetime' : t));
+
+// Older clients send the literal string 'null' for an unset filter
+const unlessNull = (schema) => z.preprocess((v) => (v === 'null' ? undefined : v), schema);
+
+module.exports = {
+  create: z.object({
+    name: nonEmpty,
+    description: nonEmpty,
+    type,
+    startTime: dateTime,
+    endTime: dateTime,
+    minSpending: positiveNumber.nullish(),
+    rate: positiveNumber.nullish(),
+    points: positiveInt.nullish()
+  }).refine((b) => b.endTime > b.startTime, { path: ['endTime'], message: 'Must be after the start time' }),
+
+  // null clears minSpending/rate/points and leaves the other fields unchanged; every promotion ends,
+  // so a null endTime is refused rather than read as 'no end'
+  update: z.object({
+    name: nonEmpty.nullish(),
+    description: nonEmpty.nullish(),
+    type: type.nullish(),
+    startTime: dateTime.nullish(),
+    endTime: dateTime.optional(),
+    minSpending: positiveNumber.nullish(),
+    rate: positiveNumber.nullish(),
+    points: positiveInt.nullish()
+  }),
+
+  list: z.object({
+    name: unlessNull(queryText),
+    type: unlessNull(z.preprocess((v) => (v === '' ? undefined : v), type.optional())),
+    started: queryBool,
+    ended: queryBool,
+    active: queryBool,
+    page,
+    limit
+  }).refine((q) => !(q.started && q.ended), { path: ['ended'], message: 'Cannot combine started and ended' })
+};
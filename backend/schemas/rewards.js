@@ -0,0 +1,39 @@
+'use strict';
+
+const {
+  z, nonEmpty, dateTime, positiveInt, nonNegativeInt, queryText, queryBool, page, limit
+} = require('./common');
+
+const imageUrl = z.string().trim().url('Must be a URL');
+const windowInOrder = (b) => b.startTime == null || b.endTime == null || b.endTime > b.startTime;
+
+module.exports = {
+  // Without a stock the reward is unlimited; without a start or end time it is open on that side
+  create: z.object({
+    name: nonEmpty,
+    description: nonEmpty,
+    cost: positiveInt,
+    stock: nonNegativeInt.nullish(),
+    startTime: dateTime.nullish(),
+    endTime: dateTime.nullish(),
+    imageUrl: imageUrl.nullish()
+  }).refine(windowInOrder, { path: ['endTime'], message: 'Must be after the start time' }),
+
+  // null clears stock/startTime/endTime/imageUrl; absent fields are left unchanged
+  update: z.object({
+    name: nonEmpty.optional(),
+    description: nonEmpty.optional(),
+    cost: positiveInt.optional(),
+    stock: nonNegativeInt.nullish(),
+    startTime: dateTime.nullish(),
+    endTime: dateTime.nullish(),
+    imageUrl: imageUrl.nullish()
+  }),
+
+  list: z.object({
+    name: queryText,
+    available: queryBool,
+    page,
+    limit
+  })
+};
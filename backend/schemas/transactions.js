@@ -0,0 +1,86 @@
+'use strict';
+
+const {
+  z, utorid, nonEmpty, remark, positiveInt, positiveNumber, queryText, queryInt, queryNumber, queryBool, page, limit
+} = require('./common');
+
+const flag = z.boolean({ invalid_type_error: 'Must be true or false' });
+
+module.exports = {
+  // POST /transactions is checked in two steps: the type picks the role needed, then its own schema
+  kind: z.object({
+    type: z.enum(['purchase', 'adjustment'], {
+      errorMap: () => ({ message: "Must be 'purchase' or 'adjustment'" })
+    })
+  }),
+
+  // A scanned member QR token identifies the member in place of a typed utorid
+  purchase: z.object({
+    type: z.literal('purchase'),
+    utorid: utorid.optional(),
+    qrToken: z.string().nullish(),
+    spent: z.number({ required_error: 'Required' }).min(0, 'Must not be negative'),
+    remark,
+    promotionIds: z.array(positiveInt).default([]),
+    suspicious: flag.default(false)
+  }).superRefine((b, ctx) => {
+    if (!b.utorid && b.qrToken == null) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['utorid'], message: 'Required unless a member QR token is given' });
+    }
+  }),
+
+  // A purchase priced but not recorded; without a member there is no tier or one-time promotion check
+  preview: z.object({
+    utorid: utorid.optional(),
+    spent: z.number({ required_error: 'Required' }).min(0, 'Must not be negative'),
+    promotionIds: z.array(positiveInt).default([])
+  }),
+
+  adjustment: z.object({
+    type: z.literal('adjustment'),
+    utorid,
+    amount: z.number({ required_error: 'Required' }).int('Must be a whole number'),
+    remark,
+    relatedId: positiveInt.nullish(),
+    suspicious: flag.default(false)
+  }),
+
+  list: z.object({
+    name: queryText,
+    userId: queryInt,
+    createdBy: queryInt,
+    suspicious: queryBool,
+    promotionId: queryInt,
+    type: queryText,
+    relatedId: queryInt,
+    amountOp: z.preprocess(
+      (v) => (v === '' ? undefined : v),
+      z.enum(['eq', 'lt', 'lte', 'gt', 'gte']).optional()
+    ),
+    amount: queryNumber,
+    page,
+    limit
+  }).superRefine((q, ctx) => {
+    if (q.amountOp && q.amount === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['amount'], message: 'Required with amountOp' });
+    }
+  }),
+
+  suspicious: z.object({ suspicious: flag }),
+
+  processed: z.object({
+    processed: z.literal(true).optional(),
+    qrToken: z.string().nullish()
+  }),
+
+  // Shown to the member, so it should say why
+  rejected: z.object({ reason: nonEmpty }),
+
+  // Dollars given back; refunding all that is left voids the purchase
+  refund: z.object({
+    spent: positiveNumber,
+    remark
+  }),
+
+  void: z.object({ remark })
+};
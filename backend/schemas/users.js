@@ -0,0 +1,105 @@
+'use strict';
+
+const {
+  z, utorid, password, email, remark, positiveInt, positiveNumber, queryText, queryInt, queryNumber, queryBool, queryDate,
+  queryList, sortBy, page, limit, pageNumber, caseInsensitive
+} = require('./common');
+const { ROLES } = require('../middleware/auth');
+
+const name = z.string().min(1, 'Must not be empty').max(50, 'Must be at most 50 characters');
+
+// Calendar dates as YYYY-MM-DD, rejecting impossible days such as 2025-02-30
+const birthday = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be a date as YYYY-MM-DD').refine((b) => {
+  const [Y, M, D] = b.split('-').map(Number);
+  const d = new Date(Y, M - 1, D);
+  return d.getFullYear() === Y && d.getMonth() === M - 1 && d.getDate() === D;
+}, 'Must be a real calendar date');
+
+const role = z.string().trim().toLowerCase().pipe(z.enum(ROLES, { errorMap: () => ({ message: `Must be one of ${ROLES.join(', ')}` }) }));
+
+module.exports = {
+  create: z.object({ utorid, name, email }),
+
+  list: caseInsensitive(z.object({
+    name: queryText,
+    role: z.preprocess((v) => (v === '' ? undefined : v), role.optional()),
+    verified: queryBool,
+    activated: queryBool,
+    page,
+    limit
+  })),
+
+  // Multipart form fields arrive as strings; null or absent leaves a field unchanged
+  updateMe: z.object({
+    name: name.nullish(),
+    email: email.nullish(),
+    birthday: birthday.nullish()
+  }),
+
+  update: caseInsensitive(z.object({
+    role: role.nullish(),
+    email: email.nullish(),
+    verified: z.boolean({ invalid_type_error: 'Must be true or false' })
+      .refine((v) => v === true, 'Can only be set to true')
+      .nullish(),
+    suspicious: z.boolean({ invalid_type_error: 'Must be true or false' }).nullish()
+  })),
+
+  changePassword: z.object({
+    old: z.string({ required_error: 'Required' }).min(1, 'Required'),
+    new: password
+  }),
+
+  // The points redeemed are the reward's cost
+  redemption: z.object({
+    type: z.literal('redemption'),
+    rewardId: positiveInt,
+    remark
+  }),
+
+  transfer: z.object({
+    type: z.literal('transfer'),
+    amount: positiveNumber,
+    remark
+  }),
+
+  // What members may create on their own account
+  myTransactionKind: z.object({
+    type: z.enum(['redemption', 'transfer'], {
+      errorMap: () => ({ message: "Must be 'redemption' or 'transfer'" })
+    })
+  }),
+
+  // Transfers addressed by the recipient's utorid rather than their user id
+  transferTo: z.object({
+    type: z.literal('transfer'),
+    utorid,
+    amount: positiveNumber,
+    remark
+  }),
+
+  // Amounts are compared as stored, so a redemption of 40 points has amount 40
+  myTransactions: z.object({
+    type: queryList(['purchase', 'adjustment', 'redemption', 'event', 'transfer', 'expiry', 'refund']),
+    minAmount: queryNumber,
+    maxAmount: queryNumber,
+    from: queryDate,
+    to: queryDate,
+    promotionId: queryInt,
+    relatedId: queryInt,
+    remark: queryText,
+    orderBy: sortBy(['createdAt', 'amount', 'type', 'id']),
+    page,
+    limit
+  }).superRefine((q, ctx) => {
+    if (q.minAmount !== undefined && q.maxAmount !== undefined && q.minAmount > q.maxAmount) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['maxAmount'], message: 'Must not be less than minAmount' });
+    }
+    if (q.from && q.to && q.from > q.to) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['to'], message: 'Must not be before from' });
+    }
+  }),
+
+  // How many days ahead to look for expiring points
+  expiring: z.object({ days: pageNumber(30, 366) })
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// Audit: append-only trail of privileged changes; pass a transaction client to commit it with the change
+const pickFields = (obj, keys) => (obj ? Object.fromEntries(keys.map((k) => [k, obj[k] ?? null])) : null);
+const recordAudit = (px, req, { action, targetType, targetId = null, before = null, after = null }) =>
+  px.auditLog.create({
+    data: {
+      actorId: req.auth.id,
+      action,
+      targetType,
+      targetId,
+      before: before == null ? null : JSON.stringify(before),
+      after: after == null ? null : JSON.stringify(after),
+      ip: req.ip || null
+    }
+  });
+
+module.exports = { pickFields, recordAudit };
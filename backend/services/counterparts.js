@@ -0,0 +1,65 @@
+'use strict';
+
+// Who or what sits on the other side of a transaction, resolved for a whole page of rows at once
+const prisma = require('../lib/prisma');
+
+const presentUser = (u) => (u ? { id: u.id, utorid: u.utorid, name: u.name } : null);
+
+// Takes transaction rows with at least id, userId, type, relatedId, createdById and processedById,
+// and returns a Map from transaction id to the fields to add to its response:
+//   transfers                   sender and recipient as { id, utorid, name }
+//   event awards                event as { id, name }
+//   purchases                   cashier as { id, utorid } (who rang it up)
+//   processed redemptions       cashier as { id, utorid } (who handed the reward over)
+// Two queries regardless of page size; anyone since deleted resolves to null.
+const resolveCounterparts = async (rows, px = prisma) => {
+  const cashierIdOf = (t) => {
+    if (t.type === 'purchase') return t.createdById;
+    if (t.type === 'redemption') return t.processedById;
+    return null;
+  };
+
+  const userIds = new Set();
+  const eventIds = new Set();
+  for (const t of rows) {
+    if (t.type === 'transfer' && t.relatedId != null) {
+      userIds.add(t.userId);
+      userIds.add(t.relatedId);
+    } else if (t.type === 'event' && t.relatedId != null) {
+      eventIds.add(t.relatedId);
+    } else if (cashierIdOf(t) != null) {
+      userIds.add(cashierIdOf(t));
+    }
+  }
+
+  const [users, events] = await Promise.all([
+    userIds.size
+      ? px.user.findMany({ where: { id: { in: [...userIds] } }, select: { id: true, utorid: true, name: true } })
+      : [],
+    eventIds.size
+      ? px.event.findMany({ where: { id: { in: [...eventIds] } }, select: { id: true, name: true } })
+      : []
+  ]);
+  const userById = new Map(users.map((u) => [u.id, u]));
+  const eventById = new Map(events.map((e) => [e.id, e]));
+
+  const resolved = new Map();
+  for (const t of rows) {
+    if (t.type === 'transfer') {
+      // The sending side is stored as a negative amount, the receiving side as a positive one
+      const owner = presentUser(userById.get(t.userId));
+      const other = presentUser(userById.get(t.relatedId));
+      resolved.set(t.id, t.amount < 0 ? { sender: owner, recipient: other } : { sender: other, recipient: owner });
+    } else if (t.type === 'event') {
+      resolved.set(t.id, { event: eventById.get(t.relatedId) ?? null });
+    } else if (t.type === 'purchase' || t.type === 'redemption') {
+      const cashier = userById.get(cashierIdOf(t));
+      resolved.set(t.id, { cashier: cashier ? { id: cashier.id, utorid: cashier.utorid } : null });
+    } else {
+      resolved.set(t.id, {});
+    }
+  }
+  return resolved;
+};
+
+module.exports = { resolveCounterparts };
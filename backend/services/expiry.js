@@ -0,0 +1,119 @@
+'use strict';
+
+// Points expiry: earned points left unspent past their expiry date are written off with an 'expiry'
+// transaction. Spending always uses up a member's oldest points first.
+const prisma = require('../lib/prisma');
+const { POINTS_EXPIRY } = require('../config');
+const { balanceEffect } = require('./points');
+const { now } = require('../lib/validation');
+
+// When points earned at `earnedAt` expire, or null if they never do. A reset day ends at local midnight.
+const expiresAt = (earnedAt, config = POINTS_EXPIRY) => {
+  if (config.policy === 'rolling') {
+    const d = new Date(earnedAt);
+    d.setMonth(d.getMonth() + config.months);
+    return d;
+  }
+  if (config.policy === 'reset' && config.resetDates.length > 0) {
+    for (let year = earnedAt.getFullYear(); ; year++) {
+      for (const [month, day] of config.resetDates) {
+        const end = new Date(year, month - 1, day + 1);
+        if (end > earnedAt) return end;
+      }
+    }
+  }
+  return null;
+};
+
+// What is left of each credit once every debit has consumed the oldest credits first, oldest first.
+// `txs` must be ordered by creation; returns [{ earnedAt, points, expiresAt }].
+const unspentLots = (txs, config = POINTS_EXPIRY) => {
+  const lots = [];
+  let spent = 0;
+  for (const t of txs) {
+    const effect = balanceEffect(t);
+    if (effect > 0) lots.push({ earnedAt: t.createdAt, points: effect });
+    else spent -= effect;
+  }
+  for (const lot of lots) {
+    const used = Math.min(lot.points, spent);
+    lot.points -= used;
+    spent -= used;
+  }
+  return lots.filter((l) => l.points > 0).map((l) => ({ ...l, expiresAt: expiresAt(l.earnedAt, config) }));
+};
+
+const historyOf = (px, userId) => px.transaction.findMany({
+  where: { userId },
+  orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  select: { type: true, amount: true, suspicious: true, processedById: true, createdAt: true }
+});
+
+// Points on a member's balance that expire within `days`, grouped by the day they expire.
+// Points already past due (waiting for the next run of the job) are included.
+const upcomingExpiry = async (userId, days = 30, config = POINTS_EXPIRY) => {
+  const horizon = new Date(now().getTime() + days * 24 * 3600e3);
+  const schedule = [];
+  if (config.policy !== 'none') {
+    for (const lot of unspentLots(await historyOf(prisma, userId), config)) {
+      if (!lot.expiresAt || lot.expiresAt > horizon) continue;
+      const last = schedule[schedule.length - 1];
+      if (last && last.expiresAt.toDateString() === lot.expiresAt.toDateString()) last.points += lot.points;
+      else schedule.push({ expiresAt: lot.expiresAt, points: lot.points });
+    }
+  }
+  return {
+    policy: config.policy,
+    total: schedule.reduce((sum, s) => sum + s.points, 0),
+    expiresAt: schedule[0]?.expiresAt ?? null,
+    schedule
+  };
+};
+
+// Writes off every member's points that expired by `at`; returns [{ utorid, expired, transactionId }]
+const expirePoints = async (at = now(), config = POINTS_EXPIRY) => {
+  if (config.policy === 'none') return [];
+  const users = await prisma.user.findMany({ where: { points: { gt: 0 } }, select: { id: true }, orderBy: { id: 'asc' } });
+  const results = [];
+  for (const { id } of users) {
+    await prisma.$transaction(async (px) => {
+      const due = unspentLots(await historyOf(px, id), config)
+        .filter((l) => l.expiresAt && l.expiresAt <= at)
+        .reduce((sum, l) => sum + l.points, 0);
+      const user = await px.user.findUnique({ where: { id } });
+      // Never take a cached balance below zero, even if it has drifted from the history
+      const amount = Math.min(due, user.points);
+      if (amount <= 0) return;
+
+      const tx = await px.transaction.create({
+        data: {
+          userId: id,
+          type: 'expiry',
+          amount: -amount,
+          remark: 'Points expired',
+          createdById: null,
+          createdAt: at
+        }
+      });
+      await px.user.update({ where: { id }, data: { points: { decrement: amount } } });
+      results.push({ utorid: user.utorid, expired: amount, transactionId: tx.id });
+    });
+  }
+  return results;
+};
+
+// Runs expirePoints now and then every POINTS_EXPIRY.checkInterval; a no-op when nothing expires
+const scheduleExpiry = (config = POINTS_EXPIRY) => {
+  if (config.policy === 'none') return null;
+  const run = () => expirePoints(now(), config)
+    .then((results) => {
+      if (results.length > 0) console.log(`Points expiry: wrote off points for ${results.length} members`);
+    })
+    .catch((err) => console.error('Points expiry failed:', err));
+  run();
+  const timer = setInterval(run, config.checkInterval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { expiresAt, unspentLots, upcomingExpiry, expirePoints, scheduleExpiry };
@@ -0,0 +1,56 @@
+'use strict';
+
+// Ledger: recomputes every balance from the transaction history and reconciles User.points with it
+const prisma = require('../lib/prisma');
+const { balanceEffect } = require('./points');
+const { recordAudit } = require('./audit');
+
+const RECONCILE_REMARK = 'Ledger reconciliation';
+
+// Users whose cached balance differs from their history, as { id, utorid, points, expected, difference }
+const findDiscrepancies = async (px = prisma) => {
+  const [users, txs] = await Promise.all([
+    px.user.findMany({ select: { id: true, utorid: true, points: true }, orderBy: { id: 'asc' } }),
+    px.transaction.findMany({ select: { userId: true, type: true, amount: true, suspicious: true, processedById: true } })
+  ]);
+
+  const expected = new Map();
+  for (const t of txs) expected.set(t.userId, (expected.get(t.userId) ?? 0) + balanceEffect(t));
+
+  const discrepancies = users
+    .map((u) => ({ ...u, expected: expected.get(u.id) ?? 0 }))
+    .filter((u) => u.points !== u.expected)
+    .map((u) => ({ ...u, difference: u.points - u.expected }));
+  return { checked: users.length, discrepancies };
+};
+
+// Writes one adjustment per discrepancy so the history accounts for the balance each member holds.
+// Balances themselves are left alone; points a member should not keep are taken back with an ordinary
+// adjustment afterwards. `req` is the acting superuser (anything with auth.id will do).
+const reconcileBalances = (req) => prisma.$transaction(async (px) => {
+  const report = await findDiscrepancies(px);
+  for (const d of report.discrepancies) {
+    const tx = await px.transaction.create({
+      data: {
+        userId: d.id,
+        type: 'adjustment',
+        amount: d.difference,
+        remark: RECONCILE_REMARK,
+        suspicious: false,
+        createdById: req.auth.id,
+        processedById: req.auth.id
+      }
+    });
+    d.transactionId = tx.id;
+    await recordAudit(px, req, {
+      action: 'ledger.reconcile',
+      targetType: 'user',
+      targetId: d.id,
+      before: { points: d.points, expected: d.expected },
+      after: { points: d.points, expected: d.points, transactionId: tx.id }
+    });
+  }
+  return report;
+});
+
+module.exports = { findDiscrepancies, reconcileBalances };
@@ -0,0 +1,22 @@
+'use strict';
+
+const { createMailer } = require('../mailer');
+const { APP_URL } = require('../config');
+
+const mailer = createMailer();
+
+// Emails a reset/activation link; a failed send is logged rather than failing the request
+async function mailResetLink(user, template, resetToken, expiresAt) {
+  try {
+    await mailer.sendTemplate(user.email, template, {
+      name: user.name,
+      utorid: user.utorid,
+      link: `${APP_URL}/reset-password/${resetToken}`,
+      expiresAt: expiresAt.toUTCString()
+    });
+  } catch (err) {
+    console.error(`cannot send ${template} email to ${user.utorid}: ${err.message}`);
+  }
+}
+
+module.exports = { mailResetLink };
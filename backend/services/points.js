@@ -0,0 +1,113 @@
+'use strict';
+
+// Points rules: the earning engine for purchases, one-time promotion eligibility and how
+// each transaction moves a balance
+const prisma = require('../lib/prisma');
+const { now } = require('../lib/validation');
+const { memberTier } = require('./tiers');
+
+// Program rules until a superuser saves their own: 4 points per dollar (1 per 25 cents), rounded
+// to the nearest point, no cap and no minimum spend
+const DEFAULT_PROGRAM = { earnRate: 4, rounding: 'round', maxPointsPerPurchase: null, minSpend: 0 };
+const ROUNDING = { round: Math.round, floor: Math.floor, ceil: Math.ceil };
+
+// The saved program rules, or the defaults if none have been saved
+const getProgramConfig = async (px = prisma) => {
+  const row = await px.programConfig.findUnique({ where: { id: 1 } });
+  if (!row) return { ...DEFAULT_PROGRAM, updatedAt: null };
+  const { earnRate, rounding, maxPointsPerPurchase, minSpend, updatedAt } = row;
+  return { earnRate, rounding, maxPointsPerPurchase, minSpend, updatedAt };
+};
+
+// Rounds fractional points the program's way; the nudge keeps e.g. 0.1 * 3 from ceiling to 1
+const toPoints = (x, program) => ROUNDING[program.rounding](Math.round(x * 1e6) / 1e6);
+
+const basePoints = (spent, program = DEFAULT_PROGRAM, multiplier = 1) =>
+  toPoints(Number(spent) * program.earnRate * multiplier, program);
+const isActivePromo = (p) => p.startTime <= now() && p.endTime >= now();
+
+// Extra points a promotion adds to a purchase of `spent` dollars (none below its minimum spend)
+const promotionBonus = (p, spent, program = DEFAULT_PROGRAM) => {
+  if (p.minSpending != null && spent < Number(p.minSpending)) return 0;
+  let extra = 0;
+  if (p.rate != null)   extra += toPoints(spent * 100 * Number(p.rate), program);
+  if (p.points != null) extra += Number(p.points);
+  return extra;
+};
+
+// The earning engine: what a purchase of `spent` dollars earns under `program`. Nothing is earned
+// below the program's minimum spend, the tier multiplier scales base points only, and the
+// per-purchase cap applies to the total.
+const calculateEarnings = ({ spent, promotions = [], multiplier = 1, program = DEFAULT_PROGRAM }) => {
+  const eligible = spent >= program.minSpend;
+  const base = eligible ? basePoints(spent, program, multiplier) : 0;
+  const bonuses = promotions.map((p) => ({
+    id: p.id, name: p.name, type: p.type, points: eligible ? promotionBonus(p, spent, program) : 0
+  }));
+  const total = bonuses.reduce((sum, b) => sum + b.points, base);
+  const cap = program.maxPointsPerPurchase;
+  const earned = cap != null ? Math.min(total, cap) : total;
+  return { spent, minSpend: program.minSpend, eligible, multiplier, base, promotions: bonuses, total, cap, earned };
+};
+
+const usedPromotionIds = async (userId) => {
+  if (userId == null) return new Set();
+  const used = await prisma.userPromotionUsage.findMany({
+    where: { userId, usedAt: { not: null } }, select: { promotionId: true }
+  });
+  return new Set(used.map(x => x.promotionId));
+};
+
+async function pickAvailableOneTimePromos(userId) {
+  const promos = await prisma.promotion.findMany({});
+  const active = promos.filter(isActivePromo).filter(p => p.type === 'onetime');
+  const usedSet = await usedPromotionIds(userId);
+  return active.filter(p => !usedSet.has(p.id)).map(p => ({
+    id: p.id, name: p.name, startTime: p.startTime, endTime: p.endTime,
+    minSpending: p.minSpending, rate: p.rate, points: p.points
+  }));
+}
+
+// Prices a purchase: base points scale with the member's tier, every active automatic promotion
+// applies, and each requested one-time promotion must be active and not yet used by the member.
+// Without a member (userId null) there is no tier and any active one-time promotion may be chosen.
+// Returns null if promotionIds is invalid, else the promotions involved with the engine's breakdown.
+async function pricePurchase(userId, spent, promotionIds) {
+  const promos = await prisma.promotion.findMany({});
+  const active = promos.filter(isActivePromo);
+  const automatic = active.filter(p => p.type === 'automatic');
+  const oneTimeMap = new Map(
+    active
+      .filter(p => p.type === 'onetime')
+      .map(p => [p.id, p])
+  );
+  const usedSet = await usedPromotionIds(userId);
+
+  const oneTime = [];
+  for (const raw of promotionIds) {
+    if (raw === null || raw === undefined || raw === '') return null;
+    const pid = Number(raw);
+    if (!Number.isInteger(pid) || pid <= 0) return null;
+    const p = oneTimeMap.get(pid);
+    if (!p || usedSet.has(pid)) return null;
+    oneTime.push(p);
+  }
+
+  const promotions = [...automatic, ...oneTime];
+  const [tier, program] = await Promise.all([userId == null ? null : memberTier(userId), getProgramConfig()]);
+  const breakdown = calculateEarnings({ spent, promotions, multiplier: tier?.multiplier ?? 1, program });
+  return { earned: breakdown.earned, promotions, oneTime, tier, breakdown };
+}
+
+// How a transaction moves its owner's balance. Amounts are stored signed except redemptions, which
+// are positive and only count once processed; anything flagged suspicious counts for nothing.
+const balanceEffect = (t) => {
+  if (t.type === 'redemption') return t.processedById ? -t.amount : 0;
+  if (t.suspicious) return 0;
+  return t.amount;
+};
+
+module.exports = {
+  DEFAULT_PROGRAM, getProgramConfig, basePoints, isActivePromo, promotionBonus, calculateEarnings,
+  balanceEffect, pickAvailableOneTimePromos, pricePurchase
+};
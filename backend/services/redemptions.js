@@ -0,0 +1,59 @@
+'use strict';
+
+// Redemption requests: a request stays pending until a cashier processes it, the member cancels it,
+// staff reject it or it goes stale and expires. Nothing is deducted unless it is processed.
+const prisma = require('../lib/prisma');
+const { REDEMPTION_EXPIRY } = require('../config');
+const { now } = require('../lib/validation');
+
+const DAY = 24 * 3600e3;
+
+// Closes a redemption if it is still pending; returns whether it was. Conditional on the status,
+// so a request that is processed, cancelled and rejected at the same moment ends up in one state.
+const closeRedemption = async (px, id, status, statusReason = null, at = now()) => {
+  const { count } = await px.transaction.updateMany({
+    where: { id, type: 'redemption', status: 'pending' },
+    data: { status, statusReason, closedAt: at }
+  });
+  return count === 1;
+};
+
+// Points a member has already asked to redeem: the total of their pending requests
+const pendingRedemptionTotal = async (userId, px = prisma) => {
+  const { _sum } = await px.transaction.aggregate({
+    where: { userId, type: 'redemption', status: 'pending' },
+    _sum: { amount: true }
+  });
+  return _sum.amount ?? 0;
+};
+
+// Expires every request that has been pending for longer than the configured period; returns their ids
+const expireRedemptions = async (at = now(), config = REDEMPTION_EXPIRY) => {
+  if (!(config.days > 0)) return [];
+  const stale = await prisma.transaction.findMany({
+    where: { type: 'redemption', status: 'pending', createdAt: { lte: new Date(at.getTime() - config.days * DAY) } },
+    select: { id: true },
+    orderBy: { id: 'asc' }
+  });
+  const expired = [];
+  for (const { id } of stale) {
+    if (await closeRedemption(prisma, id, 'expired', `Not redeemed within ${config.days} days`, at)) expired.push(id);
+  }
+  return expired;
+};
+
+// Runs expireRedemptions now and then every REDEMPTION_EXPIRY.checkInterval; off when days is 0
+const scheduleRedemptionExpiry = (config = REDEMPTION_EXPIRY) => {
+  if (!(config.days > 0)) return null;
+  const run = () => expireRedemptions(now(), config)
+    .then((expired) => {
+      if (expired.length > 0) console.log(`Redemption expiry: closed ${expired.length} stale requests`);
+    })
+    .catch((err) => console.error('Redemption expiry failed:', err));
+  run();
+  const timer = setInterval(run, config.checkInterval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { closeRedemption, pendingRedemptionTotal, expireRedemptions, scheduleRedemptionExpiry };
@@ -0,0 +1,71 @@
+'use strict';
+
+// Purchase refunds: each refund is a 'refund' transaction linked to its purchase (relatedId) that takes
+// back the purchase's points in proportion to the dollars returned. Refunding all that is left voids
+// the purchase and gives back the one-time promotions it used.
+const { now } = require('../lib/validation');
+
+const roundCents = (n) => Math.round(n * 100) / 100;
+
+// Points taken back once `refunded` of the purchase's dollars have been returned. Working from the running
+// total rather than each refund alone means a purchase's refunds always add up to exactly what it earned.
+const clawedBack = (purchase, refunded) =>
+  (purchase.spent > 0 ? Math.round((purchase.amount * refunded) / purchase.spent) : 0);
+
+// Dollars of a purchase that can still be refunded
+const refundable = (purchase) => roundCents(purchase.spent - purchase.refunded);
+
+// Refunds `spent` dollars of a purchase, or everything left of it when `spent` is null (a void).
+// Returns { refund, refunded, voidedAt, restoredPromotionIds }, or null if another refund of the same
+// purchase was recorded first. Flagged purchases never credited their points, so their refunds are
+// flagged too and take nothing back from the balance.
+const refundPurchase = async (px, purchase, { spent = null, remark, actorId }) => {
+  const voiding = spent == null || spent >= refundable(purchase);
+  const refunded = voiding ? purchase.spent : roundCents(purchase.refunded + spent);
+  const target = voiding ? purchase.amount : clawedBack(purchase, refunded);
+  const points = target - clawedBack(purchase, purchase.refunded);
+  const voidedAt = voiding ? now() : null;
+
+  // Conditional on the refunds seen so far, so two refunds made at once cannot both count the same dollars
+  const { count } = await px.transaction.updateMany({
+    where: { id: purchase.id, refunded: purchase.refunded, voidedAt: null },
+    data: { refunded, voidedAt }
+  });
+  if (count !== 1) return null;
+
+  const suspicious = purchase.suspicious === true;
+  const refund = await px.transaction.create({
+    data: {
+      userId: purchase.userId,
+      type: 'refund',
+      amount: -points,
+      spent: roundCents(refunded - purchase.refunded),
+      relatedId: purchase.id,
+      remark,
+      suspicious,
+      createdById: actorId,
+      processedById: actorId
+    }
+  });
+  if (!suspicious && points !== 0) {
+    await px.user.update({ where: { id: purchase.userId }, data: { points: { decrement: points } } });
+  }
+
+  let restoredPromotionIds = [];
+  if (voiding) {
+    const used = await px.transactionPromotion.findMany({
+      where: { transactionId: purchase.id, promotion: { type: 'onetime' } },
+      select: { promotionId: true }
+    });
+    restoredPromotionIds = used.map((p) => p.promotionId);
+    if (restoredPromotionIds.length > 0) {
+      await px.userPromotionUsage.deleteMany({
+        where: { userId: purchase.userId, promotionId: { in: restoredPromotionIds } }
+      });
+    }
+  }
+
+  return { refund, refunded, voidedAt, restoredPromotionIds };
+};
+
+module.exports = { refundable, refundPurchase };
@@ -0,0 +1,33 @@
+'use strict';
+
+// Reward catalog rules: when a reward can be redeemed and how stock is handed out
+const { now } = require('../lib/validation');
+
+// Prisma filter for rewards a member can redeem right now: inside the (open-ended) window and in stock
+const availableWhere = () => {
+  const at = now();
+  return {
+    AND: [
+      { OR: [{ startTime: null }, { startTime: { lte: at } }] },
+      { OR: [{ endTime: null }, { endTime: { gt: at } }] },
+      { OR: [{ stock: null }, { stock: { gt: 0 } }] }
+    ]
+  };
+};
+
+const isAvailableReward = (r) =>
+  (r.startTime == null || r.startTime <= now()) &&
+  (r.endTime == null || r.endTime > now()) &&
+  (r.stock == null || r.stock > 0);
+
+// Takes one unit of a reward's stock, refusing to go below zero even when cashiers race for
+// the last one. Rewards with unlimited stock always succeed. Returns whether a unit was taken.
+const takeStock = async (px, rewardId) => {
+  const { count } = await px.reward.updateMany({
+    where: { id: rewardId, OR: [{ stock: null }, { stock: { gt: 0 } }] },
+    data: { stock: { decrement: 1 } }
+  });
+  return count === 1;
+};
+
+module.exports = { availableWhere, isAvailableReward, takeStock };
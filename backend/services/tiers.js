@@ -0,0 +1,45 @@
+'use strict';
+
+// Membership tiers: reached by purchase spend over the last 12 months; higher tiers earn base points faster
+const prisma = require('../lib/prisma');
+const { now } = require('../lib/validation');
+
+// Ascending by the rolling spend (in dollars) needed to reach them
+const TIERS = [
+  { name: 'Bronze', minSpend: 0, multiplier: 1 },
+  { name: 'Silver', minSpend: 250, multiplier: 1.25 },
+  { name: 'Gold', minSpend: 750, multiplier: 1.5 }
+];
+const TIER_WINDOW_MONTHS = 12;
+
+const roundCents = (n) => Math.round(n * 100) / 100;
+const tierForSpend = (spend) => TIERS.reduce((reached, t) => (spend >= t.minSpend ? t : reached), TIERS[0]);
+
+// Dollars spent on purchases in the tier window, less what was refunded; flagged purchases do not count
+const rollingSpend = async (userId, px = prisma) => {
+  const since = now();
+  since.setMonth(since.getMonth() - TIER_WINDOW_MONTHS);
+  const { _sum } = await px.transaction.aggregate({
+    // Spelled out because `not: true` would also drop rows whose flag is null, which the ledger credits
+    where: { userId, type: 'purchase', OR: [{ suspicious: false }, { suspicious: null }], createdAt: { gte: since } },
+    _sum: { spent: true, refunded: true }
+  });
+  return roundCents((_sum.spent ?? 0) - (_sum.refunded ?? 0));
+};
+
+// A member's tier with progress toward the next:
+// { name, minSpend, multiplier, spend, next: { name, minSpend, remaining } | null }
+const memberTier = async (userId, px = prisma) => {
+  const spend = await rollingSpend(userId, px);
+  const tier = tierForSpend(spend);
+  const next = TIERS[TIERS.indexOf(tier) + 1];
+  return {
+    name: tier.name,
+    minSpend: tier.minSpend,
+    multiplier: tier.multiplier,
+    spend,
+    next: next ? { name: next.name, minSpend: next.minSpend, remaining: roundCents(next.minSpend - spend) } : null
+  };
+};
+
+module.exports = { TIERS, TIER_WINDOW_MONTHS, tierForSpend, rollingSpend, memberTier };
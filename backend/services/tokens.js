@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, QR_SECRET, QR_TOKEN_TTL, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL } = require('../config');
+
+// QR payloads: short-lived signed tokens; the separate secret and audience keep them from doubling as login tokens
+const signQrToken = (payload) => ({
+  token: jwt.sign(payload, QR_SECRET, { algorithm: 'HS256', audience: 'qr', expiresIn: QR_TOKEN_TTL }),
+  expiresAt: new Date(Date.now() + QR_TOKEN_TTL * 1000).toISOString()
+});
+const verifyQrToken = (token, kind) => {
+  try {
+    const payload = jwt.verify(String(token), QR_SECRET, { algorithms: ['HS256'], audience: 'qr' });
+    if (payload.kind !== kind) return { status: 400, error: 'Bad Request' };
+    return { payload };
+  } catch (e) {
+    if (e && e.name === 'TokenExpiredError') return { status: 410, error: 'Gone' };
+    return { status: 400, error: 'Bad Request' };
+  }
+};
+
+// Sessions: short-lived access JWTs paired with rotating, single-use refresh tokens (stored hashed)
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+async function issueSessionTokens(px, user, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000);
+  await px.refreshToken.create({ data: { id: hashToken(refreshToken), sessionId, expiresAt: refreshExpiresAt } });
+  const token = jwt.sign(
+    { id: user.id, utorid: user.utorid, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return {
+    token,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString(),
+    refreshToken,
+    refreshExpiresAt: refreshExpiresAt.toISOString()
+  };
+}
+
+module.exports = { signQrToken, verifyQrToken, hashToken, issueSessionTokens };
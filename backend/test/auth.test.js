@@ -0,0 +1,121 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  request, app, prisma, PASSWORD, USERS, setup, teardown, login, as, lastMailedToken
+} = require('./helpers');
+
+let users;
+before(async () => { users = await setup(); });
+after(teardown);
+
+describe('login', () => {
+  test('returns an access token and a refresh token', async () => {
+    const res = await request(app).post('/auth/tokens').send({ utorid: USERS.regular.utorid, password: PASSWORD });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.ok(Date.parse(res.body.expiresAt) > Date.now());
+  });
+
+  test('rejects a wrong password and an unknown utorid alike', async () => {
+    const wrong = await request(app).post('/auth/tokens').send({ utorid: USERS.regular2.utorid, password: 'Wrong0ne!' });
+    const unknown = await request(app).post('/auth/tokens').send({ utorid: 'nobody00', password: PASSWORD });
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 401);
+  });
+
+  test('reports missing credentials field by field', async () => {
+    const res = await request(app).post('/auth/tokens').send({});
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.issues.map((i) => i.field).sort(), ['password', 'utorid']);
+  });
+
+  test('requires a token for protected routes', async () => {
+    const res = await request(app).get('/users/me');
+    assert.equal(res.status, 401);
+  });
+
+  test('identifies the caller on /users/me', async () => {
+    const res = await as(USERS.manager.utorid).get('/users/me');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.utorid, USERS.manager.utorid);
+    assert.equal(res.body.role, 'manager');
+  });
+});
+
+describe('sessions', () => {
+  test('a refresh token can be used once', async () => {
+    const { refreshToken } = await login(USERS.regular2.utorid);
+    const first = await request(app).post('/auth/refresh').send({ refreshToken });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+
+    const again = await request(app).post('/auth/refresh').send({ refreshToken });
+    assert.equal(again.status, 401);
+  });
+
+  test('logging out revokes the session', async () => {
+    const { token, refreshToken } = await login(USERS.regular2.utorid);
+    const out = await request(app).delete('/auth/sessions').set('Authorization', `Bearer ${token}`).send({ refreshToken });
+    assert.equal(out.status, 204);
+
+    const me = await request(app).get('/users/me').set('Authorization', `Bearer ${token}`);
+    assert.equal(me.status, 401);
+    const refreshed = await request(app).post('/auth/refresh').send({ refreshToken });
+    assert.equal(refreshed.status, 401);
+  });
+});
+
+describe('password reset', () => {
+  const { utorid } = USERS.regular;
+  const email = `${utorid}@mail.utoronto.ca`;
+  const newPassword = 'N3w-passw0rd';
+
+  test('emails a link instead of returning the token', async () => {
+    const res = await request(app).post('/auth/resets').send({ utorid });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.resetToken, undefined);
+    assert.ok(lastMailedToken(email));
+  });
+
+  test('rejects a weak password and a utorid that does not match the link', async () => {
+    const token = lastMailedToken(email);
+    const weak = await request(app).post(`/auth/resets/${token}`).send({ utorid, password: 'short' });
+    assert.equal(weak.status, 400);
+    assert.equal(weak.body.issues[0].field, 'password');
+
+    const mismatch = await request(app).post(`/auth/resets/${token}`).send({ utorid: USERS.regular2.utorid, password: newPassword });
+    assert.equal(mismatch.status, 401);
+  });
+
+  test('sets the new password once and ends existing sessions', async () => {
+    const { refreshToken } = await login(utorid);
+    const token = lastMailedToken(email);
+
+    const done = await request(app).post(`/auth/resets/${token}`).send({ utorid, password: newPassword });
+    assert.equal(done.status, 200);
+    const reused = await request(app).post(`/auth/resets/${token}`).send({ utorid, password: newPassword });
+    assert.equal(reused.status, 404);
+
+    assert.equal((await request(app).post('/auth/refresh').send({ refreshToken })).status, 401);
+    const old = await request(app).post('/auth/tokens').send({ utorid, password: PASSWORD });
+    assert.equal(old.status, 401);
+    await login(utorid, newPassword);
+  });
+
+  test('lets a locked-out member back in', async () => {
+    await prisma.user.update({
+      where: { utorid },
+      data: { failedLogins: 9, lockedUntil: new Date(Date.now() + 3600e3) }
+    });
+    const locked = await request(app).post('/auth/tokens').send({ utorid, password: newPassword });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+
+    const unlock = await as(USERS.manager.utorid).delete(`/users/${users.regular.id}/lockout`);
+    assert.equal(unlock.status, 200);
+    await login(utorid, newPassword);
+  });
+});
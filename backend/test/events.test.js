@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+
+let eventId;
+before(async () => {
+  await setup();
+  const res = await as(USERS.manager.utorid).post('/events').send({
+    name: 'Board Game Night',
+    description: 'Bring a friend',
+    location: 'BA 3200',
+    startTime: hoursFromNow(24).toISOString(),
+    endTime: hoursFromNow(27).toISOString(),
+    capacity: 2,
+    points: 100
+  });
+  eventId = res.body.id;
+});
+after(teardown);
+
+const pointsOf = async (utorid) => (await prisma.user.findUnique({ where: { utorid } })).points;
+
+describe('event setup', () => {
+  test('new events start unpublished and hidden from members', async () => {
+    const res = await as(USERS.regular.utorid).get(`/events/${eventId}`);
+    assert.equal(res.status, 404);
+  });
+
+  test('organizers may edit details but only managers publish', async () => {
+    const add = await as(USERS.manager.utorid).post(`/events/${eventId}/organizers`).send({ utorid: USERS.cashier.utorid });
+    assert.equal(add.status, 201);
+
+    const organizer = as(USERS.cashier.utorid);
+    const rename = await organizer.patch(`/events/${eventId}`).send({ name: 'Games Night' });
+    assert.equal(rename.status, 200);
+    assert.equal(rename.body.name, 'Games Night');
+    const publish = await organizer.patch(`/events/${eventId}`).send({ published: true });
+    assert.equal(publish.status, 403);
+
+    const published = await as(USERS.manager.utorid).patch(`/events/${eventId}`).send({ published: true });
+    assert.equal(published.status, 200);
+    assert.equal(published.body.published, true);
+  });
+
+  test('rejects an end time before the start', async () => {
+    const res = await as(USERS.manager.utorid).patch(`/events/${eventId}`).send({ endTime: hoursFromNow(1).toISOString() });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'endTime');
+  });
+});
+
+describe('RSVP', () => {
+  test('members sign themselves up until the event is full', async () => {
+    const first = await as(USERS.regular.utorid).post(`/events/${eventId}/guests/me`);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.numGuests, 1);
+
+    const twice = await as(USERS.regular.utorid).post(`/events/${eventId}/guests/me`);
+    assert.equal(twice.status, 400);
+    assert.equal(twice.body.issues[0].message, 'You are already on the guest list');
+
+    const byOrganizer = await as(USERS.cashier.utorid).post(`/events/${eventId}/guests`).send({ utorid: USERS.regular2.utorid });
+    assert.equal(byOrganizer.status, 201);
+
+    const full = await as(USERS.unverified.utorid).post(`/events/${eventId}/guests/me`);
+    assert.equal(full.status, 410);
+  });
+
+  test('organizers cannot also be guests', async () => {
+    await prisma.event.update({ where: { id: eventId }, data: { capacity: 5 } });
+    const res = await as(USERS.cashier.utorid).post(`/events/${eventId}/guests/me`);
+    assert.equal(res.status, 400);
+  });
+
+  test('a guest can cancel', async () => {
+    const member = as(USERS.unverified.utorid);
+    assert.equal((await member.post(`/events/${eventId}/guests/me`)).status, 201);
+    assert.equal((await member.delete(`/events/${eventId}/guests/me`)).status, 204);
+    assert.equal((await member.delete(`/events/${eventId}/guests/me`)).status, 404);
+  });
+});
+
+describe('awards', () => {
+  test('an organizer awards one guest from the event budget', async () => {
+    const start = await pointsOf(USERS.regular.utorid);
+    const res = await as(USERS.cashier.utorid).post(`/events/${eventId}/transactions`)
+      .send({ type: 'event', utorid: USERS.regular.utorid, amount: 10 });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.awarded, 10);
+    assert.equal(await pointsOf(USERS.regular.utorid), start + 10);
+
+    const event = await as(USERS.manager.utorid).get(`/events/${eventId}`);
+    assert.equal(event.body.pointsRemain, 90);
+    assert.equal(event.body.pointsAwarded, 10);
+  });
+
+  test('awarding without a utorid pays every guest', async () => {
+    const res = await as(USERS.manager.utorid).post(`/events/${eventId}/transactions`).send({ type: 'event', amount: 20 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((t) => t.recipient).sort(), [USERS.regular.utorid, USERS.regular2.utorid]);
+
+    const event = await as(USERS.manager.utorid).get(`/events/${eventId}`);
+    assert.equal(event.body.pointsRemain, 50);
+  });
+
+  test('cannot exceed the remaining budget or pay non-guests', async () => {
+    const manager = as(USERS.manager.utorid);
+    const over = await manager.post(`/events/${eventId}/transactions`).send({ type: 'event', amount: 30 });
+    assert.equal(over.status, 400);
+    assert.equal(over.body.issues[0].field, 'amount');
+
+    const stranger = await manager.post(`/events/${eventId}/transactions`)
+      .send({ type: 'event', utorid: USERS.superuser.utorid, amount: 1 });
+    assert.equal(stranger.status, 400);
+    assert.equal(stranger.body.issues[0].field, 'utorid');
+  });
+
+  test('members who are not organizers cannot award', async () => {
+    const res = await as(USERS.regular.utorid).post(`/events/${eventId}/transactions`)
+      .send({ type: 'event', utorid: USERS.regular2.utorid, amount: 1 });
+    assert.equal(res.status, 403);
+  });
+
+  test('the budget cannot drop below what was awarded', async () => {
+    const res = await as(USERS.manager.utorid).patch(`/events/${eventId}`).send({ points: 40 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'points');
+    assert.equal(await prisma.transaction.count({ where: { type: 'event', relatedId: eventId } }), 3);
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+// Configured before the app loads: points expire six months after they are earned
+process.env.POINTS_EXPIRY_POLICY = 'rolling';
+process.env.POINTS_EXPIRY_MONTHS = '6';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as } = require('./helpers');
+const { expiresAt, expirePoints, upcomingExpiry } = require('../services/expiry');
+
+const DAY = 24 * 3600e3;
+const daysAgo = (d) => new Date(Date.now() - d * DAY);
+
+let users;
+// Backdated earnings: 100 points long expired, 50 points that expire in about three days
+const earn = (user, amount, createdAt) => prisma.$transaction([
+  prisma.transaction.create({
+    data: {
+      userId: user.id, type: 'purchase', amount, spent: amount / 4, suspicious: false,
+      createdById: users.cashier.id, processedById: users.cashier.id, createdAt
+    }
+  }),
+  prisma.user.update({ where: { id: user.id }, data: { points: { increment: amount } } })
+]);
+
+before(async () => {
+  users = await setup();
+  const sixMonthsAgo = new Date();
+  sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+  await earn(users.regular, 100, daysAgo(240));
+  await earn(users.regular, 50, new Date(sixMonthsAgo.getTime() + 3 * DAY));
+  // Spending uses up the oldest points first, so only 70 of the first 100 are still unspent
+  await as(USERS.regular.utorid).post(`/users/${users.regular2.id}/transactions`).send({ type: 'transfer', amount: 30 });
+});
+after(teardown);
+
+describe('expiring points', () => {
+  test('lists what is due and what expires soon, by day', async () => {
+    const res = await as(USERS.regular.utorid).get('/users/me/expiring');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.policy, 'rolling');
+    assert.equal(res.body.total, 120);
+    assert.deepEqual(res.body.schedule.map((s) => s.points), [70, 50]);
+    assert.ok(new Date(res.body.expiresAt) < new Date());
+  });
+
+  test('looks only as far ahead as asked', async () => {
+    const res = await as(USERS.regular.utorid).get('/users/me/expiring').query({ days: 1 });
+    assert.equal(res.body.total, 70);
+    const bad = await as(USERS.regular.utorid).get('/users/me/expiring').query({ days: 0 });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.issues[0].field, 'days');
+  });
+
+  test('received transfers are new points with their own expiry date', async () => {
+    const res = await as(USERS.regular2.utorid).get('/users/me/expiring');
+    assert.equal(res.body.total, 0);
+  });
+
+  test('nothing expires without a policy', async () => {
+    const none = await upcomingExpiry(users.regular.id, 30, { policy: 'none' });
+    assert.equal(none.total, 0);
+    assert.deepEqual(none.schedule, []);
+  });
+});
+
+describe('expiry job', () => {
+  test('writes off overdue points once', async () => {
+    const results = await expirePoints();
+    assert.deepEqual(results.map((r) => [r.utorid, r.expired]), [[USERS.regular.utorid, 70]]);
+    const tx = await prisma.transaction.findUnique({ where: { id: results[0].transactionId } });
+    assert.equal(tx.type, 'expiry');
+    assert.equal(tx.amount, -70);
+    // Written by the system, not by the member whose points expired
+    assert.equal(tx.createdById, null);
+    assert.equal((await prisma.user.findUnique({ where: { id: users.regular.id } })).points, 50);
+
+    assert.deepEqual(await expirePoints(), []);
+  });
+
+  test('leaves the ledger consistent and the history readable', async () => {
+    const ledger = await as(USERS.superuser.utorid).get('/ledger');
+    assert.deepEqual(ledger.body.discrepancies, []);
+
+    const history = await as(USERS.regular.utorid).get('/users/me/transactions');
+    assert.ok(history.body.results.some((t) => t.type === 'expiry' && t.amount === -70));
+    const listed = await as(USERS.manager.utorid).get(`/transactions?userId=${users.regular.id}&type=expiry`);
+    assert.equal(listed.body.results[0].createdBy, null);
+    const res = await as(USERS.regular.utorid).get('/users/me/expiring');
+    assert.equal(res.body.total, 50);
+  });
+
+  test('a term-end reset expires everything at the next reset day', () => {
+    const config = { policy: 'reset', resetDates: [[4, 30], [12, 31]] };
+    assert.deepEqual(expiresAt(new Date(2026, 4, 1), config), new Date(2027, 0, 1));
+    assert.deepEqual(expiresAt(new Date(2026, 3, 30, 12), config), new Date(2026, 4, 1));
+    assert.equal(expiresAt(new Date(), { policy: 'reset', resetDates: [] }), null);
+  });
+});
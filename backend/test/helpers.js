@@ -0,0 +1,114 @@
+'use strict';
+
+// Test harness: every test file runs against its own throwaway SQLite database, built from
+// prisma/migrations, with one verified account per role. Require this before anything from the app.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cssu-rewards-test-'));
+const dbFile = path.join(tmpDir, 'test.db');
+const outboxDir = path.join(tmpDir, 'mail-outbox');
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATABASE_URL: `file:${dbFile}`,
+  JWT_SECRET: 'test-secret',
+  MAIL_TRANSPORT: 'file',
+  MAIL_OUTBOX_DIR: outboxDir,
+  AUTH_RATE_MAX_PER_IP: '10000',
+  AUTH_RATE_MAX_PER_UTORID: '10000',
+  RESET_INTERVAL_SECONDS: '1'
+});
+
+const sqlite3 = require('sqlite3');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const app = require('../app');
+const prisma = require('../lib/prisma');
+
+const PASSWORD = 'Passw0rd!';
+
+// One account per role, plus a second member for transfers and an account that is not yet verified
+const USERS = {
+  regular: { utorid: 'regular1', name: 'Regular One', role: 'regular' },
+  regular2: { utorid: 'regular2', name: 'Regular Two', role: 'regular' },
+  unverified: { utorid: 'newbie01', name: 'New Member', role: 'regular', verified: false },
+  cashier: { utorid: 'cashier1', name: 'Cashier One', role: 'cashier' },
+  manager: { utorid: 'manager1', name: 'Manager One', role: 'manager' },
+  superuser: { utorid: 'superus1', name: 'Super User', role: 'superuser' }
+};
+
+const migrate = () => new Promise((resolve, reject) => {
+  const migrationsDir = path.join(__dirname, '..', 'prisma', 'migrations');
+  const sql = fs.readdirSync(migrationsDir)
+    .filter((d) => fs.statSync(path.join(migrationsDir, d)).isDirectory())
+    .sort()
+    .map((d) => fs.readFileSync(path.join(migrationsDir, d, 'migration.sql'), 'utf8'))
+    .join('\n');
+  const db = new sqlite3.Database(dbFile);
+  db.exec(sql, (err) => db.close(() => (err ? reject(err) : resolve())));
+});
+
+// Creates the schema and the seeded accounts, logged in; returns { key: user row } for USERS
+const setup = async () => {
+  await migrate();
+  const passwordHash = await bcrypt.hash(PASSWORD, 4);
+  const users = {};
+  for (const [key, u] of Object.entries(USERS)) {
+    users[key] = await prisma.user.create({
+      data: {
+        utorid: u.utorid,
+        name: u.name,
+        email: `${u.utorid}@mail.utoronto.ca`,
+        role: u.role,
+        verified: u.verified ?? true,
+        passwordHash
+      }
+    });
+    await login(u.utorid);
+  }
+  return users;
+};
+
+const teardown = async () => {
+  await prisma.$disconnect();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+};
+
+const tokens = new Map();
+
+// Logs in and remembers the access token for as()
+const login = async (utorid, password = PASSWORD) => {
+  const res = await request(app).post('/auth/tokens').send({ utorid, password });
+  if (res.status !== 200) throw new Error(`login as ${utorid} failed with ${res.status}`);
+  tokens.set(utorid, res.body.token);
+  return res.body;
+};
+
+// Supertest requests carrying the bearer token of someone who has logged in:
+//   await as('cashier1').post('/transactions').send({ ... })
+const as = (utorid) => {
+  const token = tokens.get(utorid);
+  if (!token) throw new Error(`${utorid} has not logged in`);
+  const withAuth = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return { get: withAuth('get'), post: withAuth('post'), patch: withAuth('patch'), delete: withAuth('delete') };
+};
+
+// Token from the newest reset/activation email sent to `email`, or null
+const lastMailedToken = (email) => {
+  if (!fs.existsSync(outboxDir)) return null;
+  const mail = fs.readdirSync(outboxDir)
+    .filter((f) => f.endsWith(`-${email}.json`))
+    .sort()
+    .map((f) => JSON.parse(fs.readFileSync(path.join(outboxDir, f), 'utf8')))
+    .pop();
+  const match = mail?.html.match(/reset-password\/([\w-]+)/);
+  return match ? match[1] : null;
+};
+
+const hoursFromNow = (h) => new Date(Date.now() + h * 3600e3);
+
+module.exports = {
+  app, prisma, request, PASSWORD, USERS, setup, teardown, login, as, lastMailedToken, hoursFromNow
+};
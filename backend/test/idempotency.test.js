@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+
+let users;
+let reward;
+let event;
+before(async () => {
+  users = await setup();
+  await prisma.user.update({ where: { id: users.regular.id }, data: { points: 1000 } });
+  reward = await prisma.reward.create({ data: { name: 'Coffee', description: 'Any size', cost: 40 } });
+  event = await prisma.event.create({
+    data: {
+      name: 'Quiz Night', description: 'Teams of four', location: 'BA 1160',
+      startTime: hoursFromNow(-2), endTime: hoursFromNow(-1), published: true, pointsTotal: 100, pointsRemain: 100,
+      guests: { create: { userId: users.regular2.id } }
+    }
+  });
+});
+after(teardown);
+
+const countOf = (where) => prisma.transaction.count({ where });
+const purchase = (key, body) => as(USERS.cashier.utorid).post('/transactions').set('Idempotency-Key', key)
+  .send({ type: 'purchase', utorid: USERS.regular2.utorid, ...body });
+
+describe('Idempotency-Key', () => {
+  test('a retried purchase returns the first response instead of buying again', async () => {
+    const first = await purchase('till-1-0001', { spent: 10 });
+    assert.equal(first.status, 201);
+    const retry = await purchase('till-1-0001', { spent: 10 });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(await countOf({ type: 'purchase', userId: users.regular2.id }), 1);
+  });
+
+  test('reusing a key for a different request is rejected', async () => {
+    const res = await purchase('till-1-0001', { spent: 12 });
+    assert.equal(res.status, 422);
+    assert.equal(await countOf({ type: 'purchase', userId: users.regular2.id }), 1);
+  });
+
+  test('keys belong to whoever sent them', async () => {
+    const res = await as(USERS.manager.utorid).post('/transactions').set('Idempotency-Key', 'till-1-0001')
+      .send({ type: 'purchase', utorid: USERS.regular2.utorid, spent: 10 });
+    assert.equal(res.status, 201);
+    assert.equal(res.headers['idempotent-replayed'], undefined);
+  });
+
+  test('a double tap moves the points once', async () => {
+    const send = () => as(USERS.regular.utorid).post(`/users/${users.regular2.id}/transactions`)
+      .set('Idempotency-Key', 'tap-0001').send({ type: 'transfer', amount: 25 });
+    const results = await Promise.all([send(), send()]);
+    assert.ok(results.some((r) => r.status === 201));
+    for (const r of results) assert.ok([201, 409].includes(r.status), String(r.status));
+    assert.equal(await countOf({ type: 'transfer', userId: users.regular.id }), 1);
+    assert.equal((await prisma.user.findUnique({ where: { id: users.regular.id } })).points, 975);
+  });
+
+  test('covers transfers by utorid and redemption requests', async () => {
+    const member = as(USERS.regular.utorid);
+    for (const body of [
+      { type: 'transfer', utorid: USERS.regular2.utorid, amount: 5 },
+      { type: 'redemption', rewardId: reward.id }
+    ]) {
+      const key = `mine-${body.type}`;
+      const first = await member.post('/users/me/transactions').set('Idempotency-Key', key).send(body);
+      const retry = await member.post('/users/me/transactions').set('Idempotency-Key', key).send(body);
+      assert.equal(first.status, 201);
+      assert.equal(retry.body.id, first.body.id);
+    }
+    assert.equal(await countOf({ type: 'redemption', userId: users.regular.id }), 1);
+  });
+
+  test('requests without a key are not deduplicated', async () => {
+    const send = () => as(USERS.cashier.utorid).post('/transactions')
+      .send({ type: 'purchase', utorid: USERS.regular.utorid, spent: 1 });
+    await send();
+    await send();
+    assert.equal(await countOf({ type: 'purchase', userId: users.regular.id }), 2);
+  });
+
+  test('rejects an overlong key', async () => {
+    const res = await purchase('k'.repeat(256), { spent: 1 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'Idempotency-Key');
+  });
+
+  test('covers event awards, voids and refunds', async () => {
+    const manager = as(USERS.manager.utorid);
+    const award = { type: 'event', utorid: USERS.regular2.utorid, amount: 10 };
+    for (let i = 0; i < 2; i++) {
+      const res = await manager.post(`/events/${event.id}/transactions`).set('Idempotency-Key', 'award-1').send(award);
+      assert.equal(res.status, 201);
+    }
+    assert.equal((await prisma.event.findUnique({ where: { id: event.id } })).pointsAwarded, 10);
+
+    const bought = await purchase('till-2-0001', { spent: 40 });
+    for (let i = 0; i < 2; i++) {
+      const res = await manager.post(`/transactions/${bought.body.id}/refunds`).set('Idempotency-Key', 'refund-1').send({ spent: 10 });
+      assert.equal(res.status, 201);
+    }
+    for (let i = 0; i < 2; i++) {
+      const res = await manager.post(`/transactions/${bought.body.id}/void`).set('Idempotency-Key', 'void-1').send({});
+      assert.equal(res.status, 201);
+    }
+    assert.equal(await countOf({ type: 'refund', relatedId: bought.body.id }), 2);
+  });
+
+  test('an error is not stored, so a corrected retry with the same key goes through', async () => {
+    const member = as(USERS.regular.utorid);
+    const missing = await member.post('/users/me/transactions').set('Idempotency-Key', 'fix-1')
+      .send({ type: 'transfer', utorid: 'nobody01', amount: 5 });
+    assert.equal(missing.status, 404);
+    const fixed = await member.post('/users/me/transactions').set('Idempotency-Key', 'fix-1')
+      .send({ type: 'transfer', utorid: USERS.regular2.utorid, amount: 5 });
+    assert.equal(fixed.status, 201);
+    assert.equal(fixed.headers['idempotent-replayed'], undefined);
+
+    const forbidden = await member.post('/transactions').set('Idempotency-Key', 'fix-2')
+      .send({ type: 'purchase', utorid: USERS.regular2.utorid, spent: 5 });
+    assert.equal(forbidden.status, 403);
+    assert.equal(await prisma.idempotencyKey.count({ where: { key: 'fix-2' } }), 0);
+  });
+
+  test('a malformed request never claims the key', async () => {
+    const bad = await purchase('till-4-0001', { spent: -5 });
+    assert.equal(bad.status, 400);
+    const badTransfer = await as(USERS.regular.utorid).post('/users/me/transactions').set('Idempotency-Key', 'mine-bad')
+      .send({ type: 'transfer', utorid: USERS.regular2.utorid });
+    assert.equal(badTransfer.status, 400);
+    assert.equal(await prisma.idempotencyKey.count({ where: { key: { in: ['till-4-0001', 'mine-bad'] } } }), 0);
+
+    const good = await purchase('till-4-0001', { spent: 5 });
+    assert.equal(good.status, 201);
+    assert.equal(good.headers['idempotent-replayed'], undefined);
+  });
+
+  test('a claim left unanswered is let go after a short lease', async () => {
+    await prisma.idempotencyKey.create({
+      data: { userId: users.cashier.id, key: 'till-3-0001', fingerprint: 'stale', createdAt: new Date(Date.now() - 5 * 60 * 1000) }
+    });
+    const res = await purchase('till-3-0001', { spent: 2 });
+    assert.equal(res.status, 201);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as } = require('./helpers');
+const { findDiscrepancies } = require('../services/ledger');
+
+let users;
+before(async () => {
+  users = await setup();
+  const [twenty, ten] = await Promise.all([
+    prisma.reward.create({ data: { name: 'Muffin', description: 'Blueberry', cost: 20 } }),
+    prisma.reward.create({ data: { name: 'Cookie', description: 'Oatmeal', cost: 10 } })
+  ]);
+  const cashier = as(USERS.cashier.utorid);
+  await cashier.post('/transactions').send({ type: 'purchase', utorid: USERS.regular.utorid, spent: 25 });
+  await cashier.post('/transactions').send({ type: 'purchase', utorid: USERS.regular2.utorid, spent: 10, suspicious: true });
+  await as(USERS.regular.utorid).post(`/users/${users.regular2.id}/transactions`).send({ type: 'transfer', amount: 30 });
+  const redemption = await as(USERS.regular.utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId: twenty.id });
+  await cashier.patch(`/transactions/${redemption.body.id}/processed`).send({ processed: true });
+  await as(USERS.regular2.utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId: ten.id });
+});
+after(teardown);
+
+describe('ledger check', () => {
+  test('balances kept by the API agree with the history', async () => {
+    const res = await as(USERS.superuser.utorid).get('/ledger');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.checked, Object.keys(USERS).length);
+    assert.deepEqual(res.body.discrepancies, []);
+  });
+
+  test('redemptions cannot be flagged, so flagging one leaves the ledger balanced', async () => {
+    const redemptions = await prisma.transaction.findMany({ where: { type: 'redemption' } });
+    assert.equal(redemptions.length, 2);
+    for (const r of redemptions) {
+      const res = await as(USERS.manager.utorid).patch(`/transactions/${r.id}/suspicious`).send({ suspicious: true });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.issues[0].field, 'suspicious');
+    }
+    assert.deepEqual((await findDiscrepancies()).discrepancies, []);
+  });
+
+  test('reports a balance that drifted', async () => {
+    await prisma.user.update({ where: { id: users.regular.id }, data: { points: { increment: 7 } } });
+    const res = await as(USERS.superuser.utorid).get('/ledger');
+    assert.equal(res.body.discrepancies.length, 1);
+    const [d] = res.body.discrepancies;
+    assert.equal(d.utorid, USERS.regular.utorid);
+    // 100 earned, 30 sent, 20 redeemed
+    assert.equal(d.expected, 50);
+    assert.equal(d.points, 57);
+    assert.equal(d.difference, 7);
+  });
+
+  test('is for superusers only', async () => {
+    assert.equal((await as(USERS.manager.utorid).get('/ledger')).status, 403);
+    assert.equal((await as(USERS.manager.utorid).post('/ledger/reconcile')).status, 403);
+  });
+});
+
+describe('reconciliation', () => {
+  test('writes an audited adjustment for each discrepancy that the member can see', async () => {
+    const res = await as(USERS.superuser.utorid).post('/ledger/reconcile');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.discrepancies.length, 1);
+    const [d] = res.body.discrepancies;
+
+    const tx = await prisma.transaction.findUnique({ where: { id: d.transactionId } });
+    assert.equal(tx.type, 'adjustment');
+    assert.equal(tx.amount, 7);
+    assert.equal(tx.remark, 'Ledger reconciliation');
+    assert.equal(tx.createdById, users.superuser.id);
+    assert.equal((await prisma.user.findUnique({ where: { id: users.regular.id } })).points, 57);
+    assert.equal(await prisma.auditLog.count({ where: { action: 'ledger.reconcile', targetId: users.regular.id } }), 1);
+
+    const history = await as(USERS.regular.utorid).get('/users/me/transactions?type=adjustment');
+    assert.ok(history.body.results.some((t) => t.id === tx.id));
+
+    assert.deepEqual((await findDiscrepancies()).discrepancies, []);
+  });
+
+  test('writes nothing when the ledger is balanced', async () => {
+    const count = await prisma.transaction.count();
+    const res = await as(USERS.superuser.utorid).post('/ledger/reconcile');
+    assert.deepEqual(res.body.discrepancies, []);
+    assert.equal(await prisma.transaction.count(), count);
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+// needRole matrix: every role below an endpoint's minimum gets 403, every role at or above gets through.
+// Bodies are left empty, so a caller who gets through is stopped by validation (400) instead of changing data.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, app, USERS, setup, teardown, as } = require('./helpers');
+
+const ROLE_ORDER = ['regular', 'cashier', 'manager', 'superuser'];
+
+const ENDPOINTS = [
+  { method: 'post', url: '/users', min: 'cashier' },
+  { method: 'get', url: '/users', min: 'manager' },
+  { method: 'get', url: '/users/lookup/regular1', min: 'cashier' },
+  { method: 'patch', url: '/users/:regular', min: 'manager' },
+  { method: 'delete', url: '/users/:regular/lockout', min: 'manager' },
+  { method: 'post', url: '/transactions', body: { type: 'purchase' }, min: 'cashier' },
+  { method: 'post', url: '/transactions', body: { type: 'adjustment' }, min: 'manager' },
+  { method: 'post', url: '/transactions/preview', min: 'cashier' },
+  { method: 'get', url: '/transactions', min: 'manager' },
+  { method: 'patch', url: '/transactions/1/suspicious', min: 'manager' },
+  { method: 'patch', url: '/transactions/999999/processed', min: 'cashier' },
+  { method: 'patch', url: '/transactions/999999/rejected', body: { reason: 'test' }, min: 'cashier' },
+  { method: 'post', url: '/transactions/999999/void', min: 'manager' },
+  { method: 'post', url: '/transactions/999999/refunds', min: 'manager' },
+  { method: 'post', url: '/promotions', min: 'manager' },
+  { method: 'post', url: '/rewards', min: 'manager' },
+  { method: 'patch', url: '/rewards/999999', min: 'manager' },
+  { method: 'post', url: '/events', min: 'manager' },
+  { method: 'get', url: '/audit', min: 'superuser' },
+  { method: 'get', url: '/ledger', min: 'superuser' },
+  { method: 'patch', url: '/program', body: { earnRate: 0 }, min: 'superuser' }
+];
+
+let users;
+before(async () => { users = await setup(); });
+after(teardown);
+
+const resolve = (url) => url.replace(':regular', String(users.regular.id));
+
+describe('needRole', () => {
+  for (const { method, url, body = {}, min } of ENDPOINTS) {
+    const label = `${method.toUpperCase()} ${url}${body.type ? ` (${body.type})` : ''}`;
+
+    test(`${label} needs a token`, async () => {
+      const res = await request(app)[method](resolve(url)).send(body);
+      assert.equal(res.status, 401);
+    });
+
+    for (const role of ROLE_ORDER) {
+      const allowed = ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(min);
+      test(`${label} ${allowed ? 'admits' : 'refuses'} ${role}`, async () => {
+        const res = await as(USERS[role].utorid)[method](resolve(url)).send(body);
+        if (allowed) {
+          assert.notEqual(res.status, 401);
+          assert.notEqual(res.status, 403);
+        } else {
+          assert.equal(res.status, 403);
+        }
+      });
+    }
+  }
+});
+
+describe('role changes', () => {
+  test('a manager can make cashiers but not managers', async () => {
+    const manager = as(USERS.manager.utorid);
+    const cashier = await manager.patch(`/users/${users.regular2.id}`).send({ role: 'cashier' });
+    assert.equal(cashier.status, 200);
+    assert.equal(cashier.body.role, 'cashier');
+
+    const promote = await manager.patch(`/users/${users.regular2.id}`).send({ role: 'manager' });
+    assert.equal(promote.status, 403);
+  });
+
+  test('a superuser can make managers', async () => {
+    const res = await as(USERS.superuser.utorid).patch(`/users/${users.regular2.id}`).send({ role: 'manager' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, 'manager');
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+const { calculateEarnings, DEFAULT_PROGRAM } = require('../services/points');
+
+let automatic;
+let oneTime;
+before(async () => {
+  await setup();
+  automatic = await prisma.promotion.create({
+    data: {
+      name: 'Double Dollar', description: 'One extra point per dollar', type: 'automatic',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), rate: 0.01
+    }
+  });
+  oneTime = await prisma.promotion.create({
+    data: {
+      name: 'Welcome Bonus', description: '50 points once', type: 'onetime',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), points: 50
+    }
+  });
+});
+after(teardown);
+
+const preview = (body) => as(USERS.cashier.utorid).post('/transactions/preview').send(body);
+
+describe('purchase preview', () => {
+  test('breaks down base points and each promotion without recording anything', async () => {
+    const start = await prisma.transaction.count();
+    const res = await preview({ utorid: USERS.regular.utorid, spent: 20, promotionIds: [oneTime.id] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.utorid, USERS.regular.utorid);
+    assert.equal(res.body.tier, 'Bronze');
+    assert.equal(res.body.base, 80);
+    assert.deepEqual(res.body.promotions.map((p) => [p.id, p.points]), [[automatic.id, 20], [oneTime.id, 50]]);
+    assert.equal(res.body.earned, 150);
+    assert.equal(await prisma.transaction.count(), start);
+  });
+
+  test('works without a member', async () => {
+    const res = await preview({ spent: 10 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tier, null);
+    assert.equal(res.body.earned, 50);
+  });
+
+  test('checks the member and their promotions', async () => {
+    assert.equal((await preview({ utorid: 'nobody00', spent: 10 })).status, 404);
+    const bad = await preview({ utorid: USERS.regular.utorid, spent: 10, promotionIds: [automatic.id] });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.issues[0].field, 'promotionIds');
+  });
+});
+
+describe('program rules', () => {
+  test('start from 1 point per 25 cents and are readable by everyone', async () => {
+    const res = await as(USERS.regular.utorid).get('/program');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ...DEFAULT_PROGRAM, updatedAt: null });
+  });
+
+  test('only superusers change them, and every field is checked', async () => {
+    assert.equal((await as(USERS.manager.utorid).patch('/program').send({ earnRate: 10 })).status, 403);
+    const bad = await as(USERS.superuser.utorid).patch('/program').send({ rounding: 'up', minSpend: -1 });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.issues.map((i) => i.field).sort(), ['minSpend', 'rounding']);
+  });
+
+  test('new rules apply to previews and purchases alike', async () => {
+    const res = await as(USERS.superuser.utorid).patch('/program')
+      .send({ earnRate: 10, rounding: 'floor', maxPointsPerPurchase: 200, minSpend: 5 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.earnRate, 10);
+    assert.ok(res.body.updatedAt);
+    assert.equal(await prisma.auditLog.count({ where: { action: 'program.update' } }), 1);
+
+    const small = await preview({ spent: 4.99 });
+    assert.equal(small.body.eligible, false);
+    assert.equal(small.body.earned, 0);
+
+    // floor(12.39 * 10) = 123 base, plus floor(12.39) = 12 from the promotion
+    const mid = await preview({ spent: 12.39 });
+    assert.equal(mid.body.base, 123);
+    assert.equal(mid.body.earned, 135);
+
+    const big = await preview({ utorid: USERS.regular.utorid, spent: 30 });
+    assert.equal(big.body.total, 330);
+    assert.equal(big.body.earned, 200);
+    const recorded = await as(USERS.cashier.utorid).post('/transactions')
+      .send({ type: 'purchase', utorid: USERS.regular.utorid, spent: 30 });
+    assert.equal(recorded.body.earned, 200);
+  });
+
+  test('clearing the cap leaves the other rules alone', async () => {
+    const res = await as(USERS.superuser.utorid).patch('/program').send({ maxPointsPerPurchase: null });
+    assert.equal(res.body.maxPointsPerPurchase, null);
+    assert.equal(res.body.rounding, 'floor');
+  });
+
+  test('an empty change is refused and an unchanged one is not audited', async () => {
+    const audits = await prisma.auditLog.count({ where: { action: 'program.update' } });
+    const empty = await as(USERS.superuser.utorid).patch('/program').send({});
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.issues[0].message, 'Nothing to change');
+
+    const same = await as(USERS.superuser.utorid).patch('/program').send({ rounding: 'floor' });
+    assert.equal(same.status, 200);
+    assert.equal(await prisma.auditLog.count({ where: { action: 'program.update' } }), audits);
+  });
+
+  test('rounding ignores floating-point noise', () => {
+    const program = { ...DEFAULT_PROGRAM, earnRate: 3, rounding: 'ceil' };
+    assert.equal(calculateEarnings({ spent: 0.1, program }).base, 1);
+    assert.equal(calculateEarnings({ spent: 0.3, program: { ...program, earnRate: 10 } }).base, 3);
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+
+let promotionId;
+before(async () => {
+  await setup();
+  const res = await as(USERS.manager.utorid).post('/promotions').send({
+    name: 'Spring Bonus', description: '20 points once', type: 'one-time',
+    startTime: hoursFromNow(24).toISOString(), endTime: hoursFromNow(48).toISOString(), points: 20
+  });
+  promotionId = res.body.id;
+});
+after(teardown);
+
+describe('promotion fields', () => {
+  test('one-time promotions are worth at least a point', async () => {
+    const res = await as(USERS.manager.utorid).post('/promotions').send({
+      name: 'Nothing', description: 'Worth nothing', type: 'one-time',
+      startTime: hoursFromNow(24).toISOString(), endTime: hoursFromNow(48).toISOString(), points: 0
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'points');
+
+    const patch = await as(USERS.manager.utorid).patch(`/promotions/${promotionId}`).send({ points: 0 });
+    assert.equal(patch.status, 400);
+  });
+
+  test('an end time cannot be cleared', async () => {
+    const res = await as(USERS.manager.utorid).patch(`/promotions/${promotionId}`).send({ endTime: null });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'endTime');
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+const { expireRedemptions } = require('../services/redemptions');
+
+let users;
+let reward;
+before(async () => {
+  users = await setup();
+  await prisma.user.update({ where: { id: users.regular.id }, data: { points: 500 } });
+  reward = await prisma.reward.create({ data: { name: 'Coffee', description: 'Any size', cost: 40, stock: 10 } });
+});
+after(teardown);
+
+const member = () => as(USERS.regular.utorid);
+const request = async () => (await member().post('/users/me/transactions').send({ type: 'redemption', rewardId: reward.id })).body;
+const pointsOf = async (id) => (await prisma.user.findUnique({ where: { id } })).points;
+
+describe('cancelling', () => {
+  test('a member cancels their own pending request', async () => {
+    const { id, status } = await request();
+    assert.equal(status, 'pending');
+
+    const res = await member().patch(`/users/me/transactions/${id}/cancelled`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'cancelled');
+    assert.ok(res.body.closedAt);
+    assert.equal(await pointsOf(users.regular.id), 500);
+
+    const history = await member().get('/users/me/transactions');
+    assert.equal(history.body.results.find((t) => t.id === id).status, 'cancelled');
+  });
+
+  test('a cancelled request can no longer be processed or shown as a QR code', async () => {
+    const { id } = await request();
+    await member().patch(`/users/me/transactions/${id}/cancelled`);
+
+    const processed = await as(USERS.cashier.utorid).patch(`/transactions/${id}/processed`).send({ processed: true });
+    assert.equal(processed.status, 400);
+    const qr = await member().get(`/users/me/transactions/${id}/qr-token`);
+    assert.equal(qr.status, 400);
+    assert.equal(qr.body.issues[0].message, 'This redemption was already cancelled');
+    assert.equal((await prisma.reward.findUnique({ where: { id: reward.id } })).stock, 10);
+  });
+
+  test('only pending requests can be cancelled', async () => {
+    const { id } = await request();
+    await as(USERS.cashier.utorid).patch(`/transactions/${id}/processed`).send({ processed: true });
+    const res = await member().patch(`/users/me/transactions/${id}/cancelled`);
+    assert.equal(res.status, 400);
+    assert.match(res.body.issues[0].message, /processed/);
+  });
+
+  test("nobody can cancel someone else's request", async () => {
+    const { id } = await request();
+    const res = await as(USERS.regular2.utorid).patch(`/users/me/transactions/${id}/cancelled`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('rejecting', () => {
+  test('a cashier rejects a request with a reason the member sees', async () => {
+    const { id } = await request();
+    const res = await as(USERS.cashier.utorid).patch(`/transactions/${id}/rejected`)
+      .send({ reason: 'Out of stock at this location' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'rejected');
+
+    const history = await member().get('/users/me/transactions');
+    const t = history.body.results.find((r) => r.id === id);
+    assert.equal(t.status, 'rejected');
+    assert.equal(t.statusReason, 'Out of stock at this location');
+
+    const entry = await prisma.auditLog.findFirst({ where: { action: 'transaction.reject', targetId: id } });
+    assert.equal(entry.actorId, users.cashier.id);
+  });
+
+  test('needs a reason', async () => {
+    const { id } = await request();
+    const res = await as(USERS.cashier.utorid).patch(`/transactions/${id}/rejected`).send({ reason: ' ' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'reason');
+  });
+
+  test('is for staff only', async () => {
+    const { id } = await request();
+    const res = await member().patch(`/transactions/${id}/rejected`).send({ reason: 'no' });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('expiring', () => {
+  test('requests pending longer than the configured period expire', async () => {
+    const stale = await prisma.transaction.create({
+      data: {
+        userId: users.regular.id, type: 'redemption', amount: 40, rewardId: reward.id, status: 'pending',
+        createdById: users.regular.id, createdAt: hoursFromNow(-24 * 8)
+      }
+    });
+    const fresh = await prisma.transaction.create({
+      data: {
+        userId: users.regular.id, type: 'redemption', amount: 40, rewardId: reward.id, status: 'pending',
+        createdById: users.regular.id, createdAt: hoursFromNow(-24 * 6)
+      }
+    });
+
+    const expired = await expireRedemptions(new Date(), { days: 7 });
+    assert.ok(expired.includes(stale.id));
+    assert.ok(!expired.includes(fresh.id));
+
+    const row = await prisma.transaction.findUnique({ where: { id: stale.id } });
+    assert.equal(row.status, 'expired');
+    assert.equal(row.statusReason, 'Not redeemed within 7 days');
+    assert.equal((await prisma.transaction.findUnique({ where: { id: fresh.id } })).status, 'pending');
+  });
+
+  test('does nothing when turned off', async () => {
+    await prisma.transaction.create({
+      data: {
+        userId: users.regular.id, type: 'redemption', amount: 40, rewardId: reward.id, status: 'pending',
+        createdById: users.regular.id, createdAt: hoursFromNow(-24 * 365)
+      }
+    });
+    assert.deepEqual(await expireRedemptions(new Date(), { days: 0 }), []);
+  });
+});
+
+describe('requesting', () => {
+  test('pending requests count against the balance', async () => {
+    await prisma.user.update({ where: { id: users.regular2.id }, data: { points: 100 } });
+    const lamp = await prisma.reward.create({ data: { name: 'Desk Lamp', description: 'LED', cost: 60 } });
+    const ask = () => as(USERS.regular2.utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId: lamp.id });
+
+    const first = await ask();
+    assert.equal(first.status, 201);
+    const second = await ask();
+    assert.equal(second.status, 400);
+    assert.equal(second.body.issues[0].field, 'rewardId');
+
+    await as(USERS.regular2.utorid).patch(`/users/me/transactions/${first.body.id}/cancelled`);
+    assert.equal((await ask()).status, 201);
+  });
+});
+
+describe('processing', () => {
+  test('two requests processed at the same moment cannot overdraw the member', async () => {
+    const kettle = await prisma.reward.create({ data: { name: 'Kettle', description: 'Electric', cost: 60 } });
+    // Both asked for while the balance still covered them
+    await prisma.user.update({ where: { id: users.manager.id }, data: { points: 100 } });
+    const ids = [];
+    for (let i = 0; i < 2; i++) {
+      const t = await prisma.transaction.create({
+        data: {
+          userId: users.manager.id, type: 'redemption', amount: 60, rewardId: kettle.id,
+          status: 'pending', createdById: users.manager.id
+        }
+      });
+      ids.push(t.id);
+    }
+
+    const results = await Promise.all(ids.map((id) =>
+      as(USERS.cashier.utorid).patch(`/transactions/${id}/processed`).send({ processed: true })));
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 400]);
+    assert.equal(await pointsOf(users.manager.id), 40);
+
+    const failed = ids[results.findIndex((r) => r.status === 400)];
+    assert.equal((await prisma.transaction.findUnique({ where: { id: failed } })).status, 'pending');
+    const entry = await prisma.auditLog.findFirst({ where: { action: 'transaction.process', targetId: ids[results.findIndex((r) => r.status === 200)] } });
+    assert.equal(JSON.parse(entry.after).points, 40);
+  });
+});
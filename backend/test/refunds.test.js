@@ -0,0 +1,127 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+const { findDiscrepancies } = require('../services/ledger');
+
+let oneTime;
+before(async () => {
+  await setup();
+  await prisma.promotion.create({
+    data: {
+      name: 'Double Dollar', description: 'One extra point per dollar over $10', type: 'automatic',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), minSpending: 10, rate: 0.01
+    }
+  });
+  oneTime = await prisma.promotion.create({
+    data: {
+      name: 'Welcome Bonus', description: '50 points once', type: 'onetime',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), points: 50
+    }
+  });
+});
+after(teardown);
+
+const manager = () => as(USERS.manager.utorid);
+const pointsOf = async (utorid) => (await prisma.user.findUnique({ where: { utorid } })).points;
+const purchase = async (body) => {
+  const res = await as(USERS.cashier.utorid).post('/transactions').send({ type: 'purchase', ...body });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+describe('voiding a purchase', () => {
+  test('takes back every point it earned and gives the one-time promotion back', async () => {
+    const start = await pointsOf(USERS.regular.utorid);
+    // 80 base + 20 automatic + 50 one-time
+    const bought = await purchase({ utorid: USERS.regular.utorid, spent: 20, promotionIds: [oneTime.id] });
+    assert.equal(bought.earned, 150);
+
+    const res = await manager().post(`/transactions/${bought.id}/void`).send({ remark: 'rang up twice' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.type, 'refund');
+    assert.equal(res.body.amount, -150);
+    assert.equal(res.body.relatedId, bought.id);
+    assert.deepEqual(res.body.restoredPromotionIds, [oneTime.id]);
+    assert.ok(res.body.purchase.voidedAt);
+    assert.equal(await pointsOf(USERS.regular.utorid), start);
+
+    const me = await as(USERS.regular.utorid).get('/users/me');
+    assert.ok(me.body.promotions.some((p) => p.id === oneTime.id));
+    const entry = await prisma.auditLog.findFirst({ where: { action: 'transaction.void', targetId: bought.id } });
+    assert.ok(entry);
+  });
+
+  test('shows as voided in every list', async () => {
+    const voided = await prisma.transaction.findFirst({ where: { type: 'purchase', voidedAt: { not: null } } });
+    const mine = await as(USERS.regular.utorid).get('/users/me/transactions?type=purchase');
+    assert.ok(mine.body.results.find((t) => t.id === voided.id).voidedAt);
+    const all = await manager().get(`/transactions?userId=${voided.userId}&type=purchase`);
+    assert.ok(all.body.results.find((t) => t.id === voided.id).voidedAt);
+    const one = await manager().get(`/transactions/${voided.id}`);
+    assert.equal(one.body.refunded, 20);
+  });
+
+  test('only once, and only for purchases', async () => {
+    const voided = await prisma.transaction.findFirst({ where: { type: 'purchase', voidedAt: { not: null } } });
+    const again = await manager().post(`/transactions/${voided.id}/void`).send({});
+    assert.equal(again.status, 400);
+
+    const refund = await prisma.transaction.findFirst({ where: { type: 'refund' } });
+    assert.equal((await manager().post(`/transactions/${refund.id}/void`).send({})).status, 400);
+    assert.equal((await manager().post('/transactions/999999/void').send({})).status, 404);
+  });
+});
+
+describe('partial refunds', () => {
+  test('take back a matching share, and the refunds add up to exactly what was earned', async () => {
+    const start = await pointsOf(USERS.regular2.utorid);
+    // 30 / 0.25 = 120 base, plus 3000 cents * 0.01 = 30
+    const bought = await purchase({ utorid: USERS.regular2.utorid, spent: 30 });
+    assert.equal(bought.earned, 150);
+
+    const amounts = [];
+    for (const spent of [10, 10.01]) {
+      const res = await manager().post(`/transactions/${bought.id}/refunds`).send({ spent });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.purchase.voidedAt, null);
+      amounts.push(res.body.amount);
+    }
+    assert.deepEqual(amounts, [-50, -50]);
+
+    const tooMuch = await manager().post(`/transactions/${bought.id}/refunds`).send({ spent: 10 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.issues[0].field, 'spent');
+
+    // Refunding what is left voids the purchase
+    const rest = await manager().post(`/transactions/${bought.id}/refunds`).send({ spent: 9.99 });
+    assert.equal(rest.body.amount, -50);
+    assert.ok(rest.body.purchase.voidedAt);
+    assert.equal(await pointsOf(USERS.regular2.utorid), start);
+  });
+
+  test('count against the rolling spend behind tiers', async () => {
+    const bought = await purchase({ utorid: USERS.regular.utorid, spent: 300 });
+    const spendBefore = (await as(USERS.regular.utorid).get('/users/me')).body.tier.spend;
+    await manager().post(`/transactions/${bought.id}/refunds`).send({ spent: 100 });
+    const spendAfter = (await as(USERS.regular.utorid).get('/users/me')).body.tier.spend;
+    assert.equal(spendAfter, spendBefore - 100);
+  });
+
+  test('of a flagged purchase take nothing back, and the flag can no longer change', async () => {
+    const start = await pointsOf(USERS.regular.utorid);
+    const bought = await purchase({ utorid: USERS.regular.utorid, spent: 8, suspicious: true });
+    const res = await manager().post(`/transactions/${bought.id}/refunds`).send({ spent: 4 });
+    assert.equal(res.status, 201);
+    assert.equal(await pointsOf(USERS.regular.utorid), start);
+
+    const unflag = await manager().patch(`/transactions/${bought.id}/suspicious`).send({ suspicious: false });
+    assert.equal(unflag.status, 400);
+  });
+
+  test('keep the ledger balanced', async () => {
+    const { discrepancies } = await findDiscrepancies();
+    assert.deepEqual(discrepancies, []);
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+
+let users;
+before(async () => {
+  users = await setup();
+  await prisma.user.update({ where: { id: users.regular.id }, data: { points: 500 } });
+  await prisma.user.update({ where: { id: users.regular2.id }, data: { points: 500 } });
+});
+after(teardown);
+
+const manager = () => as(USERS.manager.utorid);
+const redeem = (utorid, rewardId) => as(utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId });
+const handOver = (id) => as(USERS.cashier.utorid).patch(`/transactions/${id}/processed`).send({ processed: true });
+
+describe('catalog management', () => {
+  let id;
+
+  test('managers add rewards', async () => {
+    const res = await manager().post('/rewards').send({
+      name: 'Tote Bag', description: 'Canvas, with the logo', cost: 120, stock: 5, imageUrl: 'https://example.com/tote.png'
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.cost, 120);
+    assert.equal(res.body.stock, 5);
+    assert.equal(res.body.available, true);
+    id = res.body.id;
+  });
+
+  test('rejects a cost that is not a positive whole number', async () => {
+    const res = await manager().post('/rewards').send({ name: 'Pen', description: 'Blue', cost: 2.5 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'cost');
+  });
+
+  test('rejects a window that ends before it starts', async () => {
+    const res = await manager().post('/rewards').send({
+      name: 'Pen', description: 'Blue', cost: 5, startTime: hoursFromNow(2).toISOString(), endTime: hoursFromNow(1).toISOString()
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'endTime');
+  });
+
+  test('updates are audited', async () => {
+    const res = await manager().patch(`/rewards/${id}`).send({ cost: 100, stock: null });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cost, 100);
+    assert.equal(res.body.stock, null);
+    const entry = await prisma.auditLog.findFirst({ where: { action: 'reward.update', targetId: id } });
+    assert.deepEqual(JSON.parse(entry.before), { cost: 120, stock: 5 });
+  });
+
+  test('a reward nobody redeemed can be deleted', async () => {
+    const res = await manager().delete(`/rewards/${id}`);
+    assert.equal(res.status, 204);
+    assert.equal(await prisma.reward.count({ where: { id } }), 0);
+  });
+});
+
+describe('what members see', () => {
+  let current;
+  let upcoming;
+  let soldOut;
+
+  before(async () => {
+    current = await prisma.reward.create({ data: { name: 'Coffee', description: 'Any size', cost: 40 } });
+    upcoming = await prisma.reward.create({
+      data: { name: 'Mug', description: 'Ceramic', cost: 60, startTime: hoursFromNow(24) }
+    });
+    soldOut = await prisma.reward.create({ data: { name: 'Hoodie', description: 'Grey', cost: 300, stock: 0 } });
+  });
+
+  test('only rewards they can redeem now', async () => {
+    const res = await as(USERS.regular.utorid).get('/rewards');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => r.id), [current.id]);
+    assert.equal((await as(USERS.regular.utorid).get(`/rewards/${upcoming.id}`)).status, 404);
+  });
+
+  test('managers see the whole catalog and can filter it', async () => {
+    const all = await manager().get('/rewards');
+    assert.equal(all.body.count, 3);
+    const unavailable = await manager().get('/rewards?available=false');
+    assert.deepEqual(unavailable.body.results.map((r) => r.id).sort(), [upcoming.id, soldOut.id].sort());
+  });
+
+  test('cannot redeem a reward outside its window or out of stock', async () => {
+    for (const r of [upcoming, soldOut]) {
+      const res = await redeem(USERS.regular.utorid, r.id);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.issues[0].field, 'rewardId');
+    }
+  });
+});
+
+describe('processing a redemption', () => {
+  test('takes one unit of stock and shows the cashier what to hand over', async () => {
+    const reward = await prisma.reward.create({ data: { name: 'Sticker', description: 'Holographic', cost: 10, stock: 3 } });
+    const requested = await redeem(USERS.regular.utorid, reward.id);
+    assert.equal(requested.status, 201);
+
+    const loaded = await as(USERS.cashier.utorid).get(`/transactions/${requested.body.id}`);
+    assert.equal(loaded.body.reward.name, 'Sticker');
+
+    const res = await handOver(requested.body.id);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.reward, { id: reward.id, name: 'Sticker', stock: 2 });
+  });
+
+  test('the last unit goes to one redemption only, even when processed together', async () => {
+    const reward = await prisma.reward.create({ data: { name: 'Poster', description: 'Signed', cost: 50, stock: 1 } });
+    const first = await redeem(USERS.regular.utorid, reward.id);
+    const second = await redeem(USERS.regular2.utorid, reward.id);
+    const pointsOf = async (id) => (await prisma.user.findUnique({ where: { id } })).points;
+    const start = [await pointsOf(users.regular.id), await pointsOf(users.regular2.id)];
+
+    const results = await Promise.all([handOver(first.body.id), handOver(second.body.id)]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 400]);
+    assert.equal((await prisma.reward.findUnique({ where: { id: reward.id } })).stock, 0);
+
+    // Whoever missed out keeps their points and their request stays pending
+    const missed = results.findIndex((r) => r.status === 400);
+    const tx = await prisma.transaction.findUnique({ where: { id: [first, second][missed].body.id } });
+    assert.equal(tx.processedById, null);
+    assert.equal(await pointsOf(tx.userId), start[missed]);
+  });
+
+  test('a redeemed reward cannot be deleted', async () => {
+    const redeemed = await prisma.transaction.findFirst({ where: { rewardId: { not: null } } });
+    const res = await manager().delete(`/rewards/${redeemed.rewardId}`);
+    assert.equal(res.status, 403);
+  });
+});
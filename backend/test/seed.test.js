@@ -0,0 +1,91 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, setup, teardown, login, as } = require('./helpers');
+const { seed, parseOptions, PASSWORD } = require('../prisma/seed');
+const { balanceEffect } = require('../services/points');
+
+const options = { seed: 'test', members: 12, transactions: 80, promotions: 6, events: 5 };
+
+// Everything the seed decides, minus the run-relative timestamps and the salted password hash
+const snapshot = async () => ({
+  users: await prisma.user.findMany({
+    orderBy: { id: 'asc' },
+    select: { id: true, utorid: true, name: true, role: true, points: true, verified: true, suspicious: true }
+  }),
+  transactions: await prisma.transaction.findMany({
+    orderBy: { id: 'asc' },
+    select: {
+      userId: true, type: true, amount: true, spent: true, relatedId: true, processedById: true, suspicious: true,
+      rewardId: true, status: true
+    }
+  }),
+  rewards: await prisma.reward.findMany({ orderBy: { id: 'asc' }, select: { id: true, cost: true, stock: true } }),
+  guests: await prisma.eventGuest.findMany({ orderBy: [{ eventId: 'asc' }, { userId: 'asc' }] })
+});
+
+before(async () => {
+  await setup();
+  await seed(prisma, options);
+});
+after(teardown);
+
+describe('seed script', () => {
+  test('the same seed produces the same data', async () => {
+    const first = await snapshot();
+    await seed(prisma, options);
+    assert.deepEqual(await snapshot(), first);
+
+    await seed(prisma, { ...options, seed: 'other' });
+    assert.notDeepEqual(await snapshot(), first);
+    await seed(prisma, options);
+  });
+
+  test('balances agree with the transaction history', async () => {
+    const users = await prisma.user.findMany({ include: { ownedTransactions: true } });
+    for (const u of users) {
+      const ledger = u.ownedTransactions.reduce((sum, t) => sum + balanceEffect(t), 0);
+      assert.equal(u.points, ledger, u.utorid);
+      assert.ok(u.points >= 0, u.utorid);
+    }
+  });
+
+  test('covers every role, transaction type and promotion state', async () => {
+    const roles = await prisma.user.groupBy({ by: ['role'] });
+    assert.deepEqual(roles.map((r) => r.role).sort(), ['cashier', 'manager', 'regular', 'superuser']);
+    const types = await prisma.transaction.groupBy({ by: ['type'] });
+    assert.deepEqual(types.map((t) => t.type).sort(), ['adjustment', 'event', 'purchase', 'redemption', 'transfer']);
+
+    const now = new Date();
+    const promotions = await prisma.promotion.findMany();
+    assert.ok(promotions.some((p) => p.endTime < now));
+    assert.ok(promotions.some((p) => p.startTime <= now && p.endTime >= now));
+    assert.ok(promotions.some((p) => p.startTime > now));
+    assert.ok(await prisma.event.count({ where: { published: false } }) > 0);
+  });
+
+  test('every redemption is for a catalog reward at its cost', async () => {
+    const redemptions = await prisma.transaction.findMany({ where: { type: 'redemption' }, include: { reward: true } });
+    for (const t of redemptions) {
+      assert.ok(t.reward, `transaction ${t.id}`);
+      assert.equal(t.amount, t.reward.cost);
+    }
+    assert.equal(await prisma.reward.count({ where: { stock: { lt: 0 } } }), 0);
+  });
+
+  test('seeded accounts log in with the shared password', async () => {
+    await login('membr001', PASSWORD);
+    const me = await as('membr001').get('/users/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.role, 'regular');
+  });
+
+  test('parses sizes from flags and rejects nonsense', () => {
+    assert.deepEqual(parseOptions(['--seed=abc', '--members', '5'], {}),
+      { seed: 'abc', members: 5, transactions: 300, promotions: 6, events: 8 });
+    assert.equal(parseOptions([], { SEED_EVENTS: '2' }).events, 2);
+    assert.throws(() => parseOptions(['--members=-1'], {}));
+    assert.throws(() => parseOptions(['--colour=red'], {}));
+  });
+});
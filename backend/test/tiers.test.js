@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as } = require('./helpers');
+
+let users;
+before(async () => { users = await setup(); });
+after(teardown);
+
+const purchase = (body) => as(USERS.cashier.utorid).post('/transactions').send({ type: 'purchase', ...body });
+const tierOf = async (utorid) => (await as(utorid).get('/users/me')).body.tier;
+
+describe('membership tiers', () => {
+  test('new members start in the lowest tier with their progress to the next', async () => {
+    const tier = await tierOf(USERS.regular.utorid);
+    assert.deepEqual(tier, {
+      name: 'Bronze', minSpend: 0, multiplier: 1, spend: 0, next: { name: 'Silver', minSpend: 250, remaining: 250 }
+    });
+  });
+
+  test('only the last 12 months of credited purchases count', async () => {
+    const longAgo = new Date();
+    longAgo.setMonth(longAgo.getMonth() - 13);
+    await prisma.transaction.create({
+      data: {
+        userId: users.regular.id, type: 'purchase', amount: 4000, spent: 1000, suspicious: false,
+        createdById: users.cashier.id, processedById: users.cashier.id, createdAt: longAgo
+      }
+    });
+    await purchase({ utorid: USERS.regular.utorid, spent: 100, suspicious: true });
+    await purchase({ utorid: USERS.regular.utorid, spent: 200.5 });
+
+    const tier = await tierOf(USERS.regular.utorid);
+    assert.equal(tier.spend, 200.5);
+    assert.equal(tier.name, 'Bronze');
+    assert.equal(tier.next.remaining, 49.5);
+  });
+
+  test('purchases with no suspicious flag recorded count, as they do in the ledger', async () => {
+    const start = (await tierOf(USERS.regular2.utorid)).spend;
+    await prisma.transaction.create({
+      data: {
+        userId: users.regular2.id, type: 'purchase', amount: 40, spent: 10, suspicious: null,
+        createdById: users.cashier.id, processedById: users.cashier.id
+      }
+    });
+    assert.equal((await tierOf(USERS.regular2.utorid)).spend, start + 10);
+  });
+
+  test('a higher tier multiplies the base points of later purchases', async () => {
+    await purchase({ utorid: USERS.regular.utorid, spent: 49.5 });
+    assert.equal((await tierOf(USERS.regular.utorid)).name, 'Silver');
+
+    const res = await purchase({ utorid: USERS.regular.utorid, spent: 10 });
+    assert.equal(res.status, 201);
+    // 40 base points * 1.25
+    assert.equal(res.body.earned, 50);
+  });
+
+  test('the top tier has nothing further to reach', async () => {
+    await purchase({ utorid: USERS.regular2.utorid, spent: 800 });
+    const tier = await tierOf(USERS.regular2.utorid);
+    assert.equal(tier.name, 'Gold');
+    assert.equal(tier.next, null);
+  });
+
+  test('cashiers see the tier of the member they serve, but not the spend', async () => {
+    const res = await as(USERS.cashier.utorid).get(`/users/lookup/${USERS.regular.utorid}`);
+    assert.deepEqual(res.body.tier, { name: 'Silver', multiplier: 1.25 });
+  });
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, USERS, setup, teardown, as, hoursFromNow } = require('./helpers');
+
+let users;
+let automatic;
+let oneTime;
+let reward;
+before(async () => {
+  users = await setup();
+  reward = await prisma.reward.create({ data: { name: 'Coffee', description: 'Any size', cost: 40 } });
+  // Created directly: the API only accepts promotions that start in the future
+  automatic = await prisma.promotion.create({
+    data: {
+      name: 'Double Dollar', description: 'One extra point per dollar over $10', type: 'automatic',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), minSpending: 10, rate: 0.01
+    }
+  });
+  oneTime = await prisma.promotion.create({
+    data: {
+      name: 'Welcome Bonus', description: '50 points once', type: 'onetime',
+      startTime: hoursFromNow(-1), endTime: hoursFromNow(24), points: 50
+    }
+  });
+});
+after(teardown);
+
+const pointsOf = async (utorid) => (await prisma.user.findUnique({ where: { utorid } })).points;
+
+const purchase = (body) => as(USERS.cashier.utorid).post('/transactions').send({ type: 'purchase', ...body });
+
+describe('purchases', () => {
+  test('earn base points plus every active automatic promotion', async () => {
+    const res = await purchase({ utorid: USERS.regular.utorid, spent: 20 });
+    assert.equal(res.status, 201);
+    // 20 / 0.25 = 80 base, plus 2000 cents * 0.01 = 20
+    assert.equal(res.body.earned, 100);
+    assert.deepEqual(res.body.promotionIds, [automatic.id]);
+    assert.equal(await pointsOf(USERS.regular.utorid), 100);
+  });
+
+  test('get no automatic bonus below its minimum spend', async () => {
+    const res = await purchase({ utorid: USERS.regular.utorid, spent: 5 });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.earned, 20);
+  });
+
+  test('apply a one-time promotion once per member', async () => {
+    const first = await purchase({ utorid: USERS.regular.utorid, spent: 20, promotionIds: [oneTime.id] });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.earned, 150);
+
+    const again = await purchase({ utorid: USERS.regular.utorid, spent: 20, promotionIds: [oneTime.id] });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.issues[0].field, 'promotionIds');
+
+    const other = await as(USERS.regular2.utorid).get('/users/me');
+    assert.deepEqual(other.body.promotions.map((p) => p.id), [oneTime.id]);
+  });
+
+  test('need a member', async () => {
+    const missing = await purchase({ spent: 20 });
+    assert.equal(missing.status, 400);
+    const unknown = await purchase({ utorid: 'nobody00', spent: 20 });
+    assert.equal(unknown.status, 404);
+  });
+});
+
+describe('suspicious transactions', () => {
+  let purchaseId;
+
+  before(async () => {
+    const res = await purchase({ utorid: USERS.regular2.utorid, spent: 10 });
+    purchaseId = res.body.id;
+  });
+
+  test('flagging takes the points back and clearing restores them', async () => {
+    const manager = as(USERS.manager.utorid);
+    const start = await pointsOf(USERS.regular2.utorid);
+
+    const flagged = await manager.patch(`/transactions/${purchaseId}/suspicious`).send({ suspicious: true });
+    assert.equal(flagged.status, 200);
+    assert.equal(flagged.body.suspicious, true);
+    assert.equal(await pointsOf(USERS.regular2.utorid), start - flagged.body.amount);
+
+    const cleared = await manager.patch(`/transactions/${purchaseId}/suspicious`).send({ suspicious: false });
+    assert.equal(cleared.body.suspicious, false);
+    assert.equal(await pointsOf(USERS.regular2.utorid), start);
+  });
+
+  test('purchases rung up by a suspicious cashier earn nothing', async () => {
+    await prisma.user.update({ where: { id: users.cashier.id }, data: { suspicious: true } });
+    const start = await pointsOf(USERS.regular2.utorid);
+    const res = await purchase({ utorid: USERS.regular2.utorid, spent: 10 });
+    await prisma.user.update({ where: { id: users.cashier.id }, data: { suspicious: false } });
+
+    assert.equal(res.body.earned, 0);
+    assert.equal(await pointsOf(USERS.regular2.utorid), start);
+  });
+});
+
+describe('adjustments', () => {
+  test('a manager corrects a member balance against an earlier transaction', async () => {
+    const related = await prisma.transaction.findFirst({ where: { userId: users.regular.id, type: 'purchase' } });
+    const start = await pointsOf(USERS.regular.utorid);
+    const res = await as(USERS.manager.utorid).post('/transactions').send({
+      type: 'adjustment', utorid: USERS.regular.utorid, amount: -10, relatedId: related.id, remark: 'miskeyed total'
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.amount, -10);
+    assert.equal(await pointsOf(USERS.regular.utorid), start - 10);
+  });
+
+  test('the related transaction must belong to the same member', async () => {
+    const foreign = await prisma.transaction.findFirst({ where: { userId: users.regular2.id } });
+    const res = await as(USERS.manager.utorid).post('/transactions').send({
+      type: 'adjustment', utorid: USERS.regular.utorid, amount: 5, relatedId: foreign.id
+    });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('transfers', () => {
+  test('move points between verified members', async () => {
+    const [from, to] = [await pointsOf(USERS.regular.utorid), await pointsOf(USERS.regular2.utorid)];
+    const res = await as(USERS.regular.utorid).post(`/users/${users.regular2.id}/transactions`)
+      .send({ type: 'transfer', amount: 30, remark: 'lunch' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.sent, 30);
+    assert.equal(await pointsOf(USERS.regular.utorid), from - 30);
+    assert.equal(await pointsOf(USERS.regular2.utorid), to + 30);
+
+    const listed = await as(USERS.manager.utorid).get(`/transactions?type=transfer&userId=${users.regular2.id}`);
+    assert.equal(listed.body.results[0].sender.utorid, USERS.regular.utorid);
+    assert.equal(listed.body.results[0].recipient.utorid, USERS.regular2.utorid);
+  });
+
+  test('cannot exceed the balance or target the sender', async () => {
+    const sender = as(USERS.regular.utorid);
+    const tooMuch = await sender.post(`/users/${users.regular2.id}/transactions`).send({ type: 'transfer', amount: 1e6 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.issues[0].field, 'amount');
+
+    const self = await sender.post(`/users/${users.regular.id}/transactions`).send({ type: 'transfer', amount: 1 });
+    assert.equal(self.status, 400);
+  });
+
+  test('unverified members cannot send', async () => {
+    const res = await as(USERS.unverified.utorid).post(`/users/${users.regular.id}/transactions`)
+      .send({ type: 'transfer', amount: 1 });
+    assert.equal(res.status, 403);
+  });
+
+  test('members look a recipient up by utorid and see only their name and avatar', async () => {
+    const res = await as(USERS.regular.utorid).get(`/users/recipients/${USERS.regular2.utorid}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body).sort(), ['avatarUrl', 'name', 'utorid']);
+    assert.equal(res.body.utorid, USERS.regular2.utorid);
+
+    assert.equal((await as(USERS.regular.utorid).get('/users/recipients/nobody99')).status, 404);
+    assert.equal((await as(USERS.unverified.utorid).get(`/users/recipients/${USERS.regular.utorid}`)).status, 403);
+  });
+
+  test('can be addressed by utorid', async () => {
+    const [from, to] = [await pointsOf(USERS.regular.utorid), await pointsOf(USERS.regular2.utorid)];
+    const send = (body) => as(USERS.regular.utorid).post('/users/me/transactions').send({ type: 'transfer', ...body });
+
+    const res = await send({ utorid: USERS.regular2.utorid, amount: 5, remark: 'coffee' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.recipient, USERS.regular2.utorid);
+    assert.equal(await pointsOf(USERS.regular.utorid), from - 5);
+    assert.equal(await pointsOf(USERS.regular2.utorid), to + 5);
+
+    const self = await send({ utorid: USERS.regular.utorid, amount: 1 });
+    assert.equal(self.status, 400);
+    assert.equal(self.body.issues[0].field, 'utorid');
+    assert.equal((await send({ utorid: 'nobody99', amount: 1 })).status, 404);
+    assert.equal((await send({ amount: 1 })).status, 400);
+  });
+
+  test('sent at the same time cannot overdraw the sender', async () => {
+    const balance = await pointsOf(USERS.regular2.utorid);
+    const amount = Math.floor(balance / 2) + 1;
+    const send = () => as(USERS.regular2.utorid).post('/users/me/transactions')
+      .send({ type: 'transfer', utorid: USERS.regular.utorid, amount });
+    const results = await Promise.all([send(), send()]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 400]);
+    assert.equal(await pointsOf(USERS.regular2.utorid), balance - amount);
+  });
+});
+
+describe('redemptions', () => {
+  let redemptionId;
+
+  test('a member requests a redemption without spending the points yet', async () => {
+    const start = await pointsOf(USERS.regular.utorid);
+    const res = await as(USERS.regular.utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId: reward.id });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.processedBy, null);
+    assert.equal(res.body.amount, 40);
+    assert.deepEqual(res.body.reward, { id: reward.id, name: 'Coffee' });
+    assert.equal(await pointsOf(USERS.regular.utorid), start);
+    redemptionId = res.body.id;
+  });
+
+  test('a cashier processes it once', async () => {
+    const start = await pointsOf(USERS.regular.utorid);
+    const res = await as(USERS.cashier.utorid).patch(`/transactions/${redemptionId}/processed`).send({ processed: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.processedBy, USERS.cashier.utorid);
+    assert.equal(res.body.reward.name, 'Coffee');
+    assert.equal(await pointsOf(USERS.regular.utorid), start - 40);
+
+    const again = await as(USERS.cashier.utorid).patch(`/transactions/${redemptionId}/processed`).send({ processed: true });
+    assert.equal(again.status, 400);
+
+    const purchase = await prisma.transaction.findFirst({ where: { type: 'purchase' } });
+    const notRedemption = await as(USERS.cashier.utorid).patch(`/transactions/${purchase.id}/processed`).send({ processed: true });
+    assert.equal(notRedemption.status, 400);
+    assert.deepEqual(notRedemption.body.issues, [{ field: '', message: 'Only redemptions can be processed' }]);
+  });
+
+  test('name the cashier who handed it over', async () => {
+    const res = await as(USERS.manager.utorid).get(`/transactions/${redemptionId}`);
+    assert.deepEqual(res.body.cashier, { id: users.cashier.id, utorid: USERS.cashier.utorid });
+  });
+
+  test('cannot ask for more than the balance', async () => {
+    const pricey = await prisma.reward.create({ data: { name: 'Bicycle', description: 'Red', cost: 1e6 } });
+    const res = await as(USERS.regular.utorid).post('/users/me/transactions').send({ type: 'redemption', rewardId: pricey.id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'rewardId');
+  });
+
+  test('show up in the member history', async () => {
+    const res = await as(USERS.regular.utorid).get('/users/me/transactions');
+    assert.equal(res.status, 200);
+    const types = new Set(res.body.results.map((t) => t.type));
+    for (const type of ['purchase', 'adjustment', 'transfer', 'redemption']) assert.ok(types.has(type), type);
+  });
+});
+
+describe('transaction ids', () => {
+  test('that are not numbers are not found', async () => {
+    const manager = as(USERS.manager.utorid);
+    const answers = await Promise.all([
+      manager.get('/transactions/abc'),
+      manager.patch('/transactions/abc/processed').send({ processed: true }),
+      manager.patch('/transactions/abc/rejected').send({ reason: 'Out of stock' }),
+      manager.patch('/transactions/abc/suspicious').send({ suspicious: true }),
+      manager.post('/transactions/abc/void').send({}),
+      manager.post('/transactions/abc/refunds').send({ spent: 1 })
+    ]);
+    assert.deepEqual(answers.map((r) => r.status), [404, 404, 404, 404, 404, 404]);
+  });
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  prisma, request, app, PASSWORD, USERS, setup, teardown, login, as, lastMailedToken, hoursFromNow
+} = require('./helpers');
+
+let users;
+before(async () => { users = await setup(); });
+after(teardown);
+
+describe('user creation', () => {
+  const newcomer = { utorid: 'fresh001', name: 'Fresh Member', email: 'fresh001@mail.utoronto.ca' };
+
+  test('a cashier registers a member, who activates the account from the emailed link', async () => {
+    const res = await as(USERS.cashier.utorid).post('/users').send(newcomer);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.utorid, newcomer.utorid);
+    assert.equal(res.body.verified, false);
+    assert.equal(res.body.resetToken, undefined);
+
+    const token = lastMailedToken(newcomer.email);
+    assert.ok(token);
+    const activate = await request(app).post(`/auth/resets/${token}`).send({ utorid: newcomer.utorid, password: PASSWORD });
+    assert.equal(activate.status, 200);
+    await login(newcomer.utorid);
+
+    const me = await as(newcomer.utorid).get('/users/me');
+    assert.equal(me.body.role, 'regular');
+    assert.equal(me.body.points, 0);
+  });
+
+  test('refuses a utorid that is already taken', async () => {
+    const res = await as(USERS.cashier.utorid).post('/users').send(newcomer);
+    assert.equal(res.status, 409);
+  });
+
+  test('names each invalid field', async () => {
+    const res = await as(USERS.cashier.utorid).post('/users').send({ utorid: 'x', name: '', email: 'someone@gmail.com' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.issues.map((i) => i.field).sort(), ['email', 'name', 'utorid']);
+  });
+});
+
+describe('user listing', () => {
+  test('filters by role and verification', async () => {
+    const manager = as(USERS.manager.utorid);
+    const cashiers = await manager.get('/users').query({ role: 'cashier' });
+    assert.equal(cashiers.status, 200);
+    assert.deepEqual(cashiers.body.results.map((u) => u.utorid), [USERS.cashier.utorid]);
+
+    const unverified = await manager.get('/users').query({ verified: 'false' });
+    assert.ok(unverified.body.results.some((u) => u.utorid === USERS.unverified.utorid));
+    assert.ok(unverified.body.results.every((u) => u.verified === false));
+  });
+
+  test('pages results', async () => {
+    const res = await as(USERS.manager.utorid).get('/users').query({ page: 2, limit: 2 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results.length, 2);
+    assert.ok(res.body.count >= Object.keys(USERS).length);
+  });
+
+  test('rejects a bad page number', async () => {
+    const res = await as(USERS.manager.utorid).get('/users').query({ page: 0 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.issues[0].field, 'page');
+  });
+});
+
+describe('profiles', () => {
+  test('a manager verifies a member', async () => {
+    const res = await as(USERS.manager.utorid).patch(`/users/${users.unverified.id}`).send({ verified: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.verified, true);
+  });
+
+  test('verification cannot be revoked', async () => {
+    const res = await as(USERS.manager.utorid).patch(`/users/${users.unverified.id}`).send({ verified: false });
+    assert.equal(res.status, 400);
+  });
+
+  test('a cashier sees a reduced profile', async () => {
+    const res = await as(USERS.cashier.utorid).get(`/users/${users.regular.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.utorid, USERS.regular.utorid);
+    assert.equal(res.body.email, undefined);
+  });
+
+  test('members update their own name and birthday', async () => {
+    const res = await as(USERS.regular.utorid).patch('/users/me').send({ name: 'Renamed', birthday: '2000-02-29' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'Renamed');
+    assert.equal(res.body.birthday, '2000-02-29');
+
+    const bad = await as(USERS.regular.utorid).patch('/users/me').send({ birthday: '2001-02-29' });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.issues[0].field, 'birthday');
+  });
+
+  test('changing a password needs the old one', async () => {
+    const member = as(USERS.regular2.utorid);
+    const wrong = await member.patch('/users/me/password').send({ old: 'Wrong0ne!', new: 'An0ther-pass' });
+    assert.equal(wrong.status, 403);
+
+    const ok = await member.patch('/users/me/password').send({ old: PASSWORD, new: 'An0ther-pass' });
+    assert.equal(ok.status, 200);
+    await login(USERS.regular2.utorid, 'An0ther-pass');
+  });
+});
+
+describe('own transaction history', () => {
+  let promo;
+  const history = (query = '') => as(USERS.regular2.utorid).get(`/users/me/transactions${query}`);
+  const remarks = (res) => res.body.results.map((t) => t.remark);
+
+  before(async () => {
+    const me = users.regular2.id;
+    const cashier = users.cashier.id;
+    promo = await prisma.promotion.create({
+      data: {
+        name: 'Bonus', description: 'Extra', type: 'automatic',
+        startTime: hoursFromNow(-100), endTime: hoursFromNow(100), points: 5
+      }
+    });
+    const rows = [
+      { type: 'purchase', amount: 45, spent: 10, remark: 'lunch', createdAt: hoursFromNow(-72), promotions: true },
+      { type: 'purchase', amount: 80, spent: 20, remark: 'books', createdAt: hoursFromNow(-48) },
+      { type: 'transfer', amount: -30, relatedId: users.regular.id, remark: 'pizza split', createdAt: hoursFromNow(-24) },
+      { type: 'adjustment', amount: 15, relatedId: 999, remark: 'missed promotion', createdAt: hoursFromNow(-1) }
+    ];
+    for (const { promotions, ...data } of rows) {
+      await prisma.transaction.create({
+        data: {
+          ...data, userId: me, createdById: cashier, suspicious: false,
+          ...(promotions ? { promotions: { create: [{ promotionId: promo.id }] } } : {})
+        }
+      });
+    }
+  });
+
+  test('newest first by default', async () => {
+    const res = await history();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 4);
+    assert.deepEqual(remarks(res), ['missed promotion', 'pizza split', 'books', 'lunch']);
+  });
+
+  test('filters by type, amount range and date range across every page', async () => {
+    assert.deepEqual(remarks(await history('?type=purchase,transfer&minAmount=0')), ['books', 'lunch']);
+    assert.deepEqual(remarks(await history('?maxAmount=50&minAmount=10')), ['missed promotion', 'lunch']);
+    const from = encodeURIComponent(hoursFromNow(-50).toISOString());
+    const to = encodeURIComponent(hoursFromNow(-12).toISOString());
+    const res = await history(`?from=${from}&to=${to}&limit=1`);
+    assert.equal(res.body.count, 2);
+    assert.deepEqual(remarks(res), ['pizza split']);
+  });
+
+  test('filters by promotion, related id and remark text', async () => {
+    assert.deepEqual(remarks(await history(`?promotionId=${promo.id}`)), ['lunch']);
+    assert.deepEqual(remarks(await history(`?relatedId=${users.regular.id}`)), ['pizza split']);
+    assert.deepEqual(remarks(await history('?remark=promo')), ['missed promotion']);
+  });
+
+  test('sorts by several fields', async () => {
+    assert.deepEqual(remarks(await history('?orderBy=-amount')), ['books', 'lunch', 'missed promotion', 'pizza split']);
+    assert.deepEqual(remarks(await history('?orderBy=type,-createdAt')), ['missed promotion', 'books', 'lunch', 'pizza split']);
+  });
+
+  test('names the other side of each transaction, for a regular member too', async () => {
+    const event = await prisma.event.create({
+      data: {
+        name: 'Games Night', description: 'Board games', location: 'BA 1160',
+        startTime: hoursFromNow(-6), endTime: hoursFromNow(-4), pointsTotal: 100, pointsRemain: 90
+      }
+    });
+    await prisma.transaction.create({
+      data: {
+        userId: users.regular2.id, type: 'event', amount: 10, relatedId: event.id, remark: 'came along',
+        createdById: users.manager.id, suspicious: false
+      }
+    });
+
+    const byRemark = Object.fromEntries((await history()).body.results.map((t) => [t.remark, t]));
+    assert.deepEqual(byRemark['pizza split'].sender, { id: users.regular2.id, utorid: USERS.regular2.utorid, name: USERS.regular2.name });
+    assert.equal(byRemark['pizza split'].recipient.utorid, USERS.regular.utorid);
+    assert.deepEqual(byRemark['came along'].event, { id: event.id, name: 'Games Night' });
+    assert.deepEqual(byRemark.lunch.cashier, { id: users.cashier.id, utorid: USERS.cashier.utorid });
+    assert.equal(byRemark['missed promotion'].cashier, undefined);
+
+    await prisma.transaction.deleteMany({ where: { remark: 'came along' } });
+    await prisma.event.delete({ where: { id: event.id } });
+  });
+
+  test('rejects unknown sort fields, types and inverted ranges', async () => {
+    for (const query of ['?orderBy=-points', '?type=gift', '?minAmount=10&maxAmount=5']) {
+      const res = await history(query);
+      assert.equal(res.status, 400, query);
+    }
+  });
+});
@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { Navbar } from './components/layout/Navbar';
 import { LoginPage } from './pages/LoginPage';
+import { ResetPasswordPage } from './pages/ResetPasswordPage';
 import { PointsPage } from './pages/PointsPage';
 import { QRCodePage } from './pages/QRCodePage';
 import { TransferPage } from './pages/TransferPage';
@@ -10,11 +11,21 @@ import { RedemptionQRPage } from './pages/RedemptionQRPage';
 import { PromotionsPage } from './pages/PromotionsPage';
 import { EventsPage } from './pages/EventsPage';
 import { EventDetailPage } from './pages/EventDetailPage';
+import { EventManagePage } from './pages/EventManagePage';
 import { TransactionsPage } from './pages/TransactionsPage';
+import { CashierPage } from './pages/CashierPage';
+import { ManageUsersPage } from './pages/ManageUsersPage';
+import { ManageUserDetailPage } from './pages/ManageUserDetailPage';
+import { ManagePromotionsPage } from './pages/ManagePromotionsPage';
+import { PromotionFormPage } from './pages/PromotionFormPage';
+import { ManageRewardsPage } from './pages/ManageRewardsPage';
+import { RewardFormPage } from './pages/RewardFormPage';
+import { ProgramSettingsPage } from './pages/ProgramSettingsPage';
+import { hasRole } from './lib/roles';
 import './App.css';
 
-// Protected route wrapper
-const ProtectedRoute = ({ children }) => {
+// Protected route wrapper; minRole restricts the page to staff of that rank or higher
+const ProtectedRoute = ({ children, minRole }) => {
   const { user, loading } = useAuth();
 
   if (loading) {
@@ -29,6 +40,10 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  if (minRole && !hasRole(user, minRole)) {
+    return <Navigate to="/" replace />;
+  }
+
   return (
     <>
       <Navbar />
@@ -49,6 +64,9 @@ function AppRoutes() {
         element={user ? <Navigate to="/" replace /> : <LoginPage />}
       />
 
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
+      <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+
       <Route
         path="/"
         element={
@@ -130,6 +148,15 @@ function AppRoutes() {
         }
       />
 
+      <Route
+        path="/events/:id/manage"
+        element={
+          <ProtectedRoute>
+            <EventManagePage />
+          </ProtectedRoute>
+        }
+      />
+
       <Route
         path="/transactions"
         element={
@@ -139,6 +166,96 @@ function AppRoutes() {
         }
       />
 
+      <Route
+        path="/cashier"
+        element={
+          <ProtectedRoute minRole="cashier">
+            <CashierPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/users"
+        element={
+          <ProtectedRoute minRole="manager">
+            <ManageUsersPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/users/:userId"
+        element={
+          <ProtectedRoute minRole="manager">
+            <ManageUserDetailPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/promotions"
+        element={
+          <ProtectedRoute minRole="manager">
+            <ManagePromotionsPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/promotions/new"
+        element={
+          <ProtectedRoute minRole="manager">
+            <PromotionFormPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/promotions/:id"
+        element={
+          <ProtectedRoute minRole="manager">
+            <PromotionFormPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/rewards"
+        element={
+          <ProtectedRoute minRole="manager">
+            <ManageRewardsPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/rewards/new"
+        element={
+          <ProtectedRoute minRole="manager">
+            <RewardFormPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/rewards/:id"
+        element={
+          <ProtectedRoute minRole="manager">
+            <RewardFormPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/manage/program"
+        element={
+          <ProtectedRoute minRole="superuser">
+            <ProgramSettingsPage />
+          </ProtectedRoute>
+        }
+      />
+
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -2,6 +2,9 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Refresh this long before the access token expires so in-flight requests never carry a stale token
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -9,8 +12,66 @@ const apiClient = axios.create({
   },
 });
 
-// Add auth token to requests
-apiClient.interceptors.request.use((config) => {
+// Session storage helpers shared with AuthContext
+export const saveSession = ({ token, expiresAt, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('tokenExpiresAt', expiresAt);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('tokenExpiresAt');
+  localStorage.removeItem('refreshToken');
+};
+
+let refreshing = null;
+
+// Exchanges the stored refresh token for a new pair; concurrent callers share one request
+export const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = (async () => {
+      if (!refreshToken) throw new Error('No refresh token');
+      try {
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+        saveSession(response.data);
+        return response.data.token;
+      } catch (err) {
+        // Another tab may have rotated the token first; its session is still good
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw err;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+const expiresSoon = () => {
+  const expiresAt = Date.parse(localStorage.getItem('tokenExpiresAt'));
+  return Number.isFinite(expiresAt) && expiresAt - Date.now() < REFRESH_MARGIN_MS;
+};
+
+const redirectToLogin = () => {
+  clearSession();
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Add auth token to requests, refreshing it first when it is about to expire
+apiClient.interceptors.request.use(async (config) => {
+  if (localStorage.getItem('refreshToken') && expiresSoon()) {
+    try {
+      await refreshSession();
+    } catch {
+      // Let the request go out; a 401 below sends the user to the login page
+    }
+  }
   const token = localStorage.getItem('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
@@ -18,13 +79,22 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle token expiration
+// On 401, refresh once and retry the original request before giving up on the session
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status === 401 && original && !original._retried) {
+      original._retried = true;
+      try {
+        const token = await refreshSession();
+        original.headers.Authorization = `Bearer ${token}`;
+        return apiClient(original);
+      } catch {
+        redirectToLogin();
+      }
+    } else if (error.response?.status === 401) {
+      redirectToLogin();
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import apiClient from '../../api/client';
+import { Button } from '../ui/button';
+import { QRScanner } from '../scanner/QRScanner';
+import { parseQrPayload } from '../../lib/qr';
+import { errorMessage } from '../../lib/errors';
+import { useIdempotencyKey } from '../../hooks/useIdempotencyKey';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const PurchasePanel = () => {
+  const [utorid, setUtorid] = useState('');
+  const [member, setMember] = useState(null);
+  const [spent, setSpent] = useState('');
+  const [remark, setRemark] = useState('');
+  const [selectedPromoIds, setSelectedPromoIds] = useState([]);
+  const [lookupLoading, setLookupLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [qrToken, setQrToken] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const idempotency = useIdempotencyKey();
+
+  // The server prices the purchase with the program's current rules; wait for typing to pause
+  useEffect(() => {
+    const amount = Number(spent);
+    if (!member || spent === '' || !Number.isFinite(amount) || amount < 0) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.post('/transactions/preview', {
+          utorid: member.utorid,
+          spent: amount,
+          promotionIds: selectedPromoIds
+        });
+        if (!cancelled) setPreview(response.data);
+      } catch (err) {
+        if (!cancelled) setPreview(null);
+        console.error('Failed to preview purchase:', err);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [member, spent, selectedPromoIds]);
+
+  const lookupMember = async (value) => {
+    const target = value.trim();
+    if (!target) return;
+
+    setLookupLoading(true);
+    setError('');
+    setResult(null);
+    setSelectedPromoIds([]);
+
+    try {
+      const response = await apiClient.get(`/users/lookup/${encodeURIComponent(target)}`);
+      setMember(response.data);
+    } catch (err) {
+      setMember(null);
+      setError(err.response?.status === 404 ? `No member found with UTORid ${target}` : 'Failed to look up member');
+    } finally {
+      setLookupLoading(false);
+    }
+  };
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    setQrToken(null);
+    lookupMember(utorid);
+  };
+
+  // Member QR codes carry a signed token naming the member; it is sent along so the server can verify it
+  const handleScan = (value) => {
+    setScanning(false);
+    const scanned = parseQrPayload(value);
+    if (scanned.kind === 'redemption') {
+      setError('That is a redemption QR code; use the Process Redemption tab');
+      return;
+    }
+    const target = scanned.kind === 'member' ? scanned.utorid : scanned.value;
+    setQrToken(scanned.kind === 'member' ? scanned.token : null);
+    setUtorid(target);
+    lookupMember(target);
+  };
+
+  const togglePromo = (id) => {
+    setSelectedPromoIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  };
+
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!member) return;
+
+    setSubmitting(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const body = {
+        type: 'purchase',
+        utorid: member.utorid,
+        spent: Number(spent),
+        promotionIds: selectedPromoIds,
+        remark
+      };
+      if (qrToken) body.qrToken = qrToken;
+
+      const response = await apiClient.post('/transactions', body, { headers: idempotency.headers });
+      idempotency.renew();
+      setResult(response.data);
+      setSpent('');
+      setRemark('');
+      setQrToken(null);
+      await lookupMember(member.utorid);
+    } catch (err) {
+      // The first submission of this purchase is still running; the key is kept, so submitting
+      // again once it has finished shows its result instead of recording the purchase twice
+      if (err.response?.status === 409) {
+        setError('This purchase is still being processed. Submit again in a moment to see the result.');
+        return;
+      }
+      if (err.response) idempotency.renew();
+      if (err.response?.status === 410) {
+        setError('The scanned QR code has expired. Ask the member to show a fresh code.');
+      } else {
+        setError(errorMessage(err, 'Failed to record purchase'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleLookup} className="flex gap-2">
+        <input
+          type="text"
+          required
+          value={utorid}
+          onChange={(e) => { setUtorid(e.target.value); setQrToken(null); }}
+          placeholder="Member UTORid"
+          className={inputClass}
+        />
+        <Button type="submit" disabled={lookupLoading}>
+          {lookupLoading ? 'Looking up...' : 'Look Up'}
+        </Button>
+        <Button type="button" variant="outline" onClick={() => setScanning((v) => !v)}>
+          Scan QR
+        </Button>
+      </form>
+
+      {scanning && (
+        <QRScanner
+          label="Scan Member QR Code"
+          placeholder="Member UTORid"
+          onScan={handleScan}
+          onClose={() => setScanning(false)}
+        />
+      )}
+
+      {member && (
+        <div className="bg-blue-50 p-4 rounded grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <p className="text-sm text-gray-600">Member</p>
+            <p className="font-semibold">{member.name} ({member.utorid})</p>
+            {member.tier && (
+              <p className="text-sm text-gray-600">{member.tier.name} member</p>
+            )}
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Points</p>
+            <p className="font-semibold">{member.points}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Status</p>
+            <p className="font-semibold">
+              {member.verified ? (
+                <span className="text-green-600">Verified</span>
+              ) : (
+                <span className="text-yellow-600">Unverified</span>
+              )}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {member && (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="spent" className="block text-sm font-medium text-gray-700 mb-2">
+              Amount Spent ($)
+            </label>
+            <input
+              id="spent"
+              type="number"
+              required
+              min="0"
+              step="0.01"
+              value={spent}
+              onChange={(e) => setSpent(e.target.value)}
+              placeholder="0.00"
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">One-time Promotions</p>
+            {member.promotions?.length > 0 ? (
+              <div className="space-y-2">
+                {member.promotions.map((promo) => (
+                  <label key={promo.id} className="flex items-center gap-3 bg-gray-50 p-3 rounded">
+                    <input
+                      type="checkbox"
+                      checked={selectedPromoIds.includes(promo.id)}
+                      onChange={() => togglePromo(promo.id)}
+                    />
+                    <span className="flex-1">{promo.name}</span>
+                    <span className="text-sm text-gray-500">
+                      {promo.minSpending ? `min $${promo.minSpending}` : 'no minimum'}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No one-time promotions available for this member</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="purchase-remark" className="block text-sm font-medium text-gray-700 mb-2">
+              Remark (optional)
+            </label>
+            <input
+              id="purchase-remark"
+              type="text"
+              value={remark}
+              onChange={(e) => setRemark(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="bg-green-50 p-4 rounded">
+            <p className="text-sm text-gray-600">Points to be Earned</p>
+            <p className="text-3xl font-bold text-green-600">{preview?.earned ?? 0}</p>
+            {preview && (
+              <div className="mt-2 text-sm text-gray-600 space-y-1">
+                {!preview.eligible && (
+                  <p>Purchases under ${preview.minSpend.toFixed(2)} earn no points</p>
+                )}
+                <p>
+                  Base: {preview.base}
+                  {preview.multiplier !== 1 && ` (${preview.tier} ×${preview.multiplier})`}
+                </p>
+                {preview.promotions.filter((b) => b.points > 0).map((b) => (
+                  <p key={b.id}>{b.name}: +{b.points}</p>
+                ))}
+                {preview.earned < preview.total && (
+                  <p>Capped at {preview.cap} points per purchase</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <Button type="submit" disabled={submitting || spent === ''} className="w-full">
+            {submitting ? 'Processing...' : 'Record Purchase'}
+          </Button>
+        </form>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+      )}
+
+      {result && (
+        <div className="bg-green-50 text-green-700 p-3 rounded">
+          Purchase #{result.id} recorded: ${Number(result.spent).toFixed(2)} spent, {result.earned} points earned by {result.utorid}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,233 @@
+import { useState } from 'react';
+import apiClient from '../../api/client';
+import { Button } from '../ui/button';
+import { QRScanner } from '../scanner/QRScanner';
+import { parseQrPayload } from '../../lib/qr';
+import { errorMessage, fieldErrors } from '../../lib/errors';
+import { redemptionStatus } from '../../lib/redemptions';
+import { FieldError } from '../forms/FieldError';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const RedemptionPanel = () => {
+  const [transactionId, setTransactionId] = useState('');
+  const [redemption, setRedemption] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [qrToken, setQrToken] = useState(null);
+  const [rejecting, setRejecting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState('');
+
+  const loadRedemption = async (value) => {
+    const target = String(value).trim();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    setRedemption(null);
+    setRejecting(false);
+    setReason('');
+    setReasonError('');
+
+    try {
+      const response = await apiClient.get(`/transactions/${encodeURIComponent(target)}`);
+      if (response.data.type !== 'redemption') {
+        setError('That transaction is not a redemption');
+      } else {
+        setRedemption(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'Redemption not found' : 'Failed to load redemption');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setQrToken(null);
+    loadRedemption(transactionId);
+  };
+
+  // Redemption QR codes carry a signed token naming the redemption; it is sent along when processing
+  const handleScan = (value) => {
+    setScanning(false);
+    const scanned = parseQrPayload(value);
+    if (scanned.kind === 'member') {
+      setError('That is a member QR code; ask for the redemption QR code instead');
+      return;
+    }
+    const target = scanned.kind === 'redemption' ? String(scanned.id) : scanned.value;
+    setQrToken(scanned.kind === 'redemption' ? scanned.token : null);
+    setTransactionId(target);
+    loadRedemption(target);
+  };
+
+  const handleProcess = async () => {
+    setProcessing(true);
+    setError('');
+
+    try {
+      const body = { processed: true };
+      if (qrToken) body.qrToken = qrToken;
+
+      const response = await apiClient.patch(`/transactions/${redemption.id}/processed`, body);
+      setRedemption((r) => ({ ...r, processedBy: response.data.processedBy, status: response.data.status }));
+      const item = response.data.reward ? `${response.data.reward.name}: ` : '';
+      setSuccess(`${item}redeemed ${response.data.redeemed} points for ${response.data.utorid}`);
+    } catch (err) {
+      if (err.response?.status === 410) {
+        setError('The scanned QR code has expired. Ask the member to show a fresh code.');
+      } else {
+        setError(errorMessage(err, 'Failed to process redemption'));
+      }
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleReject = async (e) => {
+    e.preventDefault();
+    setProcessing(true);
+    setError('');
+    setReasonError('');
+
+    try {
+      const response = await apiClient.patch(`/transactions/${redemption.id}/rejected`, { reason });
+      setRedemption((r) => ({ ...r, status: response.data.status, statusReason: response.data.statusReason }));
+      setRejecting(false);
+      setSuccess(`Rejected the request from ${response.data.utorid}; no points were deducted`);
+    } catch (err) {
+      const errs = fieldErrors(err);
+      if (errs.reason) setReasonError(errs.reason);
+      else setError(errorMessage(err, 'Failed to reject redemption'));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const pending = redemption?.status === 'pending';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="number"
+          required
+          min="1"
+          value={transactionId}
+          onChange={(e) => { setTransactionId(e.target.value); setQrToken(null); }}
+          placeholder="Redemption transaction ID"
+          className={inputClass}
+        />
+        <Button type="submit" disabled={loading}>
+          {loading ? 'Loading...' : 'Load'}
+        </Button>
+        <Button type="button" variant="outline" onClick={() => setScanning((v) => !v)}>
+          Scan QR
+        </Button>
+      </form>
+
+      {scanning && (
+        <QRScanner
+          label="Scan Redemption QR Code"
+          placeholder="Redemption transaction ID"
+          onScan={handleScan}
+          onClose={() => setScanning(false)}
+        />
+      )}
+
+      {redemption && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 space-y-4">
+          {redemption.reward && (
+            <div className="flex items-center gap-4 bg-white p-3 rounded">
+              {redemption.reward.imageUrl && (
+                <img src={redemption.reward.imageUrl} alt="" className="w-16 h-16 object-cover rounded" />
+              )}
+              <div>
+                <p className="text-sm text-gray-600">Hand over</p>
+                <p className="text-xl font-bold">{redemption.reward.name}</p>
+                <p className="text-sm text-gray-600">{redemption.reward.description}</p>
+              </div>
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <p className="text-sm text-gray-600">Member</p>
+              <p className="font-semibold">{redemption.user.name} ({redemption.user.utorid})</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Points to Redeem</p>
+              <p className="text-2xl font-bold text-yellow-600">{Math.abs(redemption.amount)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Status</p>
+              <p className={`font-semibold ${redemptionStatus(redemption).color}`}>
+                {redemptionStatus(redemption).text}
+              </p>
+              {redemption.statusReason && (
+                <p className="text-sm text-gray-600">{redemption.statusReason}</p>
+              )}
+            </div>
+          </div>
+
+          {redemption.remark && (
+            <div className="bg-white p-3 rounded">
+              <p className="text-sm text-gray-700">
+                <span className="font-semibold">Remark:</span> {redemption.remark}
+              </p>
+            </div>
+          )}
+
+          {pending && !rejecting && (
+            <div className="flex gap-2">
+              <Button onClick={handleProcess} disabled={processing} className="flex-1">
+                {processing ? 'Processing...' : 'Mark as Processed'}
+              </Button>
+              <Button variant="outline" onClick={() => setRejecting(true)} disabled={processing}>
+                Reject
+              </Button>
+            </div>
+          )}
+
+          {pending && rejecting && (
+            <form onSubmit={handleReject} className="space-y-2">
+              <label htmlFor="rejectReason" className="block text-sm font-medium text-gray-700">
+                Reason (shown to the member)
+              </label>
+              <input
+                id="rejectReason"
+                type="text"
+                required
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Out of stock at this location"
+                className={inputClass}
+              />
+              <FieldError message={reasonError} />
+              <div className="flex gap-2">
+                <Button type="submit" variant="destructive" disabled={processing} className="flex-1">
+                  {processing ? 'Rejecting...' : 'Reject Request'}
+                </Button>
+                <Button type="button" variant="outline" onClick={() => setRejecting(false)}>
+                  Back
+                </Button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+      )}
+
+      {success && (
+        <div className="bg-green-50 text-green-600 p-3 rounded">{success}</div>
+      )}
+    </div>
+  );
+};
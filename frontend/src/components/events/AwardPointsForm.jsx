@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import apiClient from '../../api/client';
+import { Button } from '../ui/button';
+import { QRScanner } from '../scanner/QRScanner';
+import { parseQrPayload } from '../../lib/qr';
+import { errorMessage } from '../../lib/errors';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Awards event points to a single guest (by UTORid) or to every guest at once,
+// previewing the total cost against the event's remaining points budget
+export const AwardPointsForm = ({ eventId, guestCount, pointsRemain, onAwarded }) => {
+  const [utorid, setUtorid] = useState('');
+  const [allGuests, setAllGuests] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [remark, setRemark] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleScan = (value) => {
+    setScanning(false);
+    const scanned = parseQrPayload(value);
+    if (scanned.kind === 'redemption') {
+      setError('That is a redemption QR code; ask for the member QR code instead');
+      return;
+    }
+    setAllGuests(false);
+    setUtorid(scanned.kind === 'member' ? scanned.utorid : scanned.value);
+  };
+
+  const perGuest = parseInt(amount) || 0;
+  const recipients = allGuests ? guestCount : 1;
+  const totalCost = perGuest * recipients;
+  const overBudget = totalCost > pointsRemain;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const body = { type: 'event', amount: parseInt(amount), remark };
+      if (!allGuests) body.utorid = utorid.trim();
+
+      const response = await apiClient.post(`/events/${eventId}/transactions`, body);
+      const count = Array.isArray(response.data) ? response.data.length : 1;
+      setSuccess(`Awarded ${amount} points to ${allGuests ? `${count} guests` : utorid.trim()}`);
+      setUtorid('');
+      setAmount('');
+      setRemark('');
+      if (onAwarded) await onAwarded();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to award points'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={allGuests}
+          onChange={(e) => setAllGuests(e.target.checked)}
+        />
+        Award to all guests
+      </label>
+
+      {!allGuests && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            required
+            value={utorid}
+            onChange={(e) => setUtorid(e.target.value)}
+            placeholder="Guest UTORid"
+            className={inputClass}
+          />
+          <Button type="button" variant="outline" onClick={() => setScanning((v) => !v)}>
+            Scan QR
+          </Button>
+        </div>
+      )}
+
+      {scanning && !allGuests && (
+        <QRScanner
+          label="Scan Guest QR Code"
+          placeholder="Guest UTORid"
+          onScan={handleScan}
+          onClose={() => setScanning(false)}
+        />
+      )}
+
+      <input
+        type="number"
+        required
+        min="1"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        placeholder="Points per guest"
+        className={inputClass}
+      />
+
+      <input
+        type="text"
+        value={remark}
+        onChange={(e) => setRemark(e.target.value)}
+        placeholder="Remark (optional)"
+        className={inputClass}
+      />
+
+      {perGuest > 0 && (
+        <div className={`p-3 rounded text-sm ${overBudget ? 'bg-red-50 text-red-600' : 'bg-white text-gray-700'}`}>
+          Total cost: {perGuest} × {recipients} {recipients === 1 ? 'guest' : 'guests'} = <span className="font-semibold">{totalCost}</span> points
+          {' '}({pointsRemain} remaining)
+          {overBudget && <p className="mt-1">This exceeds the event's remaining points.</p>}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+      )}
+
+      {success && (
+        <div className="bg-green-50 text-green-600 p-3 rounded">{success}</div>
+      )}
+
+      <Button type="submit" disabled={submitting || overBudget || (allGuests && guestCount === 0)} className="w-full">
+        {submitting ? 'Awarding...' : 'Award Points'}
+      </Button>
+    </form>
+  );
+};
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { Button } from '../ui/button';
+import { errorMessage } from '../../lib/errors';
+
+// Lists an event's organizers or guests with optional add-by-UTORid and remove actions
+export const EventPeoplePanel = ({ title, people, onAdd, onRemove, emptyText }) => {
+  const [utorid, setUtorid] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      await onAdd(utorid.trim());
+      setUtorid('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to add'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (person) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      await onRemove(person);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to remove'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-xl font-semibold mb-4">{title} ({people.length})</h2>
+
+      {onAdd && (
+        <form onSubmit={handleAdd} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            required
+            value={utorid}
+            onChange={(e) => setUtorid(e.target.value)}
+            placeholder="UTORid"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <Button type="submit" disabled={busy}>
+            Add
+          </Button>
+        </form>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded mb-4">{error}</div>
+      )}
+
+      {people.length === 0 ? (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      ) : (
+        <ul className="divide-y max-h-72 overflow-y-auto">
+          {people.map((person) => (
+            <li key={person.id} className="flex justify-between items-center py-2">
+              <span>
+                <span className="font-semibold">{person.name}</span>
+                <span className="text-gray-500 ml-2">{person.utorid}</span>
+              </span>
+              {onRemove && (
+                <Button size="sm" variant="outline" disabled={busy} onClick={() => handleRemove(person)}>
+                  Remove
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
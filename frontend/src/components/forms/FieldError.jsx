@@ -0,0 +1,5 @@
+// Shows the API's validation message for one form field, if any
+export const FieldError = ({ message }) => {
+  if (!message) return null;
+  return <p className="mt-1 text-sm text-red-600">{message}</p>;
+};
@@ -1,6 +1,7 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button } from '../ui/button';
+import { hasRole } from '../../lib/roles';
 
 export const Navbar = () => {
   const { user, logout } = useAuth();
@@ -32,7 +33,7 @@ export const Navbar = () => {
                 Transfer
               </Link>
               <Link to="/redemption" className="text-gray-700 hover:text-gray-900">
-                Redeem
+                Rewards
               </Link>
               <Link to="/promotions" className="text-gray-700 hover:text-gray-900">
                 Promotions
@@ -43,6 +44,21 @@ export const Navbar = () => {
               <Link to="/transactions" className="text-gray-700 hover:text-gray-900">
                 Transactions
               </Link>
+              {hasRole(user, 'cashier') && (
+                <Link to="/cashier" className="text-gray-700 hover:text-gray-900">
+                  Cashier
+                </Link>
+              )}
+              {hasRole(user, 'manager') && (
+                <Link to="/manage/users" className="text-gray-700 hover:text-gray-900">
+                  Users
+                </Link>
+              )}
+              {hasRole(user, 'superuser') && (
+                <Link to="/manage/program" className="text-gray-700 hover:text-gray-900">
+                  Earning Rules
+                </Link>
+              )}
             </div>
           </div>
           <div className="flex items-center space-x-4">
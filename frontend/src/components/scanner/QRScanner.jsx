@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+import { Button } from '../ui/button';
+
+// Reads a QR code from the device camera and hands the decoded text to onScan.
+// Falls back to manual entry when no camera is available or access is denied.
+export const QRScanner = ({ onScan, onClose, label = 'Scan QR Code', placeholder = 'Enter code manually' }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [cameraError, setCameraError] = useState(
+    navigator.mediaDevices?.getUserMedia ? '' : 'Camera is not supported in this browser'
+  );
+  const [manualValue, setManualValue] = useState('');
+  const onScanRef = useRef(onScan);
+
+  // Keep the latest callback without restarting the camera on every render
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.getUserMedia) return undefined;
+
+    let stream = null;
+    let frame = null;
+    let cancelled = false;
+
+    const tick = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (cancelled || !video || !canvas) return;
+
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (code?.data) {
+          onScanRef.current(code.data.trim());
+          return;
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'environment' } })
+      .then((s) => {
+        if (cancelled) {
+          s.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        stream = s;
+        videoRef.current.srcObject = s;
+        videoRef.current.play();
+        frame = requestAnimationFrame(tick);
+      })
+      .catch((err) => {
+        console.error('Camera access failed:', err);
+        if (!cancelled) setCameraError('Unable to access the camera. Enter the code manually instead.');
+      });
+
+    return () => {
+      cancelled = true;
+      if (frame) cancelAnimationFrame(frame);
+      if (stream) stream.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    const value = manualValue.trim();
+    if (value) onScan(value);
+  };
+
+  return (
+    <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 space-y-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold">{label}</h3>
+        {onClose && (
+          <Button onClick={onClose} variant="ghost" size="sm">
+            Close
+          </Button>
+        )}
+      </div>
+
+      {cameraError ? (
+        <div className="bg-yellow-50 text-yellow-700 p-3 rounded text-sm">{cameraError}</div>
+      ) : (
+        <div className="flex justify-center bg-black rounded overflow-hidden">
+          <video ref={videoRef} className="max-h-72" muted playsInline />
+        </div>
+      )}
+      <canvas ref={canvasRef} className="hidden" />
+
+      <form onSubmit={handleManualSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={manualValue}
+          onChange={(e) => setManualValue(e.target.value)}
+          placeholder={placeholder}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <Button type="submit" variant="outline">
+          Use
+        </Button>
+      </form>
+    </div>
+  );
+};
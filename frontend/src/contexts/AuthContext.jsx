@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
+import apiClient, { clearSession, saveSession } from '../api/client';
 
 const AuthContext = createContext(null);
 
@@ -26,9 +27,7 @@ export const AuthProvider = ({ children }) => {
 
   const fetchUser = async () => {
     try {
-      const response = await axios.get(`${import.meta.env.VITE_API_URL || 'http://localhost:3001'}/users/me`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const response = await apiClient.get('/users/me');
       setUser(response.data);
     } catch (error) {
       console.error('Failed to fetch user:', error);
@@ -43,16 +42,22 @@ export const AuthProvider = ({ children }) => {
       utorid,
       password
     });
-    const { token: newToken } = response.data;
-    setToken(newToken);
-    localStorage.setItem('token', newToken);
+    saveSession(response.data);
+    setToken(response.data.token);
     await fetchUser();
   };
 
   const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      // Revoke the server-side session; the local session is cleared regardless
+      axios
+        .delete(`${import.meta.env.VITE_API_URL || 'http://localhost:3001'}/auth/sessions`, { data: { refreshToken } })
+        .catch((error) => console.error('Failed to revoke session:', error));
+    }
     setToken(null);
     setUser(null);
-    localStorage.removeItem('token');
+    clearSession();
   };
 
   const value = {
@@ -0,0 +1,21 @@
+import { useCallback, useState } from 'react';
+
+// crypto.randomUUID only exists in secure contexts (https or localhost); a till reached over plain
+// http on the LAN still has getRandomValues, so build a version 4 UUID from that
+const newKey = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// An Idempotency-Key for the operation a form is about to submit. Sending it again is safe: the server
+// answers a repeat with the first successful response instead of moving points twice, and answers 409
+// while the first is still running. Call `renew` once the server has answered so the next submission is new.
+export const useIdempotencyKey = () => {
+  const [key, setKey] = useState(newKey);
+  const renew = useCallback(() => setKey(newKey()), []);
+  return { headers: { 'Idempotency-Key': key }, renew };
+};
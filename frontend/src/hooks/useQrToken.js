@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import apiClient from '../api/client';
+
+// Refresh a little before the server-side expiry so the code on screen is always valid
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// Fetches a signed QR token from `url` and keeps it fresh until unmounted
+export const useQrToken = (url) => {
+  const [qr, setQr] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await apiClient.get(url);
+        if (cancelled) return;
+        setQr(response.data);
+        setError('');
+        const delay = new Date(response.data.expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS;
+        timer = setTimeout(load, Math.max(delay, 5000));
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load QR token:', err);
+        setError('Failed to load QR code');
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+    };
+  }, [url]);
+
+  return { token: qr?.token, expiresAt: qr?.expiresAt, error };
+};
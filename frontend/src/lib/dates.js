@@ -0,0 +1,7 @@
+// Formats a date for a datetime-local input in the browser's time zone
+export const toLocalInputValue = (value) => {
+  if (!value) return '';
+  const d = new Date(value);
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
@@ -0,0 +1,14 @@
+// Reads the API's 400 envelope: { error: 'Bad Request', issues: [{ field, message }] }
+const issuesOf = (err) => err?.response?.data?.issues || [];
+
+// Maps each offending field to its message, for showing next to form inputs
+export const fieldErrors = (err) =>
+  Object.fromEntries(issuesOf(err).filter((i) => i.field).map((i) => [i.field, i.message]));
+
+// One line for a banner: prefers a specific issue over the generic error text
+export const errorMessage = (err, fallback) => {
+  const issues = issuesOf(err);
+  const issue = issues.find((i) => !i.field) || issues[0];
+  if (issue) return issue.field ? `${issue.field}: ${issue.message}` : issue.message;
+  return err?.response?.data?.error || fallback;
+};
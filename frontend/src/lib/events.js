@@ -0,0 +1,16 @@
+// Mirrors the time-based editing rules of PATCH /events/:id
+export const eventPhase = (event, at = new Date()) => {
+  if (new Date(event.endTime) < at) return 'ended';
+  if (new Date(event.startTime) <= at) return 'ongoing';
+  return 'upcoming';
+};
+
+const EDITABLE_FIELDS = {
+  upcoming: ['name', 'description', 'location', 'startTime', 'endTime', 'capacity', 'points'],
+  ongoing: ['endTime', 'points'],
+  ended: ['points']
+};
+
+// Organizers may edit details but only managers may change the points budget
+export const editableEventFields = (phase, isManager) =>
+  EDITABLE_FIELDS[phase].filter((field) => isManager || field !== 'points');
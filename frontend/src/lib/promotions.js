@@ -0,0 +1,17 @@
+// Mirrors the time-based editing rules of PATCH /promotions/:id
+export const promotionPhase = (promo, at = new Date()) => {
+  if (new Date(promo.endTime) < at) return 'ended';
+  if (new Date(promo.startTime) <= at) return 'active';
+  return 'upcoming';
+};
+
+const EDITABLE_FIELDS = {
+  upcoming: ['name', 'description', 'type', 'startTime', 'endTime', 'minSpending', 'rate', 'points'],
+  active: ['name', 'description', 'endTime', 'minSpending', 'rate', 'points'],
+  ended: ['name', 'description']
+};
+
+export const editableFields = (phase) => EDITABLE_FIELDS[phase] || EDITABLE_FIELDS.upcoming;
+
+// Only promotions that have not started may be deleted
+export const canDeletePromotion = (promo) => promotionPhase(promo) === 'upcoming';
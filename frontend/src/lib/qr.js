@@ -0,0 +1,26 @@
+// QR codes carry signed tokens issued by the backend. The token body is readable
+// without the secret, which is enough to route a scan; the server verifies it on submit.
+const decodeTokenBody = (token) => {
+  try {
+    const body = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(body));
+  } catch {
+    return null;
+  }
+};
+
+// Returns { kind: 'member', utorid, token }, { kind: 'redemption', id, token },
+// or { kind: 'raw', value } for a manually typed UTORid or transaction ID
+export const parseQrPayload = (text) => {
+  const value = String(text || '').trim();
+  if (value.split('.').length === 3) {
+    const body = decodeTokenBody(value);
+    if (body?.kind === 'member' && body.utorid) {
+      return { kind: 'member', utorid: body.utorid, token: value };
+    }
+    if (body?.kind === 'redemption' && body.tid) {
+      return { kind: 'redemption', id: body.tid, token: value };
+    }
+  }
+  return { kind: 'raw', value };
+};
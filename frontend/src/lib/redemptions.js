@@ -0,0 +1,12 @@
+// Labels for the states of a redemption request (Transaction.status on the API)
+export const REDEMPTION_STATUS = {
+  pending: { text: 'Pending', color: 'text-yellow-600', badge: 'bg-yellow-100 text-yellow-800' },
+  processed: { text: 'Processed', color: 'text-green-600', badge: 'bg-green-100 text-green-800' },
+  cancelled: { text: 'Cancelled', color: 'text-gray-600', badge: 'bg-gray-100 text-gray-800' },
+  rejected: { text: 'Rejected', color: 'text-red-600', badge: 'bg-red-100 text-red-800' },
+  expired: { text: 'Expired', color: 'text-gray-600', badge: 'bg-gray-100 text-gray-800' }
+};
+
+export const redemptionStatus = (tx) => REDEMPTION_STATUS[tx.status] || REDEMPTION_STATUS.pending;
+
+export const isPendingRedemption = (tx) => tx.type === 'redemption' && tx.status === 'pending';
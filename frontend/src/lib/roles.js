@@ -0,0 +1,7 @@
+// Mirrors the role ordering enforced by needRole() on the backend
+export const ROLE_ORDER = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
+
+export const hasRole = (user, minRole) => {
+  if (!user) return false;
+  return (ROLE_ORDER[user.role] ?? -1) >= ROLE_ORDER[minRole];
+};
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { Button } from '../components/ui/button';
+import { PurchasePanel } from '../components/cashier/PurchasePanel';
+import { RedemptionPanel } from '../components/cashier/RedemptionPanel';
+
+const TABS = [
+  { id: 'purchase', label: 'Purchase' },
+  { id: 'redemption', label: 'Process Redemption' }
+];
+
+export const CashierPage = () => {
+  const [tab, setTab] = useState('purchase');
+
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <h1 className="text-3xl font-bold mb-6">Cashier</h1>
+
+      <div className="flex gap-2 mb-6">
+        {TABS.map((t) => (
+          <Button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            variant={tab === t.id ? 'default' : 'outline'}
+          >
+            {t.label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        {tab === 'purchase' ? <PurchasePanel /> : <RedemptionPanel />}
+      </div>
+    </div>
+  );
+};
@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../api/client';
 import { Button } from '../components/ui/button';
+import { hasRole } from '../lib/roles';
+import { errorMessage } from '../lib/errors';
 
 export const EventDetailPage = () => {
   const { id } = useParams();
@@ -45,7 +47,7 @@ export const EventDetailPage = () => {
       await fetchEvent(); // Refresh event data
       alert('Successfully RSVPed to the event!');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to RSVP');
+      setError(errorMessage(err, 'Failed to RSVP'));
     } finally {
       setActionLoading(false);
     }
@@ -61,7 +63,7 @@ export const EventDetailPage = () => {
       await fetchEvent(); // Refresh event data
       alert('Successfully cancelled RSVP');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to cancel RSVP');
+      setError(errorMessage(err, 'Failed to cancel RSVP'));
     } finally {
       setActionLoading(false);
     }
@@ -89,6 +91,7 @@ export const EventDetailPage = () => {
   const isUpcoming = new Date(event.startTime) > new Date();
   const isOngoing = new Date(event.startTime) <= new Date() && new Date(event.endTime) >= new Date();
   const hasEnded = new Date(event.endTime) < new Date();
+  const canManage = hasRole(user, 'manager') || event.organizers?.some(o => o.id === user.id);
 
   return (
     <div className="max-w-4xl mx-auto p-6">
@@ -166,6 +169,15 @@ export const EventDetailPage = () => {
           </div>
         )}
 
+        {canManage && (
+          <div className="bg-purple-50 p-6 rounded-lg mb-6 flex justify-between items-center">
+            <p className="text-gray-700">Edit details, manage organizers and guests, and award points.</p>
+            <Button onClick={() => navigate(`/events/${event.id}/manage`)}>
+              Manage Event
+            </Button>
+          </div>
+        )}
+
         {error && (
           <div className="bg-red-50 text-red-600 p-3 rounded mb-4">{error}</div>
         )}
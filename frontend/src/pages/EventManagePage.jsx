@@ -0,0 +1,318 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { AwardPointsForm } from '../components/events/AwardPointsForm';
+import { EventPeoplePanel } from '../components/events/EventPeoplePanel';
+import { editableEventFields, eventPhase } from '../lib/events';
+import { hasRole } from '../lib/roles';
+import { toLocalInputValue } from '../lib/dates';
+import { errorMessage, fieldErrors } from '../lib/errors';
+import { FieldError } from '../components/forms/FieldError';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-500';
+
+const toForm = (event) => ({
+  name: event.name,
+  description: event.description,
+  location: event.location,
+  startTime: toLocalInputValue(event.startTime),
+  endTime: toLocalInputValue(event.endTime),
+  capacity: event.capacity ?? '',
+  points: event.pointsTotal ?? ''
+});
+
+const toPayloadValue = (key, value) => {
+  if (key === 'startTime' || key === 'endTime') return new Date(value).toISOString();
+  if (key === 'capacity' || key === 'points') return parseInt(value);
+  return value;
+};
+
+export const EventManagePage = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saveError, setSaveError] = useState('');
+  const [fieldErrs, setFieldErrs] = useState({});
+  const [saveSuccess, setSaveSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchEvent = async () => {
+      try {
+        const response = await apiClient.get(`/events/${id}`);
+        setEvent(response.data);
+        setForm(toForm(response.data));
+      } catch (err) {
+        setError(err.response?.status === 404 ? 'Event not found' : 'Failed to load event');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvent();
+  }, [id, reloadKey]);
+
+  const reload = () => setReloadKey((k) => k + 1);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-lg">Loading event...</div>
+      </div>
+    );
+  }
+
+  const isManager = hasRole(user, 'manager');
+  const isOrganizer = !!event?.organizers?.some((o) => o.id === user.id);
+
+  if (error || !(isManager || isOrganizer)) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded">
+          {error || 'Only managers and organizers of this event can manage it'}
+        </div>
+        <Button onClick={() => navigate('/events')} className="mt-4">
+          Back to Events
+        </Button>
+      </div>
+    );
+  }
+
+  const phase = eventPhase(event);
+  const editable = editableEventFields(phase, isManager);
+  const isLocked = (field) => !editable.includes(field);
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setSaveError('');
+    setFieldErrs({});
+    setSaveSuccess('');
+
+    try {
+      const original = toForm(event);
+      const body = {};
+      for (const key of editable) {
+        if (String(form[key]) !== String(original[key]) && form[key] !== '') {
+          body[key] = toPayloadValue(key, form[key]);
+        }
+      }
+      if (Object.keys(body).length === 0) {
+        setSaveError('No changes to save');
+        return;
+      }
+      await apiClient.patch(`/events/${id}`, body);
+      setSaveSuccess('Event updated');
+      reload();
+    } catch (err) {
+      const errs = fieldErrors(err);
+      setFieldErrs(errs);
+      setSaveError(Object.keys(errs).length > 0 ? 'Please correct the highlighted fields' : errorMessage(err, 'Failed to update event'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    setSaveError('');
+    setSaveSuccess('');
+
+    try {
+      await apiClient.patch(`/events/${id}`, { published: true });
+      setSaveSuccess('Event published');
+      reload();
+    } catch (err) {
+      setSaveError(errorMessage(err, 'Failed to publish event'));
+    }
+  };
+
+  const addOrganizer = async (utorid) => {
+    await apiClient.post(`/events/${id}/organizers`, { utorid });
+    reload();
+  };
+
+  const removeOrganizer = async (person) => {
+    await apiClient.delete(`/events/${id}/organizers/${person.id}`);
+    reload();
+  };
+
+  const addGuest = async (utorid) => {
+    await apiClient.post(`/events/${id}/guests`, { utorid });
+    reload();
+  };
+
+  const removeGuest = async (person) => {
+    await apiClient.delete(`/events/${id}/guests/${person.id}`);
+    reload();
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 space-y-6">
+      <Button onClick={() => navigate(`/events/${id}`)} variant="outline">
+        ← Back to Event
+      </Button>
+
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold">Manage: {event.name}</h1>
+        {event.published ? (
+          <span className="px-4 py-2 rounded text-sm font-semibold bg-green-100 text-green-800">Published</span>
+        ) : isManager ? (
+          <Button onClick={handlePublish}>Publish</Button>
+        ) : (
+          <span className="px-4 py-2 rounded text-sm font-semibold bg-gray-100 text-gray-800">Unpublished</span>
+        )}
+      </div>
+
+      {/* Points budget */}
+      <div className="bg-blue-50 p-6 rounded-lg">
+        <h2 className="text-lg font-semibold mb-2">Points Budget</h2>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <p className="text-sm text-gray-600">Total</p>
+            <p className="text-2xl font-bold text-blue-600">{event.pointsTotal}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Remaining</p>
+            <p className="text-2xl font-bold text-blue-600">{event.pointsRemain}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Awarded</p>
+            <p className="text-2xl font-bold text-blue-600">{event.pointsAwarded}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Details */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-xl font-semibold mb-4">Event Details</h2>
+        {phase !== 'upcoming' && (
+          <div className="bg-yellow-50 text-yellow-800 p-3 rounded mb-4 text-sm">
+            {phase === 'ongoing'
+              ? 'This event has started: only its end time and points budget can be changed.'
+              : 'This event has ended: only its points budget can be changed.'}
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input id="name" type="text" value={form.name} onChange={setField('name')} disabled={isLocked('name')} className={inputClass} />
+              <FieldError message={fieldErrs.name} />
+            </div>
+            <div>
+              <label htmlFor="location" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <input id="location" type="text" value={form.location} onChange={setField('location')} disabled={isLocked('location')} className={inputClass} />
+              <FieldError message={fieldErrs.location} />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <textarea
+              id="description"
+              rows="3"
+              value={form.description}
+              onChange={setField('description')}
+              disabled={isLocked('description')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.description} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="startTime" className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+              <input id="startTime" type="datetime-local" value={form.startTime} onChange={setField('startTime')} disabled={isLocked('startTime')} className={inputClass} />
+              <FieldError message={fieldErrs.startTime} />
+            </div>
+            <div>
+              <label htmlFor="endTime" className="block text-sm font-medium text-gray-700 mb-1">End</label>
+              <input id="endTime" type="datetime-local" value={form.endTime} onChange={setField('endTime')} disabled={isLocked('endTime')} className={inputClass} />
+              <FieldError message={fieldErrs.endTime} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="capacity" className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+              <input
+                id="capacity"
+                type="number"
+                min="1"
+                value={form.capacity}
+                onChange={setField('capacity')}
+                disabled={isLocked('capacity')}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.capacity} />
+            </div>
+            <div>
+              <label htmlFor="points" className="block text-sm font-medium text-gray-700 mb-1">Total Points Budget</label>
+              <input
+                id="points"
+                type="number"
+                min="1"
+                value={form.points}
+                onChange={setField('points')}
+                disabled={isLocked('points')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.points} />
+            </div>
+          </div>
+
+          {saveError && (
+            <div className="bg-red-50 text-red-600 p-3 rounded">{saveError}</div>
+          )}
+
+          {saveSuccess && (
+            <div className="bg-green-50 text-green-600 p-3 rounded">{saveSuccess}</div>
+          )}
+
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Changes'}
+          </Button>
+        </form>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <EventPeoplePanel
+          title="Organizers"
+          people={event.organizers}
+          onAdd={isManager ? addOrganizer : null}
+          onRemove={isManager ? removeOrganizer : null}
+          emptyText="No organizers yet"
+        />
+        <EventPeoplePanel
+          title="Guests"
+          people={event.guests || []}
+          onAdd={phase !== 'ended' ? addGuest : null}
+          onRemove={isManager ? removeGuest : null}
+          emptyText="No guests yet"
+        />
+      </div>
+
+      {/* Awards */}
+      <div className="bg-purple-50 p-6 rounded-lg">
+        <h2 className="text-xl font-semibold mb-4">Award Points</h2>
+        <AwardPointsForm
+          eventId={event.id}
+          guestCount={event.guests?.length || 0}
+          pointsRemain={event.pointsRemain}
+          onAwarded={reload}
+        />
+      </div>
+    </div>
+  );
+};
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
@@ -23,7 +23,16 @@ export const LoginPage = () => {
       await login(utorid, password);
       navigate('/');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to login');
+      if (err.response?.status === 429) {
+        const retryAfter = Number(err.response.headers['retry-after']);
+        setError(
+          retryAfter
+            ? `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+            : 'Too many attempts. Try again later.'
+        );
+      } else {
+        setError(err.response?.data?.error || 'Failed to login');
+      }
     } finally {
       setLoading(false);
     }
@@ -77,6 +86,12 @@ export const LoginPage = () => {
             >
               {loading ? 'Signing in...' : 'Sign in'}
             </Button>
+
+            <div className="text-center">
+              <Link to="/reset-password" className="text-sm text-blue-600 hover:underline">
+                Forgot your password?
+              </Link>
+            </div>
           </form>
         </CardContent>
       </Card>
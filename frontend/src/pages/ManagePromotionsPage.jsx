@@ -0,0 +1,171 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { canDeletePromotion, promotionPhase } from '../lib/promotions';
+
+const PHASE_STYLES = {
+  upcoming: { text: 'Upcoming', color: 'bg-blue-100 text-blue-800' },
+  active: { text: 'Active', color: 'bg-green-100 text-green-800' },
+  ended: { text: 'Ended', color: 'bg-gray-100 text-gray-800' }
+};
+
+export const ManagePromotionsPage = () => {
+  const navigate = useNavigate();
+  const [promotions, setPromotions] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [page, setPage] = useState(1);
+  const [limit] = useState(10);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchPromotions = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await apiClient.get(`/promotions?page=${page}&limit=${limit}`);
+        setPromotions(response.data.results || []);
+        setTotalCount(response.data.count || 0);
+      } catch (err) {
+        setError('Failed to load promotions');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPromotions();
+  }, [page, limit, reloadKey]);
+
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete promotion "${promo.name}"?`)) return;
+    setActionError('');
+
+    try {
+      await apiClient.delete(`/promotions/${promo.id}`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      if (err.response?.status === 403) {
+        setActionError('Promotions that have already started cannot be deleted');
+      } else {
+        setActionError(err.response?.data?.error || 'Failed to delete promotion');
+      }
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(totalCount / limit));
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Manage Promotions</h1>
+        <Button onClick={() => navigate('/manage/promotions/new')}>
+          New Promotion
+        </Button>
+      </div>
+
+      {actionError && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{actionError}</div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-lg">Loading promotions...</div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{error}</div>
+      )}
+
+      {!loading && !error && (
+        <>
+          {promotions.length === 0 ? (
+            <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-600">
+              No promotions yet
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3">Name</th>
+                    <th className="px-4 py-3">Type</th>
+                    <th className="px-4 py-3">Reward</th>
+                    <th className="px-4 py-3">Window</th>
+                    <th className="px-4 py-3">Status</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promotions.map((promo) => {
+                    const phase = PHASE_STYLES[promotionPhase(promo)];
+                    return (
+                      <tr key={promo.id} className="border-t">
+                        <td className="px-4 py-3 font-semibold">{promo.name}</td>
+                        <td className="px-4 py-3 capitalize">{promo.type}</td>
+                        <td className="px-4 py-3">
+                          {promo.rate != null && <p>{promo.rate}x rate</p>}
+                          {promo.points != null && <p>+{promo.points} points</p>}
+                          {promo.minSpending != null && (
+                            <p className="text-gray-500">min ${promo.minSpending}</p>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-gray-600">
+                          {new Date(promo.startTime).toLocaleString()} –<br />
+                          {new Date(promo.endTime).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={`text-xs px-2 py-1 rounded ${phase.color}`}>{phase.text}</span>
+                        </td>
+                        <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => navigate(`/manage/promotions/${promo.id}`)}
+                          >
+                            Edit
+                          </Button>
+                          {canDeletePromotion(promo) && (
+                            <Button size="sm" variant="destructive" onClick={() => handleDelete(promo)}>
+                              Delete
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          <div className="mt-6 flex items-center justify-center gap-4">
+            <Button
+              onClick={() => setPage(p => Math.max(1, p - 1))}
+              disabled={page === 1}
+              variant="outline"
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+              disabled={page >= totalPages}
+              variant="outline"
+            >
+              Next
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
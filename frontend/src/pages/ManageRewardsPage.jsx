@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+
+const STATUS_STYLES = {
+  available: { text: 'Available', color: 'bg-green-100 text-green-800' },
+  upcoming: { text: 'Upcoming', color: 'bg-blue-100 text-blue-800' },
+  soldOut: { text: 'Out of stock', color: 'bg-yellow-100 text-yellow-800' },
+  ended: { text: 'Ended', color: 'bg-gray-100 text-gray-800' }
+};
+
+const rewardStatus = (reward, at = new Date()) => {
+  if (reward.endTime && new Date(reward.endTime) <= at) return 'ended';
+  if (reward.startTime && new Date(reward.startTime) > at) return 'upcoming';
+  if (reward.stock === 0) return 'soldOut';
+  return 'available';
+};
+
+export const ManageRewardsPage = () => {
+  const navigate = useNavigate();
+  const [rewards, setRewards] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [page, setPage] = useState(1);
+  const [limit] = useState(10);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchRewards = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await apiClient.get(`/rewards?page=${page}&limit=${limit}`);
+        setRewards(response.data.results || []);
+        setTotalCount(response.data.count || 0);
+      } catch (err) {
+        setError('Failed to load rewards');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRewards();
+  }, [page, limit, reloadKey]);
+
+  const handleDelete = async (reward) => {
+    if (!window.confirm(`Delete reward "${reward.name}"?`)) return;
+    setActionError('');
+
+    try {
+      await apiClient.delete(`/rewards/${reward.id}`);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      if (err.response?.status === 403) {
+        setActionError('Rewards that have been redeemed cannot be deleted; set an end time to retire them instead');
+      } else {
+        setActionError(err.response?.data?.error || 'Failed to delete reward');
+      }
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(totalCount / limit));
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Manage Rewards</h1>
+        <Button onClick={() => navigate('/manage/rewards/new')}>
+          New Reward
+        </Button>
+      </div>
+
+      {actionError && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{actionError}</div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-lg">Loading rewards...</div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{error}</div>
+      )}
+
+      {!loading && !error && (
+        <>
+          {rewards.length === 0 ? (
+            <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-600">
+              No rewards yet
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3">Name</th>
+                    <th className="px-4 py-3">Cost</th>
+                    <th className="px-4 py-3">Stock</th>
+                    <th className="px-4 py-3">Window</th>
+                    <th className="px-4 py-3">Status</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rewards.map((reward) => {
+                    const status = STATUS_STYLES[rewardStatus(reward)];
+                    return (
+                      <tr key={reward.id} className="border-t">
+                        <td className="px-4 py-3 font-semibold">{reward.name}</td>
+                        <td className="px-4 py-3">{reward.cost} points</td>
+                        <td className="px-4 py-3">{reward.stock ?? 'Unlimited'}</td>
+                        <td className="px-4 py-3 text-gray-600">
+                          {reward.startTime ? new Date(reward.startTime).toLocaleString() : 'Any time'} –<br />
+                          {reward.endTime ? new Date(reward.endTime).toLocaleString() : 'no end'}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={`text-xs px-2 py-1 rounded ${status.color}`}>{status.text}</span>
+                        </td>
+                        <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => navigate(`/manage/rewards/${reward.id}`)}
+                          >
+                            Edit
+                          </Button>
+                          <Button size="sm" variant="destructive" onClick={() => handleDelete(reward)}>
+                            Delete
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          <div className="mt-6 flex items-center justify-center gap-4">
+            <Button
+              onClick={() => setPage(p => Math.max(1, p - 1))}
+              disabled={page === 1}
+              variant="outline"
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+              disabled={page >= totalPages}
+              variant="outline"
+            >
+              Next
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
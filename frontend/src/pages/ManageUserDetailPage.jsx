@@ -0,0 +1,269 @@
+import { Fragment, useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { FieldError } from '../components/forms/FieldError';
+import { errorMessage, fieldErrors } from '../lib/errors';
+
+const TRANSACTION_COLORS = {
+  purchase: 'text-green-700',
+  transfer: 'text-blue-700',
+  redemption: 'text-red-700',
+  adjustment: 'text-yellow-700',
+  event: 'text-purple-700',
+  expiry: 'text-gray-700',
+  refund: 'text-orange-700'
+};
+
+export const ManageUserDetailPage = () => {
+  const { userId } = useParams();
+  const navigate = useNavigate();
+  const [member, setMember] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  // The purchase whose refund form is open, with the form's fields
+  const [refunding, setRefunding] = useState(null);
+  const [refundErrs, setRefundErrs] = useState({});
+  const [txError, setTxError] = useState('');
+
+  useEffect(() => {
+    const fetchMember = async () => {
+      if (reloadKey === 0) setLoading(true);
+      setError('');
+
+      try {
+        const [userResponse, txResponse] = await Promise.all([
+          apiClient.get(`/users/${userId}`),
+          apiClient.get(`/transactions?userId=${userId}&limit=10`)
+        ]);
+        setMember(userResponse.data);
+        setTransactions(txResponse.data.results || []);
+      } catch (err) {
+        setError(err.response?.status === 404 ? 'User not found' : 'Failed to load user');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMember();
+  }, [userId, reloadKey]);
+
+  const handleVoid = async (tx) => {
+    if (!window.confirm(`Void purchase #${tx.id}? Its points are taken back and any one-time promotion it used can be used again.`)) return;
+    setTxError('');
+
+    try {
+      await apiClient.post(`/transactions/${tx.id}/void`, {});
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setTxError(errorMessage(err, 'Failed to void purchase'));
+    }
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setTxError('');
+    setRefundErrs({});
+
+    try {
+      await apiClient.post(`/transactions/${refunding.id}/refunds`, {
+        spent: parseFloat(refunding.spent),
+        remark: refunding.remark
+      });
+      setRefunding(null);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      const errs = fieldErrors(err);
+      setRefundErrs(errs);
+      if (!errs.spent) setTxError(errorMessage(err, 'Failed to refund purchase'));
+    }
+  };
+
+  const handleUnlock = async () => {
+    setUnlockError('');
+
+    try {
+      const response = await apiClient.delete(`/users/${userId}/lockout`);
+      setMember((m) => ({ ...m, ...response.data }));
+    } catch (err) {
+      setUnlockError(err.response?.data?.error || 'Failed to unlock account');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-lg">Loading user...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded">{error}</div>
+        <Button onClick={() => navigate('/manage/users')} className="mt-4">
+          Back to Users
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <Button onClick={() => navigate('/manage/users')} variant="outline" className="mb-6">
+        ← Back to Users
+      </Button>
+
+      <div className="bg-white rounded-lg shadow-lg p-8 mb-6">
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h1 className="text-3xl font-bold">{member.name}</h1>
+            <p className="text-gray-500">{member.utorid} · {member.email}</p>
+          </div>
+          <span className="px-4 py-2 rounded text-sm font-semibold bg-gray-100 text-gray-800 capitalize">
+            {member.role}
+          </span>
+        </div>
+
+        {member.lockedUntil && new Date(member.lockedUntil) > new Date() && (
+          <div className="bg-yellow-50 text-yellow-800 p-4 rounded mb-6 flex justify-between items-center">
+            <span>
+              Sign-in locked until {new Date(member.lockedUntil).toLocaleString()} after {member.failedLogins} failed attempts
+            </span>
+            <Button size="sm" onClick={handleUnlock}>
+              Unlock
+            </Button>
+          </div>
+        )}
+
+        {unlockError && (
+          <div className="bg-red-50 text-red-600 p-3 rounded mb-6">{unlockError}</div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-blue-50 p-4 rounded">
+            <p className="text-sm text-gray-600">Balance</p>
+            <p className="text-2xl font-bold text-blue-600">{member.points}</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded">
+            <p className="text-sm text-gray-600">Verified</p>
+            <p className="font-semibold">{member.verified ? 'Yes' : 'No'}</p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded">
+            <p className="text-sm text-gray-600">Suspicious</p>
+            <p className={`font-semibold ${member.suspicious ? 'text-red-600' : ''}`}>
+              {member.suspicious ? 'Flagged' : 'No'}
+            </p>
+          </div>
+          <div className="bg-gray-50 p-4 rounded">
+            <p className="text-sm text-gray-600">Last Login</p>
+            <p className="font-semibold">
+              {member.lastLogin ? new Date(member.lastLogin).toLocaleString() : 'Never'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-8">
+        <h2 className="text-xl font-semibold mb-4">Recent Transactions</h2>
+        {txError && (
+          <div className="bg-red-50 text-red-600 p-3 rounded mb-4">{txError}</div>
+        )}
+        {transactions.length === 0 ? (
+          <p className="text-gray-600">No transactions yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-600">
+              <tr>
+                <th className="py-2">ID</th>
+                <th className="py-2">Type</th>
+                <th className="py-2">Amount</th>
+                <th className="py-2">Remark</th>
+                <th className="py-2">Date</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((tx) => (
+                <Fragment key={tx.id}>
+                  <tr className="border-t">
+                    <td className="py-2">{tx.id}</td>
+                    <td className={`py-2 font-semibold uppercase ${TRANSACTION_COLORS[tx.type] || ''}`}>
+                      {tx.type}
+                      {tx.suspicious && <span className="ml-2 text-xs text-red-600 normal-case">suspicious</span>}
+                      {tx.createdBy == null && <span className="ml-2 text-xs text-gray-500 normal-case">system</span>}
+                      {tx.voidedAt && <span className="ml-2 text-xs text-red-600 normal-case">voided</span>}
+                      {!tx.voidedAt && tx.refunded > 0 && (
+                        <span className="ml-2 text-xs text-orange-700 normal-case">${tx.refunded.toFixed(2)} refunded</span>
+                      )}
+                    </td>
+                    <td className="py-2">{tx.amount}</td>
+                    <td className="py-2 text-gray-600">{tx.remark}</td>
+                    <td className="py-2 text-gray-600">{new Date(tx.createdAt).toLocaleString()}</td>
+                    <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                      {tx.type === 'purchase' && !tx.voidedAt && (
+                        <>
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => { setRefundErrs({}); setRefunding({ id: tx.id, spent: '', remark: '' }); }}
+                          >
+                            Refund
+                          </Button>
+                          <Button size="sm" variant="destructive" onClick={() => handleVoid(tx)}>
+                            Void
+                          </Button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {refunding?.id === tx.id && (
+                    <tr>
+                      <td colSpan="6" className="pb-4">
+                        <form onSubmit={handleRefund} className="bg-gray-50 p-4 rounded flex flex-wrap items-start gap-3">
+                          <div>
+                            <input
+                              type="number"
+                              required
+                              min="0.01"
+                              step="0.01"
+                              max={(tx.spent - tx.refunded).toFixed(2)}
+                              value={refunding.spent}
+                              onChange={(e) => setRefunding((r) => ({ ...r, spent: e.target.value }))}
+                              placeholder={`Dollars (up to ${(tx.spent - tx.refunded).toFixed(2)})`}
+                              className="px-3 py-2 border border-gray-300 rounded-md"
+                            />
+                            <FieldError message={refundErrs.spent} />
+                          </div>
+                          <input
+                            type="text"
+                            value={refunding.remark}
+                            onChange={(e) => setRefunding((r) => ({ ...r, remark: e.target.value }))}
+                            placeholder="Reason (optional)"
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                          />
+                          <Button type="submit" size="sm">Refund</Button>
+                          <Button type="button" size="sm" variant="outline" onClick={() => setRefunding(null)}>
+                            Cancel
+                          </Button>
+                        </form>
+                        <p className="mt-2 text-xs text-gray-500">
+                          Takes back the same share of the purchase's points; refunding all that is left voids it.
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
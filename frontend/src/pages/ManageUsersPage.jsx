@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { hasRole } from '../lib/roles';
+import { errorMessage } from '../lib/errors';
+
+const ROLES = ['regular', 'cashier', 'manager', 'superuser'];
+
+export const ManageUsersPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [page, setPage] = useState(1);
+  const [limit] = useState(10);
+
+  // Filters
+  const [nameFilter, setNameFilter] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [verifiedFilter, setVerifiedFilter] = useState('');
+  const [activatedFilter, setActivatedFilter] = useState('');
+
+  // Only superusers may promote to manager or superuser (enforced by PATCH /users/:userId)
+  const assignableRoles = hasRole(user, 'superuser') ? ROLES : ['regular', 'cashier'];
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const params = new URLSearchParams({
+          page: page.toString(),
+          limit: limit.toString()
+        });
+        if (nameFilter) params.append('name', nameFilter);
+        if (roleFilter) params.append('role', roleFilter);
+        if (verifiedFilter) params.append('verified', verifiedFilter);
+        if (activatedFilter) params.append('activated', activatedFilter);
+
+        const response = await apiClient.get(`/users?${params}`);
+        setUsers(response.data.results || []);
+        setTotalCount(response.data.count || 0);
+      } catch (err) {
+        setError('Failed to load users');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [page, limit, nameFilter, roleFilter, verifiedFilter, activatedFilter]);
+
+  const updateUser = async (target, changes) => {
+    setBusyId(target.id);
+    setActionError('');
+
+    try {
+      const response = await apiClient.patch(`/users/${target.id}`, changes);
+      setUsers((rows) => rows.map((u) => (u.id === target.id ? { ...u, ...response.data } : u)));
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 403) {
+        setActionError(`You are not allowed to make that change to ${target.utorid}`);
+      } else if (changes.role === 'cashier' && target.suspicious) {
+        setActionError(`${target.utorid} is flagged as suspicious and cannot be made a cashier`);
+      } else {
+        setActionError(errorMessage(err, `Failed to update ${target.utorid}`));
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReset = () => {
+    setNameFilter('');
+    setRoleFilter('');
+    setVerifiedFilter('');
+    setActivatedFilter('');
+    setPage(1);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(totalCount / limit));
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <h1 className="text-3xl font-bold mb-6">Manage Users</h1>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Name or UTORid
+            </label>
+            <input
+              type="text"
+              value={nameFilter}
+              onChange={(e) => { setNameFilter(e.target.value); setPage(1); }}
+              placeholder="Search"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Role
+            </label>
+            <select
+              value={roleFilter}
+              onChange={(e) => { setRoleFilter(e.target.value); setPage(1); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">All Roles</option>
+              {ROLES.map((r) => (
+                <option key={r} value={r} className="capitalize">{r}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Verified
+            </label>
+            <select
+              value={verifiedFilter}
+              onChange={(e) => { setVerifiedFilter(e.target.value); setPage(1); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Any</option>
+              <option value="true">Verified</option>
+              <option value="false">Unverified</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Activated
+            </label>
+            <select
+              value={activatedFilter}
+              onChange={(e) => { setActivatedFilter(e.target.value); setPage(1); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Any</option>
+              <option value="true">Has logged in</option>
+              <option value="false">Never logged in</option>
+            </select>
+          </div>
+        </div>
+
+        <Button onClick={handleReset} variant="outline" className="w-full md:w-auto">
+          Reset Filters
+        </Button>
+      </div>
+
+      {actionError && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{actionError}</div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-lg">Loading users...</div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 text-red-600 p-4 rounded mb-4">{error}</div>
+      )}
+
+      {!loading && !error && (
+        <>
+          {users.length === 0 ? (
+            <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-600">
+              No users found
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3">User</th>
+                    <th className="px-4 py-3">Role</th>
+                    <th className="px-4 py-3">Points</th>
+                    <th className="px-4 py-3">Verified</th>
+                    <th className="px-4 py-3">Activated</th>
+                    <th className="px-4 py-3">Suspicious</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((u) => {
+                    const busy = busyId === u.id;
+                    const canChangeRole = assignableRoles.includes(u.role);
+                    return (
+                      <tr key={u.id} className="border-t">
+                        <td className="px-4 py-3">
+                          <p className="font-semibold">{u.name}</p>
+                          <p className="text-gray-500">{u.utorid}</p>
+                        </td>
+                        <td className="px-4 py-3">
+                          <select
+                            value={u.role}
+                            disabled={busy || !canChangeRole}
+                            onChange={(e) => updateUser(u, { role: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-md capitalize"
+                          >
+                            {(canChangeRole ? assignableRoles : [u.role]).map((r) => (
+                              <option
+                                key={r}
+                                value={r}
+                                disabled={r === 'cashier' && u.suspicious && u.role !== 'cashier'}
+                              >
+                                {r}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-4 py-3">{u.points}</td>
+                        <td className="px-4 py-3">
+                          {u.verified ? (
+                            <span className="text-green-600">Verified</span>
+                          ) : (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={busy}
+                              onClick={() => updateUser(u, { verified: true })}
+                            >
+                              Verify
+                            </Button>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          {u.lastLogin ? (
+                            <span className="text-green-600">Yes</span>
+                          ) : (
+                            <span className="text-gray-500">No</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          <label className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              checked={!!u.suspicious}
+                              disabled={busy}
+                              onChange={(e) => updateUser(u, { suspicious: e.target.checked })}
+                            />
+                            {u.suspicious && <span className="text-red-600">Flagged</span>}
+                          </label>
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => navigate(`/manage/users/${u.id}`)}
+                          >
+                            Details
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          <div className="mt-6 flex items-center justify-center gap-4">
+            <Button
+              onClick={() => setPage(p => Math.max(1, p - 1))}
+              disabled={page === 1}
+              variant="outline"
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {page} of {totalPages} ({totalCount} users)
+            </span>
+            <Button
+              onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+              disabled={page >= totalPages}
+              variant="outline"
+            >
+              Next
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -5,6 +5,7 @@ import apiClient from '../api/client';
 export const PointsPage = () => {
   const { user } = useAuth();
   const [userData, setUserData] = useState(null);
+  const [expiring, setExpiring] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -13,8 +14,13 @@ export const PointsPage = () => {
 
   const fetchUserData = async () => {
     try {
-      const response = await apiClient.get('/users/me');
+      const [response, expiringResponse] = await Promise.all([
+        apiClient.get('/users/me'),
+        // The expiry notice is optional; the page still loads without it
+        apiClient.get('/users/me/expiring').catch(() => null)
+      ]);
       setUserData(response.data);
+      setExpiring(expiringResponse?.data ?? null);
     } catch (error) {
       console.error('Failed to fetch user data:', error);
     } finally {
@@ -30,10 +36,34 @@ export const PointsPage = () => {
     );
   }
 
+  const tier = userData?.tier;
+  // Share of the way from the current tier's threshold to the next one
+  const tierProgress = tier?.next
+    ? Math.min(100, Math.round(((tier.spend - tier.minSpend) / (tier.next.minSpend - tier.minSpend)) * 100))
+    : 100;
+  const nextExpiry = expiring?.schedule?.[0];
+  const expiryDate = nextExpiry && new Date(nextExpiry.expiresAt);
+
   return (
     <div className="max-w-4xl mx-auto p-6">
       <h1 className="text-3xl font-bold mb-6">My Points</h1>
 
+      {nextExpiry && (
+        <div className="bg-amber-50 border border-amber-200 text-amber-800 p-4 rounded mb-6">
+          <p className="font-semibold">
+            {nextExpiry.points} points{' '}
+            {expiryDate <= new Date()
+              ? 'have expired and will be removed shortly'
+              : `expire on ${expiryDate.toLocaleDateString()}`}
+          </p>
+          {expiring.total > nextExpiry.points && (
+            <p className="text-sm mt-1">
+              {expiring.total} points in total expire in the next 30 days. Spending always uses your oldest points first.
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow-lg p-8 text-center">
         <p className="text-gray-600 text-lg mb-2">Available Points</p>
         <p className="text-6xl font-bold text-blue-600">{userData?.points || 0}</p>
@@ -59,6 +89,31 @@ export const PointsPage = () => {
           </div>
         </div>
       </div>
+
+      {tier && (
+        <div className="bg-white rounded-lg shadow-lg p-8 mt-6">
+          <div className="flex justify-between items-baseline">
+            <div>
+              <p className="text-gray-600 text-sm">Membership Tier</p>
+              <p className="text-3xl font-bold">{tier.name}</p>
+            </div>
+            <p className="text-gray-600">
+              {tier.multiplier === 1 ? 'Standard earning' : `Earns ×${tier.multiplier} base points`}
+            </p>
+          </div>
+          <p className="text-sm text-gray-600 mt-4">
+            ${tier.spend.toFixed(2)} spent in the last 12 months
+          </p>
+          <div className="w-full bg-gray-200 rounded-full h-3 mt-2">
+            <div className="bg-blue-600 h-3 rounded-full" style={{ width: `${tierProgress}%` }} />
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            {tier.next
+              ? `Spend $${tier.next.remaining.toFixed(2)} more to reach ${tier.next.name}`
+              : 'You have reached the top tier'}
+          </p>
+        </div>
+      )}
     </div>
   );
 };
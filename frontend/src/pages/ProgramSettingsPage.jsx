@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { errorMessage, fieldErrors } from '../lib/errors';
+import { FieldError } from '../components/forms/FieldError';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toForm = (program) => ({
+  earnRate: String(program.earnRate),
+  rounding: program.rounding,
+  maxPointsPerPurchase: program.maxPointsPerPurchase ?? '',
+  minSpend: String(program.minSpend)
+});
+
+export const ProgramSettingsPage = () => {
+  const [program, setProgram] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [fieldErrs, setFieldErrs] = useState({});
+
+  useEffect(() => {
+    const fetchProgram = async () => {
+      try {
+        const response = await apiClient.get('/program');
+        setProgram(response.data);
+        setForm(toForm(response.data));
+      } catch (err) {
+        setError(errorMessage(err, 'Failed to load earning rules'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProgram();
+  }, []);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    setFieldErrs({});
+
+    try {
+      const response = await apiClient.patch('/program', {
+        earnRate: Number(form.earnRate),
+        rounding: form.rounding,
+        maxPointsPerPurchase: form.maxPointsPerPurchase === '' ? null : parseInt(form.maxPointsPerPurchase),
+        minSpend: Number(form.minSpend)
+      });
+      setProgram(response.data);
+      setForm(toForm(response.data));
+      setSuccess('Earning rules saved. They apply to purchases from now on.');
+    } catch (err) {
+      const errs = fieldErrors(err);
+      setFieldErrs(errs);
+      setError(Object.keys(errs).length > 0 ? 'Please correct the highlighted fields' : errorMessage(err, 'Failed to save earning rules'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-lg">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-6">
+      <h1 className="text-3xl font-bold mb-2">Earning Rules</h1>
+      {program?.updatedAt && (
+        <p className="text-sm text-gray-600 mb-6">Last changed {new Date(program.updatedAt).toLocaleString()}</p>
+      )}
+
+      {error && <div className="bg-red-50 text-red-600 p-3 rounded mb-4">{error}</div>}
+      {success && <div className="bg-green-50 text-green-700 p-3 rounded mb-4">{success}</div>}
+
+      {form && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-6">
+          <div>
+            <label htmlFor="earnRate" className="block text-sm font-medium text-gray-700 mb-2">
+              Points per dollar spent
+            </label>
+            <input
+              id="earnRate"
+              type="number"
+              min="0"
+              step="any"
+              required
+              value={form.earnRate}
+              onChange={setField('earnRate')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.earnRate} />
+          </div>
+
+          <div>
+            <label htmlFor="rounding" className="block text-sm font-medium text-gray-700 mb-2">
+              Rounding of fractional points
+            </label>
+            <select
+              id="rounding"
+              value={form.rounding}
+              onChange={setField('rounding')}
+              className={inputClass}
+            >
+              <option value="round">To the nearest point</option>
+              <option value="floor">Down</option>
+              <option value="ceil">Up</option>
+            </select>
+            <FieldError message={fieldErrs.rounding} />
+          </div>
+
+          <div>
+            <label htmlFor="maxPointsPerPurchase" className="block text-sm font-medium text-gray-700 mb-2">
+              Most points one purchase can earn (blank for no cap)
+            </label>
+            <input
+              id="maxPointsPerPurchase"
+              type="number"
+              min="1"
+              step="1"
+              value={form.maxPointsPerPurchase}
+              onChange={setField('maxPointsPerPurchase')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.maxPointsPerPurchase} />
+          </div>
+
+          <div>
+            <label htmlFor="minSpend" className="block text-sm font-medium text-gray-700 mb-2">
+              Minimum spend to earn points ($)
+            </label>
+            <input
+              id="minSpend"
+              type="number"
+              min="0"
+              step="0.01"
+              required
+              value={form.minSpend}
+              onChange={setField('minSpend')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.minSpend} />
+          </div>
+
+          <Button type="submit" disabled={saving} className="w-full">
+            {saving ? 'Saving...' : 'Save Rules'}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,288 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { canDeletePromotion, editableFields, promotionPhase } from '../lib/promotions';
+import { toLocalInputValue } from '../lib/dates';
+import { errorMessage, fieldErrors } from '../lib/errors';
+import { FieldError } from '../components/forms/FieldError';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-500';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  type: 'automatic',
+  startTime: '',
+  endTime: '',
+  minSpending: '',
+  rate: '',
+  points: ''
+};
+
+const PHASE_NOTES = {
+  active: 'This promotion has started: its type and start time can no longer be changed.',
+  ended: 'This promotion has ended: only its name and description can be changed.'
+};
+
+const toForm = (promo) => ({
+  name: promo.name,
+  description: promo.description,
+  type: promo.type,
+  startTime: toLocalInputValue(promo.startTime),
+  endTime: toLocalInputValue(promo.endTime),
+  minSpending: promo.minSpending ?? '',
+  rate: promo.rate ?? '',
+  points: promo.points ?? ''
+});
+
+// Converts a form field to the value the API expects; blank numbers clear the field
+const toPayloadValue = (key, value) => {
+  if (key === 'startTime' || key === 'endTime') return new Date(value).toISOString();
+  if (key === 'minSpending' || key === 'rate') return value === '' ? null : Number(value);
+  if (key === 'points') return value === '' ? null : parseInt(value);
+  return value;
+};
+
+export const PromotionFormPage = () => {
+  const { id } = useParams();
+  const isNew = !id;
+  const navigate = useNavigate();
+  const [promotion, setPromotion] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(!isNew);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrs, setFieldErrs] = useState({});
+
+  useEffect(() => {
+    if (isNew) return;
+
+    const fetchPromotion = async () => {
+      try {
+        const response = await apiClient.get(`/promotions/${id}`);
+        setPromotion(response.data);
+        setForm(toForm(response.data));
+      } catch (err) {
+        setError(err.response?.status === 404 ? 'Promotion not found' : 'Failed to load promotion');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPromotion();
+  }, [id, isNew]);
+
+  const phase = promotion ? promotionPhase(promotion) : 'upcoming';
+  const editable = editableFields(phase);
+  const isLocked = (field) => !isNew && !editable.includes(field);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setFieldErrs({});
+
+    try {
+      if (isNew) {
+        const body = {};
+        for (const [key, value] of Object.entries(form)) {
+          if (value === '') continue;
+          body[key] = toPayloadValue(key, value);
+        }
+        await apiClient.post('/promotions', body);
+      } else {
+        const original = toForm(promotion);
+        const body = {};
+        for (const key of editable) {
+          if (String(form[key]) !== String(original[key])) {
+            body[key] = toPayloadValue(key, form[key]);
+          }
+        }
+        if (Object.keys(body).length === 0) {
+          setError('No changes to save');
+          return;
+        }
+        await apiClient.patch(`/promotions/${id}`, body);
+      }
+      navigate('/manage/promotions');
+    } catch (err) {
+      const errs = fieldErrors(err);
+      setFieldErrs(errs);
+      setError(Object.keys(errs).length > 0 ? 'Please correct the highlighted fields' : errorMessage(err, 'Failed to save promotion'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete promotion "${promotion.name}"?`)) return;
+
+    try {
+      await apiClient.delete(`/promotions/${id}`);
+      navigate('/manage/promotions');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete promotion'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-lg">Loading promotion...</div>
+      </div>
+    );
+  }
+
+  if (!isNew && !promotion) {
+    return (
+      <div className="max-w-2xl mx-auto p-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded">{error}</div>
+        <Button onClick={() => navigate('/manage/promotions')} className="mt-4">
+          Back to Promotions
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-6">
+      <Button onClick={() => navigate('/manage/promotions')} variant="outline" className="mb-6">
+        ← Back to Promotions
+      </Button>
+
+      <h1 className="text-3xl font-bold mb-6">{isNew ? 'New Promotion' : 'Edit Promotion'}</h1>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        {PHASE_NOTES[phase] && !isNew && (
+          <div className="bg-yellow-50 text-yellow-800 p-3 rounded mb-6 text-sm">{PHASE_NOTES[phase]}</div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input id="name" type="text" required value={form.name} onChange={setField('name')} className={inputClass} />
+            <FieldError message={fieldErrs.name} />
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              id="description"
+              required
+              rows="3"
+              value={form.description}
+              onChange={setField('description')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.description} />
+          </div>
+
+          <div>
+            <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+            <select id="type" value={form.type} onChange={setField('type')} disabled={isLocked('type')} className={inputClass}>
+              <option value="automatic">Automatic (applied to every qualifying purchase)</option>
+              <option value="one-time">One-time (applied once per member by a cashier)</option>
+            </select>
+            <FieldError message={fieldErrs.type} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="startTime" className="block text-sm font-medium text-gray-700 mb-2">Start</label>
+              <input
+                id="startTime"
+                type="datetime-local"
+                required
+                value={form.startTime}
+                onChange={setField('startTime')}
+                disabled={isLocked('startTime')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.startTime} />
+            </div>
+            <div>
+              <label htmlFor="endTime" className="block text-sm font-medium text-gray-700 mb-2">End</label>
+              <input
+                id="endTime"
+                type="datetime-local"
+                required
+                value={form.endTime}
+                onChange={setField('endTime')}
+                disabled={isLocked('endTime')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.endTime} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="minSpending" className="block text-sm font-medium text-gray-700 mb-2">Min Spending ($)</label>
+              <input
+                id="minSpending"
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={form.minSpending}
+                onChange={setField('minSpending')}
+                disabled={isLocked('minSpending')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.minSpending} />
+            </div>
+            <div>
+              <label htmlFor="rate" className="block text-sm font-medium text-gray-700 mb-2">Extra Rate</label>
+              <input
+                id="rate"
+                type="number"
+                min="0.001"
+                step="0.001"
+                value={form.rate}
+                onChange={setField('rate')}
+                disabled={isLocked('rate')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.rate} />
+            </div>
+            <div>
+              <label htmlFor="points" className="block text-sm font-medium text-gray-700 mb-2">Fixed Points</label>
+              <input
+                id="points"
+                type="number"
+                min="1"
+                step="1"
+                value={form.points}
+                onChange={setField('points')}
+                disabled={isLocked('points')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.points} />
+            </div>
+          </div>
+          <p className="text-sm text-gray-500">
+            The extra rate is points per cent spent (e.g. 0.01 adds one point per dollar). Leave a field blank if it does not apply.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+          )}
+
+          <div className="flex gap-4">
+            <Button type="submit" disabled={saving} className="flex-1">
+              {saving ? 'Saving...' : isNew ? 'Create Promotion' : 'Save Changes'}
+            </Button>
+            {!isNew && canDeletePromotion(promotion) && (
+              <Button type="button" variant="destructive" onClick={handleDelete}>
+                Delete
+              </Button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
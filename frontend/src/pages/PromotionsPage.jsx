@@ -1,7 +1,13 @@
 import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { hasRole } from '../lib/roles';
 
 export const PromotionsPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
   const [promotions, setPromotions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -47,7 +53,14 @@ export const PromotionsPage = () => {
 
   return (
     <div className="max-w-6xl mx-auto p-6">
-      <h1 className="text-3xl font-bold mb-6">Available Promotions</h1>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Available Promotions</h1>
+        {hasRole(user, 'manager') && (
+          <Button onClick={() => navigate('/manage/promotions')} variant="outline">
+            Manage Promotions
+          </Button>
+        )}
+      </div>
 
       {promotions.length === 0 ? (
         <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-600">
@@ -1,16 +1,15 @@
 import { useAuth } from '../contexts/AuthContext';
 import { QRCodeSVG } from 'qrcode.react';
+import { useQrToken } from '../hooks/useQrToken';
 
 export const QRCodePage = () => {
   const { user } = useAuth();
+  const { token, expiresAt, error } = useQrToken('/users/me/qr-token');
 
   if (!user) {
     return <div>Loading...</div>;
   }
 
-  // QR code contains the user ID for transaction purposes
-  const qrValue = user.utorid;
-
   return (
     <div className="max-w-4xl mx-auto p-6">
       <h1 className="text-3xl font-bold mb-6">My QR Code</h1>
@@ -21,17 +20,33 @@ export const QRCodePage = () => {
             Show this QR code to initiate a transaction
           </p>
 
+          {error && (
+            <div className="bg-red-50 text-red-600 p-3 rounded mb-6">{error}</div>
+          )}
+
           <div className="flex justify-center mb-6">
             <div className="bg-white p-6 rounded-lg border-4 border-gray-200">
-              <QRCodeSVG
-                value={qrValue}
-                size={256}
-                level="H"
-                includeMargin={true}
-              />
+              {token ? (
+                <QRCodeSVG
+                  value={token}
+                  size={256}
+                  level="M"
+                  includeMargin={true}
+                />
+              ) : (
+                <div className="w-64 h-64 flex items-center justify-center text-gray-500">
+                  Loading...
+                </div>
+              )}
             </div>
           </div>
 
+          {expiresAt && (
+            <p className="text-sm text-gray-500 mb-6">
+              This code refreshes automatically and is valid until {new Date(expiresAt).toLocaleTimeString()}
+            </p>
+          )}
+
           <div className="bg-gray-50 p-4 rounded-lg inline-block">
             <p className="text-sm text-gray-600">UTORid</p>
             <p className="text-2xl font-bold">{user.utorid}</p>
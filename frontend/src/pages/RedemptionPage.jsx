@@ -3,134 +3,187 @@ import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../api/client';
 import { Button } from '../components/ui/button';
+import { errorMessage } from '../lib/errors';
+import { hasRole } from '../lib/roles';
+import { isPendingRedemption } from '../lib/redemptions';
+import { useIdempotencyKey } from '../hooks/useIdempotencyKey';
 
+// The reward catalog: members pick a reward and show the resulting QR code to a cashier
 export const RedemptionPage = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
-  const [amount, setAmount] = useState('');
-  const [remark, setRemark] = useState('');
-  const [loading, setLoading] = useState(false);
+  const [rewards, setRewards] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [limit] = useState(12);
+  const [loading, setLoading] = useState(true);
+  const [redeemingId, setRedeemingId] = useState(null);
   const [error, setError] = useState('');
   const [pendingRedemption, setPendingRedemption] = useState(null);
+  const idempotency = useIdempotencyKey();
 
   useEffect(() => {
     checkPendingRedemption();
   }, []);
 
+  useEffect(() => {
+    const fetchRewards = async () => {
+      setLoading(true);
+      try {
+        const response = await apiClient.get(`/rewards?page=${page}&limit=${limit}`);
+        setRewards(response.data.results || []);
+        setTotalCount(response.data.count || 0);
+      } catch (err) {
+        setError(errorMessage(err, 'Failed to load rewards'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRewards();
+  }, [page, limit]);
+
   const checkPendingRedemption = async () => {
     try {
-      // Get user's transactions and find unprocessed redemption
+      // Get user's transactions and find a redemption still waiting for a cashier
       const response = await apiClient.get('/users/me/transactions');
-      const unprocessed = response.data.results?.find(
-        t => t.type === 'redemption' && !t.processedById
-      );
-      setPendingRedemption(unprocessed);
+      setPendingRedemption(response.data.results?.find(isPendingRedemption));
     } catch (err) {
       console.error('Failed to check pending redemptions:', err);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const handleRedeem = async (reward) => {
+    if (!window.confirm(`Redeem ${reward.cost} points for "${reward.name}"?`)) return;
     setError('');
-    setLoading(true);
+    setRedeemingId(reward.id);
 
     try {
       const response = await apiClient.post('/users/me/transactions', {
         type: 'redemption',
-        amount: parseInt(amount),
-        remark
-      });
+        rewardId: reward.id
+      }, { headers: idempotency.headers });
+      idempotency.renew();
 
       // Navigate to the redemption QR code page
       navigate('/redemption-qr', { state: { transaction: response.data } });
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to create redemption request');
+      // The first submission is still running; submitting again with the same key shows its result
+      if (err.response?.status === 409) {
+        setError('This request is still being processed. Submit again in a moment to see the result.');
+        return;
+      }
+      if (err.response) idempotency.renew();
+      setError(errorMessage(err, 'Failed to create redemption request'));
     } finally {
-      setLoading(false);
+      setRedeemingId(null);
     }
   };
 
-  if (pendingRedemption) {
-    return (
-      <div className="max-w-2xl mx-auto p-6">
-        <h1 className="text-3xl font-bold mb-6">Redemption Request</h1>
-        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+  const points = user?.points || 0;
+  const totalPages = Math.max(1, Math.ceil(totalCount / limit));
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Rewards</h1>
+        {hasRole(user, 'manager') && (
+          <Button onClick={() => navigate('/manage/rewards')} variant="outline">
+            Manage Rewards
+          </Button>
+        )}
+      </div>
+
+      <div className="mb-6 bg-blue-50 p-4 rounded">
+        <p className="text-sm text-gray-600">Your Available Points</p>
+        <p className="text-2xl font-bold text-blue-600">{points}</p>
+      </div>
+
+      {pendingRedemption && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 mb-6">
           <h2 className="text-xl font-semibold mb-4">Pending Redemption</h2>
           <p className="mb-4">
-            You already have a pending redemption request for {Math.abs(pendingRedemption.amount)} points.
+            You already have a pending redemption request
+            {pendingRedemption.reward ? ` for ${pendingRedemption.reward.name}` : ''} ({Math.abs(pendingRedemption.amount)} points).
+            Show its QR code to a cashier, or cancel it from there, before redeeming anything else.
           </p>
           <Button onClick={() => navigate('/redemption-qr', { state: { transaction: pendingRedemption } })}>
             View QR Code
           </Button>
         </div>
-      </div>
-    );
-  }
+      )}
 
-  return (
-    <div className="max-w-2xl mx-auto p-6">
-      <h1 className="text-3xl font-bold mb-6">Request Point Redemption</h1>
+      {error && (
+        <div className="bg-red-50 text-red-600 p-3 rounded mb-6">{error}</div>
+      )}
 
-      <div className="bg-white rounded-lg shadow-lg p-6">
-        <div className="mb-6 bg-blue-50 p-4 rounded">
-          <p className="text-sm text-gray-600">Your Available Points</p>
-          <p className="text-2xl font-bold text-blue-600">{user?.points || 0}</p>
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-lg">Loading rewards...</div>
         </div>
+      ) : rewards.length === 0 ? (
+        <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-600">
+          No rewards available at this time
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {rewards.map((reward) => (
+            <div key={reward.id} className="bg-white rounded-lg shadow-lg overflow-hidden flex flex-col">
+              {reward.imageUrl && (
+                <img src={reward.imageUrl} alt={reward.name} className="w-full h-40 object-cover" />
+              )}
+              <div className="p-6 flex flex-col flex-1">
+                <div className="flex justify-between items-start mb-3">
+                  <h3 className="text-xl font-bold">{reward.name}</h3>
+                  <span className="bg-blue-100 text-blue-800 text-sm font-semibold px-2 py-1 rounded whitespace-nowrap">
+                    {reward.cost} pts
+                  </span>
+                </div>
+                <p className="text-gray-600 mb-4 flex-1">{reward.description}</p>
+                {reward.stock != null && (
+                  <p className="text-sm text-gray-500 mb-3">{reward.stock} left</p>
+                )}
+                <Button
+                  onClick={() => handleRedeem(reward)}
+                  disabled={!!pendingRedemption || redeemingId !== null || reward.cost > points}
+                  className="w-full"
+                >
+                  {redeemingId === reward.id
+                    ? 'Requesting...'
+                    : reward.cost > points ? `Need ${reward.cost - points} more points` : 'Redeem'}
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
-              Points to Redeem
-            </label>
-            <input
-              id="amount"
-              type="number"
-              required
-              min="1"
-              max={user?.points || 0}
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-              placeholder="Enter points to redeem"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-            <p className="mt-1 text-sm text-gray-500">
-              Maximum: {user?.points || 0} points
-            </p>
-          </div>
-
-          <div>
-            <label htmlFor="remark" className="block text-sm font-medium text-gray-700 mb-2">
-              Remark (optional)
-            </label>
-            <textarea
-              id="remark"
-              value={remark}
-              onChange={(e) => setRemark(e.target.value)}
-              placeholder="Add a note about your redemption"
-              rows="3"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          {error && (
-            <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
-          )}
-
-          <div className="bg-gray-50 p-4 rounded">
-            <p className="text-sm text-gray-600">
-              After submitting this request, you will receive a QR code that a cashier must scan to process your redemption.
-            </p>
-          </div>
-
+      {totalPages > 1 && (
+        <div className="mt-6 flex items-center justify-center gap-4">
           <Button
-            type="submit"
-            disabled={loading}
-            className="w-full"
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+            disabled={page === 1}
+            variant="outline"
           >
-            {loading ? 'Creating Request...' : 'Create Redemption Request'}
+            Previous
           </Button>
-        </form>
+          <span className="text-sm text-gray-600">
+            Page {page} of {totalPages}
+          </span>
+          <Button
+            onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages}
+            variant="outline"
+          >
+            Next
+          </Button>
+        </div>
+      )}
+
+      <div className="bg-gray-50 p-4 rounded mt-6">
+        <p className="text-sm text-gray-600">
+          After requesting a reward, you will receive a QR code that a cashier must scan to hand it over.
+          Your points are only deducted then.
+        </p>
       </div>
     </div>
   );
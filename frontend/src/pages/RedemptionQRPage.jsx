@@ -3,12 +3,21 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import { QRCodeSVG } from 'qrcode.react';
 import apiClient from '../api/client';
 import { Button } from '../components/ui/button';
+import { useQrToken } from '../hooks/useQrToken';
+import { errorMessage } from '../lib/errors';
+import { isPendingRedemption, redemptionStatus } from '../lib/redemptions';
 
 export const RedemptionQRPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const [transaction, setTransaction] = useState(location.state?.transaction);
   const [checking, setChecking] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const pending = transaction?.status === 'pending';
+  const { token, expiresAt, error } = useQrToken(
+    pending ? `/users/me/transactions/${transaction.id}/qr-token` : null
+  );
 
   useEffect(() => {
     if (!transaction) {
@@ -20,11 +29,9 @@ export const RedemptionQRPage = () => {
   const fetchPendingRedemption = async () => {
     try {
       const response = await apiClient.get('/users/me/transactions');
-      const pending = response.data.results?.find(
-        t => t.type === 'redemption' && !t.processedById
-      );
-      if (pending) {
-        setTransaction(pending);
+      const waiting = response.data.results?.find(isPendingRedemption);
+      if (waiting) {
+        setTransaction(waiting);
       } else {
         navigate('/redemption');
       }
@@ -42,9 +49,11 @@ export const RedemptionQRPage = () => {
       const response = await apiClient.get('/users/me/transactions');
       const updated = response.data.results?.find(t => t.id === transaction.id);
 
-      if (updated?.processedById) {
+      if (updated?.status === 'processed') {
         alert('Redemption processed successfully!');
         navigate('/transactions');
+      } else if (updated && updated.status !== 'pending') {
+        setTransaction(updated);
       } else {
         alert('Redemption not yet processed');
       }
@@ -55,6 +64,21 @@ export const RedemptionQRPage = () => {
     }
   };
 
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this redemption request?')) return;
+    setCancelling(true);
+    setActionError('');
+
+    try {
+      const response = await apiClient.patch(`/users/me/transactions/${transaction.id}/cancelled`);
+      setTransaction((t) => ({ ...t, ...response.data }));
+    } catch (err) {
+      setActionError(errorMessage(err, 'Failed to cancel redemption'));
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   if (!transaction) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -63,8 +87,26 @@ export const RedemptionQRPage = () => {
     );
   }
 
-  // QR code contains the transaction ID
-  const qrValue = transaction.id.toString();
+  if (!pending) {
+    const status = redemptionStatus(transaction);
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <h1 className="text-3xl font-bold mb-6">Redemption Request</h1>
+        <div className="bg-white rounded-lg shadow-lg p-8 text-center space-y-4">
+          {transaction.reward && <p className="text-xl font-semibold">{transaction.reward.name}</p>}
+          <p className="text-gray-600">{Math.abs(transaction.amount)} points</p>
+          <p className={`text-2xl font-bold ${status.color}`}>{status.text}</p>
+          {transaction.statusReason && <p className="text-gray-700">{transaction.statusReason}</p>}
+          {transaction.status !== 'processed' && (
+            <p className="text-sm text-gray-500">No points were deducted for this request.</p>
+          )}
+          <Button onClick={() => navigate('/redemption')} className="w-full">
+            Back to Rewards
+          </Button>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="max-w-4xl mx-auto p-6">
@@ -73,6 +115,9 @@ export const RedemptionQRPage = () => {
       <div className="bg-white rounded-lg shadow-lg p-8">
         <div className="text-center">
           <div className="mb-6 bg-yellow-50 p-4 rounded">
+            {transaction.reward && (
+              <p className="text-xl font-semibold mb-1">{transaction.reward.name}</p>
+            )}
             <p className="text-sm text-gray-600">Redemption Amount</p>
             <p className="text-3xl font-bold text-yellow-600">
               {Math.abs(transaction.amount)} points
@@ -83,17 +128,33 @@ export const RedemptionQRPage = () => {
             Show this QR code to a cashier to process your redemption
           </p>
 
+          {error && (
+            <div className="bg-red-50 text-red-600 p-3 rounded mb-6">{error}</div>
+          )}
+
           <div className="flex justify-center mb-6">
             <div className="bg-white p-6 rounded-lg border-4 border-yellow-300">
-              <QRCodeSVG
-                value={qrValue}
-                size={256}
-                level="H"
-                includeMargin={true}
-              />
+              {token ? (
+                <QRCodeSVG
+                  value={token}
+                  size={256}
+                  level="M"
+                  includeMargin={true}
+                />
+              ) : (
+                <div className="w-64 h-64 flex items-center justify-center text-gray-500">
+                  Loading...
+                </div>
+              )}
             </div>
           </div>
 
+          {expiresAt && (
+            <p className="text-sm text-gray-500 mb-6">
+              This code refreshes automatically and is valid until {new Date(expiresAt).toLocaleTimeString()}
+            </p>
+          )}
+
           <div className="bg-gray-50 p-4 rounded-lg inline-block mb-6">
             <p className="text-sm text-gray-600">Transaction ID</p>
             <p className="text-2xl font-bold">{transaction.id}</p>
@@ -106,6 +167,10 @@ export const RedemptionQRPage = () => {
             </div>
           )}
 
+          {actionError && (
+            <div className="bg-red-50 text-red-600 p-3 rounded mb-6">{actionError}</div>
+          )}
+
           <div className="space-y-3">
             <Button
               onClick={checkStatus}
@@ -115,12 +180,21 @@ export const RedemptionQRPage = () => {
               {checking ? 'Checking...' : 'Check Status'}
             </Button>
 
+            <Button
+              onClick={handleCancel}
+              disabled={cancelling}
+              variant="destructive"
+              className="w-full"
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel Request'}
+            </Button>
+
             <Button
               onClick={() => navigate('/redemption')}
               variant="outline"
               className="w-full"
             >
-              Back to Redemption
+              Back to Rewards
             </Button>
           </div>
 
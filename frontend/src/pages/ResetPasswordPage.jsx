@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const RESET_ERRORS = {
+  400: 'Password must be 8-20 characters with upper and lower case letters, a number and a symbol',
+  401: 'That UTORid does not match this link',
+  404: 'This link is invalid or has already been used',
+  410: 'This link has expired; request a new one',
+  429: 'Too many attempts; please wait a few minutes'
+};
+
+// Without a token: asks for a reset email. With one (from the emailed link): sets a new password.
+export const ResetPasswordPage = () => {
+  const { token } = useParams();
+  const [utorid, setUtorid] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (token) {
+        await axios.post(`${API_BASE_URL}/auth/resets/${token}`, { utorid, password });
+      } else {
+        await axios.post(`${API_BASE_URL}/auth/resets`, { utorid });
+      }
+      setDone(true);
+    } catch (err) {
+      const status = err.response?.status;
+      if (token) {
+        setError(RESET_ERRORS[status] || 'Failed to reset password');
+      } else {
+        setError(
+          status === 404 ? 'No account with that UTORid'
+            : status === 429 ? 'A reset was requested recently; please wait a minute'
+              : 'Failed to request a reset'
+        );
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold text-center">
+            {token ? 'Set your password' : 'Reset password'}
+          </CardTitle>
+          <CardDescription className="text-center">
+            {token ? 'Confirm your UTORid and choose a new password' : 'We will email you a link to choose a new password'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {done ? (
+            <div className="space-y-4 text-center">
+              <div className="bg-green-50 text-green-600 p-3 rounded">
+                {token ? 'Your password has been set.' : 'Check your UofT email for a reset link.'}
+              </div>
+              <Link to="/login" className="text-sm text-blue-600 hover:underline">
+                Back to sign in
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="utorid">UTORid</Label>
+                <Input
+                  id="utorid"
+                  name="utorid"
+                  type="text"
+                  required
+                  value={utorid}
+                  onChange={(e) => setUtorid(e.target.value)}
+                />
+              </div>
+              {token && (
+                <div className="space-y-2">
+                  <Label htmlFor="password">New Password</Label>
+                  <Input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+              )}
+
+              {error && (
+                <div className="text-sm text-destructive text-center">{error}</div>
+              )}
+
+              <Button type="submit" disabled={loading} className="w-full">
+                {loading ? 'Submitting...' : token ? 'Set Password' : 'Send Reset Link'}
+              </Button>
+
+              <div className="text-center">
+                <Link to="/login" className="text-sm text-blue-600 hover:underline">
+                  Back to sign in
+                </Link>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
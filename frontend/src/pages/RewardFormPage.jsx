@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import apiClient from '../api/client';
+import { Button } from '../components/ui/button';
+import { toLocalInputValue } from '../lib/dates';
+import { errorMessage, fieldErrors } from '../lib/errors';
+import { FieldError } from '../components/forms/FieldError';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  cost: '',
+  stock: '',
+  startTime: '',
+  endTime: '',
+  imageUrl: ''
+};
+
+const toForm = (reward) => ({
+  name: reward.name,
+  description: reward.description,
+  cost: reward.cost,
+  stock: reward.stock ?? '',
+  startTime: toLocalInputValue(reward.startTime),
+  endTime: toLocalInputValue(reward.endTime),
+  imageUrl: reward.imageUrl ?? ''
+});
+
+// Converts a form field to the value the API expects; blank optional fields clear the value
+const toPayloadValue = (key, value) => {
+  if (key === 'startTime' || key === 'endTime') return value === '' ? null : new Date(value).toISOString();
+  if (key === 'cost') return parseInt(value);
+  if (key === 'stock') return value === '' ? null : parseInt(value);
+  if (key === 'imageUrl') return value === '' ? null : value;
+  return value;
+};
+
+export const RewardFormPage = () => {
+  const { id } = useParams();
+  const isNew = !id;
+  const navigate = useNavigate();
+  const [reward, setReward] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(!isNew);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrs, setFieldErrs] = useState({});
+
+  useEffect(() => {
+    if (isNew) return;
+
+    const fetchReward = async () => {
+      try {
+        const response = await apiClient.get(`/rewards/${id}`);
+        setReward(response.data);
+        setForm(toForm(response.data));
+      } catch (err) {
+        setError(err.response?.status === 404 ? 'Reward not found' : 'Failed to load reward');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReward();
+  }, [id, isNew]);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setFieldErrs({});
+
+    try {
+      if (isNew) {
+        const body = {};
+        for (const [key, value] of Object.entries(form)) {
+          if (value === '') continue;
+          body[key] = toPayloadValue(key, value);
+        }
+        await apiClient.post('/rewards', body);
+      } else {
+        const original = toForm(reward);
+        const body = {};
+        for (const key of Object.keys(form)) {
+          if (String(form[key]) !== String(original[key])) {
+            body[key] = toPayloadValue(key, form[key]);
+          }
+        }
+        if (Object.keys(body).length === 0) {
+          setError('No changes to save');
+          return;
+        }
+        await apiClient.patch(`/rewards/${id}`, body);
+      }
+      navigate('/manage/rewards');
+    } catch (err) {
+      const errs = fieldErrors(err);
+      setFieldErrs(errs);
+      setError(Object.keys(errs).length > 0 ? 'Please correct the highlighted fields' : errorMessage(err, 'Failed to save reward'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete reward "${reward.name}"?`)) return;
+
+    try {
+      await apiClient.delete(`/rewards/${id}`);
+      navigate('/manage/rewards');
+    } catch (err) {
+      setError(err.response?.status === 403
+        ? 'This reward has been redeemed and cannot be deleted; set an end time to retire it instead'
+        : errorMessage(err, 'Failed to delete reward'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-lg">Loading reward...</div>
+      </div>
+    );
+  }
+
+  if (!isNew && !reward) {
+    return (
+      <div className="max-w-2xl mx-auto p-6">
+        <div className="bg-red-50 text-red-600 p-4 rounded">{error}</div>
+        <Button onClick={() => navigate('/manage/rewards')} className="mt-4">
+          Back to Rewards
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-6">
+      <Button onClick={() => navigate('/manage/rewards')} variant="outline" className="mb-6">
+        ← Back to Rewards
+      </Button>
+
+      <h1 className="text-3xl font-bold mb-6">{isNew ? 'New Reward' : 'Edit Reward'}</h1>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        {!isNew && (
+          <div className="bg-yellow-50 text-yellow-800 p-3 rounded mb-6 text-sm">
+            Requests already made keep the cost they were made at.
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input id="name" type="text" required value={form.name} onChange={setField('name')} className={inputClass} />
+            <FieldError message={fieldErrs.name} />
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              id="description"
+              required
+              rows="3"
+              value={form.description}
+              onChange={setField('description')}
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.description} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="cost" className="block text-sm font-medium text-gray-700 mb-2">Cost (points)</label>
+              <input
+                id="cost"
+                type="number"
+                required
+                min="1"
+                step="1"
+                value={form.cost}
+                onChange={setField('cost')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.cost} />
+            </div>
+            <div>
+              <label htmlFor="stock" className="block text-sm font-medium text-gray-700 mb-2">Stock</label>
+              <input
+                id="stock"
+                type="number"
+                min="0"
+                step="1"
+                value={form.stock}
+                onChange={setField('stock')}
+                placeholder="Unlimited"
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.stock} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="startTime" className="block text-sm font-medium text-gray-700 mb-2">Available From</label>
+              <input
+                id="startTime"
+                type="datetime-local"
+                value={form.startTime}
+                onChange={setField('startTime')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.startTime} />
+            </div>
+            <div>
+              <label htmlFor="endTime" className="block text-sm font-medium text-gray-700 mb-2">Available Until</label>
+              <input
+                id="endTime"
+                type="datetime-local"
+                value={form.endTime}
+                onChange={setField('endTime')}
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.endTime} />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="imageUrl" className="block text-sm font-medium text-gray-700 mb-2">Image URL</label>
+            <input
+              id="imageUrl"
+              type="url"
+              value={form.imageUrl}
+              onChange={setField('imageUrl')}
+              placeholder="https://"
+              className={inputClass}
+            />
+            <FieldError message={fieldErrs.imageUrl} />
+          </div>
+          <p className="text-sm text-gray-500">
+            Leave the stock blank for an unlimited reward, and the dates blank to offer it from now on with no end.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+          )}
+
+          <div className="flex gap-4">
+            <Button type="submit" disabled={saving} className="flex-1">
+              {saving ? 'Saving...' : isNew ? 'Create Reward' : 'Save Changes'}
+            </Button>
+            {!isNew && (
+              <Button type="button" variant="destructive" onClick={handleDelete}>
+                Delete
+              </Button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
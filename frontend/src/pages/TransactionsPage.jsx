@@ -1,13 +1,17 @@
 import { useEffect, useState } from 'react';
 import apiClient from '../api/client';
 import { Button } from '../components/ui/button';
+import { errorMessage } from '../lib/errors';
+import { redemptionStatus } from '../lib/redemptions';
 
 const TRANSACTION_COLORS = {
   purchase: 'bg-green-50 border-green-200 text-green-800',
   transfer: 'bg-blue-50 border-blue-200 text-blue-800',
   redemption: 'bg-red-50 border-red-200 text-red-800',
   adjustment: 'bg-yellow-50 border-yellow-200 text-yellow-800',
-  event: 'bg-purple-50 border-purple-200 text-purple-800'
+  event: 'bg-purple-50 border-purple-200 text-purple-800',
+  expiry: 'bg-gray-50 border-gray-200 text-gray-800',
+  refund: 'bg-orange-50 border-orange-200 text-orange-800'
 };
 
 export const TransactionsPage = () => {
@@ -22,12 +26,15 @@ export const TransactionsPage = () => {
   const [typeFilter, setTypeFilter] = useState('');
   const [minAmount, setMinAmount] = useState('');
   const [maxAmount, setMaxAmount] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [remarkFilter, setRemarkFilter] = useState('');
   const [orderBy, setOrderBy] = useState('createdAt');
   const [orderDir, setOrderDir] = useState('desc');
 
   useEffect(() => {
     fetchTransactions();
-  }, [page, typeFilter, minAmount, maxAmount, orderBy, orderDir]);
+  }, [page, typeFilter, minAmount, maxAmount, fromDate, toDate, remarkFilter, orderBy, orderDir]);
 
   const fetchTransactions = async () => {
     setLoading(true);
@@ -42,33 +49,21 @@ export const TransactionsPage = () => {
       if (typeFilter) params.append('type', typeFilter);
       if (minAmount) params.append('minAmount', minAmount);
       if (maxAmount) params.append('maxAmount', maxAmount);
+      // Whole days in the browser's time zone
+      if (fromDate) params.append('from', new Date(`${fromDate}T00:00:00`).toISOString());
+      if (toDate) params.append('to', new Date(`${toDate}T23:59:59.999`).toISOString());
+      if (remarkFilter.trim()) params.append('remark', remarkFilter.trim());
       if (orderBy) {
-        params.append('orderBy', `${orderDir === 'asc' ? '' : '-'}${orderBy}`);
+        // Newest first among equal values
+        const direction = orderDir === 'asc' ? '' : '-';
+        params.append('orderBy', orderBy === 'createdAt' ? `${direction}createdAt` : `${direction}${orderBy},-createdAt`);
       }
 
       const response = await apiClient.get(`/users/me/transactions?${params}`);
-
-      // Fetch additional data for each transaction to get sender/receiver names
-      const transactionsWithNames = await Promise.all(
-        (response.data.results || []).map(async (tx) => {
-          let relatedName = null;
-          if (tx.relatedId && tx.type === 'transfer') {
-            try {
-              // For transfers, fetch the related user's name
-              const relatedUser = await apiClient.get(`/users/${tx.relatedId}`);
-              relatedName = relatedUser.data.utorid;
-            } catch (err) {
-              console.error('Failed to fetch related user:', err);
-            }
-          }
-          return { ...tx, relatedName };
-        })
-      );
-
-      setTransactions(transactionsWithNames);
+      setTransactions(response.data.results || []);
       setTotalCount(response.data.count || 0);
     } catch (err) {
-      setError('Failed to load transactions');
+      setError(errorMessage(err, 'Failed to load transactions'));
       console.error(err);
     } finally {
       setLoading(false);
@@ -79,6 +74,9 @@ export const TransactionsPage = () => {
     setTypeFilter('');
     setMinAmount('');
     setMaxAmount('');
+    setFromDate('');
+    setToDate('');
+    setRemarkFilter('');
     setOrderBy('createdAt');
     setOrderDir('desc');
     setPage(1);
@@ -86,12 +84,21 @@ export const TransactionsPage = () => {
 
   const totalPages = Math.ceil(totalCount / limit);
 
+  // Falls back to the bare id when the other member's account no longer exists
+  const personLabel = (person, id) => (person ? `${person.name} (${person.utorid})` : `User #${id}`);
+
   const renderTransactionDetail = (tx) => {
     switch (tx.type) {
       case 'purchase':
         return (
           <div className="text-sm">
             <p>Spent: ${tx.spent?.toFixed(2) || 'N/A'}</p>
+            {tx.cashier && <p className="text-gray-600">Cashier: {tx.cashier.utorid}</p>}
+            {tx.voidedAt ? (
+              <p className="text-red-600">Voided on {new Date(tx.voidedAt).toLocaleDateString()}; its points were taken back</p>
+            ) : tx.refunded > 0 && (
+              <p className="text-orange-700">${tx.refunded.toFixed(2)} refunded</p>
+            )}
             {tx.promotions && tx.promotions.length > 0 && (
               <p className="text-green-600">Promotions applied: {tx.promotions.length}</p>
             )}
@@ -101,20 +108,25 @@ export const TransactionsPage = () => {
         return (
           <div className="text-sm">
             <p>
-              {tx.amount > 0 ? 'From' : 'To'}: {tx.relatedName || `User #${tx.relatedId}`}
+              {tx.amount > 0 ? 'From' : 'To'}: {personLabel(tx.amount > 0 ? tx.sender : tx.recipient, tx.relatedId)}
             </p>
           </div>
         );
       case 'redemption':
         return (
           <div className="text-sm">
-            <p>Status: {tx.processedById ? 'Processed' : 'Pending'}</p>
+            {tx.reward && <p>Reward: {tx.reward.name}</p>}
+            <p>
+              Status: <span className={redemptionStatus(tx).color}>{redemptionStatus(tx).text}</span>
+            </p>
+            {tx.statusReason && <p className="text-gray-600">{tx.statusReason}</p>}
+            {tx.cashier && <p className="text-gray-600">Handed over by {tx.cashier.utorid}</p>}
           </div>
         );
       case 'event':
         return (
           <div className="text-sm">
-            <p>Event points awarded</p>
+            <p>Event points awarded{tx.event ? `: ${tx.event.name}` : ''}</p>
           </div>
         );
       case 'adjustment':
@@ -124,6 +136,19 @@ export const TransactionsPage = () => {
             {tx.suspicious && <p className="text-red-600">Flagged as suspicious</p>}
           </div>
         );
+      case 'refund':
+        return (
+          <div className="text-sm">
+            <p>Refund of ${tx.spent?.toFixed(2)} on purchase #{tx.relatedId}</p>
+          </div>
+        );
+      case 'expiry':
+        return (
+          <div className="text-sm">
+            <p>Unspent points expired</p>
+            {tx.createdById == null && <p className="text-gray-600">Recorded by the system</p>}
+          </div>
+        );
       default:
         return null;
     }
@@ -153,6 +178,8 @@ export const TransactionsPage = () => {
               <option value="redemption">Redemption</option>
               <option value="adjustment">Adjustment</option>
               <option value="event">Event</option>
+              <option value="expiry">Expiry</option>
+              <option value="refund">Refund</option>
             </select>
           </div>
 
@@ -189,7 +216,7 @@ export const TransactionsPage = () => {
             <div className="flex gap-2">
               <select
                 value={orderBy}
-                onChange={(e) => setOrderBy(e.target.value)}
+                onChange={(e) => { setOrderBy(e.target.value); setPage(1); }}
                 className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
               >
                 <option value="createdAt">Date</option>
@@ -198,7 +225,7 @@ export const TransactionsPage = () => {
               </select>
               <select
                 value={orderDir}
-                onChange={(e) => setOrderDir(e.target.value)}
+                onChange={(e) => { setOrderDir(e.target.value); setPage(1); }}
                 className="px-3 py-2 border border-gray-300 rounded-md"
               >
                 <option value="desc">↓</option>
@@ -208,6 +235,45 @@ export const TransactionsPage = () => {
           </div>
         </div>
 
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              From
+            </label>
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => { setFromDate(e.target.value); setPage(1); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              To
+            </label>
+            <input
+              type="date"
+              value={toDate}
+              onChange={(e) => { setToDate(e.target.value); setPage(1); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Remark
+            </label>
+            <input
+              type="text"
+              value={remarkFilter}
+              onChange={(e) => { setRemarkFilter(e.target.value); setPage(1); }}
+              placeholder="Search remarks"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+
         <Button onClick={handleReset} variant="outline" className="w-full md:w-auto">
           Reset Filters
         </Button>
@@ -244,6 +310,11 @@ export const TransactionsPage = () => {
                       <span className="px-3 py-1 bg-white rounded font-semibold text-sm uppercase">
                         {tx.type}
                       </span>
+                      {tx.voidedAt && (
+                        <span className="px-3 py-1 bg-red-100 text-red-700 rounded font-semibold text-sm uppercase">
+                          Voided
+                        </span>
+                      )}
                       <span className="text-sm text-gray-600">
                         {new Date(tx.createdAt).toLocaleString()}
                       </span>
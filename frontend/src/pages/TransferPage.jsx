@@ -2,36 +2,104 @@ import { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import apiClient from '../api/client';
 import { Button } from '../components/ui/button';
+import { QRScanner } from '../components/scanner/QRScanner';
+import { FieldError } from '../components/forms/FieldError';
+import { parseQrPayload } from '../lib/qr';
+import { errorMessage, fieldErrors } from '../lib/errors';
+import { useIdempotencyKey } from '../hooks/useIdempotencyKey';
 
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Sends points to another member by UTORid: the recipient is looked up first so the sender
+// can check the name (and avatar) before anything moves
 export const TransferPage = () => {
   const { user } = useAuth();
+  const [points, setPoints] = useState(user?.points || 0);
   const [recipientUtorid, setRecipientUtorid] = useState('');
   const [amount, setAmount] = useState('');
   const [remark, setRemark] = useState('');
+  const [recipient, setRecipient] = useState(null);
+  const [scanning, setScanning] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrs, setFieldErrs] = useState({});
   const [success, setSuccess] = useState('');
+  const idempotency = useIdempotencyKey();
 
-  const handleSubmit = async (e) => {
+  const handleScan = (value) => {
+    setScanning(false);
+    const scanned = parseQrPayload(value);
+    if (scanned.kind === 'redemption') {
+      setError('That is a redemption QR code; ask for their member QR code instead');
+      return;
+    }
+    setError('');
+    setRecipientUtorid(scanned.kind === 'member' ? scanned.utorid : scanned.value);
+  };
+
+  // First step: find who the UTORid belongs to and ask for confirmation
+  const handleReview = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrs({});
     setSuccess('');
+
+    const utorid = recipientUtorid.trim().toLowerCase();
+    if (utorid === user?.utorid?.toLowerCase()) {
+      setFieldErrs({ utorid: 'You cannot transfer points to yourself' });
+      return;
+    }
+    if (parseInt(amount) > points) {
+      setFieldErrs({ amount: 'Exceeds your points balance' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/users/recipients/${encodeURIComponent(utorid)}`);
+      setRecipient(response.data);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setFieldErrs({ utorid: 'No member has this UTORid' });
+      } else {
+        setError(errorMessage(err, 'Failed to look up the recipient'));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Second step: send to the confirmed recipient
+  const handleConfirm = async () => {
+    setError('');
     setLoading(true);
 
     try {
-      await apiClient.post('/users/me/transactions', {
+      const response = await apiClient.post('/users/me/transactions', {
         type: 'transfer',
-        recipientUtorid,
+        utorid: recipient.utorid,
         amount: parseInt(amount),
         remark
-      });
+      }, { headers: idempotency.headers });
+      idempotency.renew();
 
-      setSuccess(`Successfully transferred ${amount} points to ${recipientUtorid}`);
+      setPoints((p) => p - response.data.sent);
+      setSuccess(`Sent ${response.data.sent} points to ${recipient.name} (${recipient.utorid})`);
+      setRecipient(null);
       setRecipientUtorid('');
       setAmount('');
       setRemark('');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to transfer points');
+      // The first submission is still running; sending again with the same key shows its result
+      if (err.response?.status === 409) {
+        setError('This transfer is still being processed. Send again in a moment to see the result.');
+        return;
+      }
+      if (err.response) idempotency.renew();
+      const errs = fieldErrors(err);
+      setFieldErrs(errs);
+      setError(errorMessage(err, 'Failed to transfer points'));
+      if (Object.keys(errs).length > 0) setRecipient(null);
     } finally {
       setLoading(false);
     }
@@ -44,71 +112,127 @@ export const TransferPage = () => {
       <div className="bg-white rounded-lg shadow-lg p-6">
         <div className="mb-6 bg-blue-50 p-4 rounded">
           <p className="text-sm text-gray-600">Your Available Points</p>
-          <p className="text-2xl font-bold text-blue-600">{user?.points || 0}</p>
+          <p className="text-2xl font-bold text-blue-600">{points}</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="recipient" className="block text-sm font-medium text-gray-700 mb-2">
-              Recipient UTORid
-            </label>
-            <input
-              id="recipient"
-              type="text"
-              required
-              value={recipientUtorid}
-              onChange={(e) => setRecipientUtorid(e.target.value)}
-              placeholder="Enter recipient's UTORid"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
+        {success && (
+          <div className="bg-green-50 text-green-600 p-3 rounded mb-6">{success}</div>
+        )}
 
-          <div>
-            <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
-              Amount
-            </label>
-            <input
-              id="amount"
-              type="number"
-              required
-              min="1"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-              placeholder="Enter amount to transfer"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
+        {recipient ? (
+          <div className="space-y-6">
+            <h2 className="text-lg font-semibold">Confirm Transfer</h2>
+            <div className="flex items-center gap-4 bg-gray-50 p-4 rounded">
+              {recipient.avatarUrl ? (
+                <img
+                  src={`${apiClient.defaults.baseURL}${recipient.avatarUrl}`}
+                  alt={recipient.name}
+                  className="w-16 h-16 rounded-full object-cover"
+                />
+              ) : (
+                <div className="w-16 h-16 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center text-2xl font-bold">
+                  {recipient.name.charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div>
+                <p className="text-xl font-semibold">{recipient.name}</p>
+                <p className="text-gray-600">{recipient.utorid}</p>
+              </div>
+            </div>
 
-          <div>
-            <label htmlFor="remark" className="block text-sm font-medium text-gray-700 mb-2">
-              Remark (optional)
-            </label>
-            <textarea
-              id="remark"
-              value={remark}
-              onChange={(e) => setRemark(e.target.value)}
-              placeholder="Add a note"
-              rows="3"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+            <div className="text-sm space-y-1">
+              <p>Amount: <span className="font-semibold">{parseInt(amount)} points</span></p>
+              {remark && <p>Remark: {remark}</p>}
+              <p className="text-gray-600">Transfers cannot be undone once sent.</p>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+            )}
+
+            <div className="flex gap-4">
+              <Button onClick={handleConfirm} disabled={loading} className="flex-1">
+                {loading ? 'Sending...' : `Send ${parseInt(amount)} Points`}
+              </Button>
+              <Button variant="outline" onClick={() => setRecipient(null)} disabled={loading}>
+                Back
+              </Button>
+            </div>
           </div>
+        ) : (
+          <form onSubmit={handleReview} className="space-y-6">
+            <div>
+              <label htmlFor="recipient" className="block text-sm font-medium text-gray-700 mb-2">
+                Recipient UTORid
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="recipient"
+                  type="text"
+                  required
+                  value={recipientUtorid}
+                  onChange={(e) => setRecipientUtorid(e.target.value)}
+                  placeholder="Enter recipient's UTORid"
+                  className={inputClass}
+                />
+                <Button type="button" variant="outline" onClick={() => setScanning((v) => !v)}>
+                  Scan QR
+                </Button>
+              </div>
+              <FieldError message={fieldErrs.utorid} />
+            </div>
+
+            {scanning && (
+              <QRScanner
+                label="Scan Their Member QR Code"
+                placeholder="Recipient UTORid"
+                onScan={handleScan}
+                onClose={() => setScanning(false)}
+              />
+            )}
+
+            <div>
+              <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
+                Amount
+              </label>
+              <input
+                id="amount"
+                type="number"
+                required
+                min="1"
+                step="1"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="Enter amount to transfer"
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.amount} />
+            </div>
+
+            <div>
+              <label htmlFor="remark" className="block text-sm font-medium text-gray-700 mb-2">
+                Remark (optional)
+              </label>
+              <textarea
+                id="remark"
+                value={remark}
+                onChange={(e) => setRemark(e.target.value)}
+                placeholder="Add a note"
+                rows="3"
+                className={inputClass}
+              />
+              <FieldError message={fieldErrs.remark} />
+            </div>
+
+            {error && (
+              <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
+            )}
 
-          {error && (
-            <div className="bg-red-50 text-red-600 p-3 rounded">{error}</div>
-          )}
-
-          {success && (
-            <div className="bg-green-50 text-green-600 p-3 rounded">{success}</div>
-          )}
-
-          <Button
-            type="submit"
-            disabled={loading}
-            className="w-full"
-          >
-            {loading ? 'Processing...' : 'Transfer Points'}
-          </Button>
-        </form>
+            <Button type="submit" disabled={loading} className="w-full">
+              {loading ? 'Looking up...' : 'Review Transfer'}
+            </Button>
+          </form>
+        )}
       </div>
     </div>
   );